@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { RULE_TYPES } = require('./rules');
+const { logger } = require('../logger');
+
+// Map key for a rule and location (ids and keys may contain any character)
+const alertKey = (...parts) => JSON.stringify(parts);
+
+/**
+ * Alert engine - evaluates rules for every aggregation window a location
+ * reports (and checks staleness on every poll), de-duplicates and
+ * rate-limits alerts, records them and hands them to the notifiers.
+ *
+ * getWindows(location, from, to) returns normalized windows in a range,
+ * oldest first; windows that arrived between two polls are read through it.
+ * They must be prepared like the polled readings (overrides applied), as
+ * both are compared with each other.
+ */
+function createAlertEngine({
+    config,
+    notifiers = [],
+    store,
+    getLocationName = key => key,
+    getWindows = null,
+    now = Date.now
+}) {
+    const cooldownMs = (config.cooldownMinutes || 0) * 60000;
+    const maxPerHour = config.maxAlertsPerHour || Infinity;
+    const notifyResolved = config.notifyResolved !== false;
+
+    const locations = {};          // location -> { last, ruleState }
+    const active = new Map();      // alertKey(ruleId, location) -> { ruleId, location, notified }
+    const lastFired = new Map();   // dedupe key -> time
+    const deliveredTimes = [];     // delivery times in the last hour
+
+    async function deliver(alert) {
+        const cutoff = now() - 60 * 60 * 1000;
+        while (deliveredTimes.length > 0 && deliveredTimes[0] < cutoff) deliveredTimes.shift();
+
+        if (deliveredTimes.length >= maxPerHour) {
+            alert.suppressed = true;
+            return;
+        }
+        deliveredTimes.push(now());
+
+        alert.deliveries = await Promise.all(notifiers.map(async (notifier) => {
+            try {
+                await notifier.send(alert);
+                return { channel: notifier.name, ok: true };
+            } catch (err) {
+                logger.error("Alert delivery failed", { channel: notifier.name, ruleId: alert.ruleId, location: alert.location, err });
+                return { channel: notifier.name, ok: false, error: err.message };
+            }
+        }));
+    }
+
+    async function record(rule, location, state, message, data) {
+        const alert = {
+            id: crypto.randomUUID(),
+            ruleId: rule.id,
+            type: rule.type,
+            severity: rule.severity || "warning",
+            state,
+            location,
+            locationName: getLocationName(location),
+            message,
+            timestamp: new Date(now()).toISOString(),
+            reading: data ? { timestamp: data.timestamp, safetyStatus: data.safetyStatus } : null
+        };
+
+        await deliver(alert);
+        store.add(alert);
+        return alert;
+    }
+
+    // Fire unless the same alert fired within the cooldown
+    async function trigger(rule, location, dedupeKey, message, data) {
+        const last = lastFired.get(dedupeKey);
+        if (last !== undefined && now() - last < cooldownMs) return null;
+
+        lastFired.set(dedupeKey, now());
+        return record(rule, location, "triggered", message, data);
+    }
+
+    async function applyResult(rule, location, result, data) {
+        if (!result) return;
+
+        const type = RULE_TYPES[rule.type];
+        if (type.kind === "event") {
+            await trigger(rule, location, alertKey(rule.id, location, result.key), result.message, data);
+            return;
+        }
+
+        const activeKey = alertKey(rule.id, location);
+        if (result.active && !active.has(activeKey)) {
+            const entry = { ruleId: rule.id, location, notified: false };
+            active.set(activeKey, entry);
+            entry.notified = Boolean(await trigger(rule, location, activeKey, result.message, data));
+        } else if (!result.active && active.has(activeKey)) {
+            const { notified } = active.get(activeKey);
+            active.delete(activeKey);
+            // A condition whose trigger fell within the cooldown was never announced, so neither is its end
+            if (notifyResolved && notified) {
+                await record(rule, location, "resolved", `Resolved - ${result.message}`, data);
+            }
+        }
+    }
+
+    function ruleState(location, ruleId) {
+        const states = locations[location].ruleState;
+        if (!states[ruleId]) states[ruleId] = {};
+        return states[ruleId];
+    }
+
+    // Evaluate reading rules for a new aggregation window
+    async function handleReading(location, data) {
+        const previous = locations[location] ? locations[location].last : null;
+        if (!locations[location]) locations[location] = { last: null, ruleState: {} };
+
+        const name = getLocationName(location);
+        for (const rule of config.rules) {
+            const type = RULE_TYPES[rule.type];
+            if (!type.onReading) continue;
+            const result = type.onReading(rule, { name, data, previous, state: ruleState(location, rule.id) });
+            await applyResult(rule, location, result, data);
+        }
+
+        locations[location].last = data;
+    }
+
+    // Evaluate time-based rules (staleness) for every known location
+    async function check() {
+        for (const [location, { last }] of Object.entries(locations)) {
+            const name = getLocationName(location);
+            for (const rule of config.rules) {
+                const type = RULE_TYPES[rule.type];
+                if (!type.onCheck) continue;
+                const result = type.onCheck(rule, { name, lastTimestamp: last && last.timestamp, now: now() });
+                await applyResult(rule, location, result, last);
+            }
+        }
+    }
+
+    // Windows after the last one evaluated and before the latest, so none are skipped between polls
+    async function missedWindows(location, last, latest) {
+        if (!getWindows || !last) return [];
+        const after = new Date(last.timestamp).getTime();
+        const before = new Date(latest.timestamp).getTime();
+        try {
+            const windows = await getWindows(location, new Date(after + 1), new Date(before - 1));
+            return windows.filter((w) => {
+                const time = new Date(w.timestamp).getTime();
+                return time > after && time < before;
+            });
+        } catch (err) {
+            logger.warn("Could not read windows since the last poll; evaluating the latest only", { location, err });
+            return [];
+        }
+    }
+
+    return {
+        handleReading,
+        check,
+
+        /**
+         * Process the latest reading per location from a poll. The first
+         * reading seen for a location only seeds state; after that every
+         * window up to the latest is evaluated in order.
+         */
+        async handlePoll(latest) {
+            try {
+                for (const [location, data] of Object.entries(latest)) {
+                    if (!data || !data.timestamp) continue;
+
+                    const known = locations[location];
+                    if (!known) {
+                        locations[location] = { last: data, ruleState: {} };
+                    } else if (!known.last || known.last.timestamp !== data.timestamp) {
+                        for (const window of await missedWindows(location, known.last, data)) {
+                            await handleReading(location, window);
+                        }
+                        await handleReading(location, data);
+                    }
+                }
+                await check();
+            } catch (err) {
+                logger.error("Alert evaluation failed", { err });
+            }
+        },
+
+        // Send a test alert through every notifier
+        test(location = "test") {
+            return record({ id: "test", type: "test", severity: "info" }, location, "triggered",
+                "Test alert from the Rideau Canal dashboard", null);
+        },
+
+        history(filter) {
+            return store.list(filter);
+        },
+
+        activeAlerts() {
+            return [...active.values()].map(({ ruleId, location }) => ({ ruleId, location }));
+        },
+
+        channels() {
+            return notifiers.map(n => n.name);
+        }
+    };
+}
+
+module.exports = { createAlertEngine };
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const { validateRule } = require('./rules');
+const { createAlertEngine } = require('./engine');
+const { createAlertStore } = require('./store');
+const { createNotifiersFromEnv } = require('./notifiers');
+
+const DEFAULT_ALERTS_FILE = path.join(__dirname, "..", "..", "config", "alerts.json");
+
+/**
+ * Load alert rules from ALERTS_FILE (default config/alerts.json)
+ */
+function loadAlertConfig(filePath = process.env.ALERTS_FILE || DEFAULT_ALERTS_FILE) {
+    const resolved = path.resolve(filePath);
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    } catch (err) {
+        throw new Error(`Failed to load alert rules from ${resolved}: ${err.message}`);
+    }
+
+    if (!Array.isArray(config.rules)) {
+        throw new Error(`Alert config ${resolved} must contain a "rules" array`);
+    }
+    config.rules.forEach(validateRule);
+    return config;
+}
+
+module.exports = {
+    loadAlertConfig,
+    createAlertEngine,
+    createAlertStore,
+    createNotifiersFromEnv
+};
@@ -0,0 +1,82 @@
+const nodemailer = require('nodemailer');
+const { postJson } = require('../http');
+
+/**
+ * Webhook notifier - POSTs { text, alert } to every configured URL.
+ * "text" makes the payload usable directly with Slack/Teams incoming webhooks.
+ */
+function createWebhookNotifier(urls) {
+    return {
+        name: "webhook",
+
+        async send(alert) {
+            const text = `[${alert.severity.toUpperCase()}] ${alert.message}`;
+            await Promise.all(urls.map(url => postJson(url, { text, alert })));
+        }
+    };
+}
+
+/**
+ * Email notifier - sends alerts over SMTP (or through the given nodemailer transporter)
+ */
+function createEmailNotifier({ host, port, secure, user, pass, from, to, transporter }) {
+    const mailer = transporter || nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: "email",
+
+        async send(alert) {
+            const state = alert.state === "resolved" ? "Resolved" : alert.severity.toUpperCase();
+            await mailer.sendMail({
+                from,
+                to,
+                subject: `[Rideau Canal ${state}] ${alert.locationName}: ${alert.ruleId}`,
+                text: [
+                    alert.message,
+                    "",
+                    `Location: ${alert.locationName}`,
+                    `Rule: ${alert.ruleId}`,
+                    `State: ${alert.state}`,
+                    `Time: ${alert.timestamp}`
+                ].join("\n")
+            });
+        }
+    };
+}
+
+/**
+ * Build notifiers from ALERT_WEBHOOK_URLS and SMTP_* / ALERT_EMAIL_* variables
+ */
+function createNotifiersFromEnv(env = process.env) {
+    const notifiers = [];
+
+    const urls = (env.ALERT_WEBHOOK_URLS || "").split(",").map(u => u.trim()).filter(Boolean);
+    if (urls.length > 0) {
+        notifiers.push(createWebhookNotifier(urls));
+    }
+
+    if (env.SMTP_HOST && env.ALERT_EMAIL_TO) {
+        notifiers.push(createEmailNotifier({
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === "true",
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            from: env.ALERT_EMAIL_FROM || "rideau-canal-dashboard@localhost",
+            to: env.ALERT_EMAIL_TO
+        }));
+    }
+
+    return notifiers;
+}
+
+module.exports = {
+    createWebhookNotifier,
+    createEmailNotifier,
+    createNotifiersFromEnv
+};
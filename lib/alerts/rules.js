@@ -0,0 +1,110 @@
+/**
+ * Alert rule types.
+ *
+ * "event" rules fire once per occurrence (e.g. a status transition).
+ * "condition" rules report whether their condition is currently active;
+ * the engine fires when it becomes active and resolves when it clears.
+ *
+ * Metrics flagged as implausible (see lib/anomalies.js) are sensor glitches,
+ * not conditions on the ice, so rules leave them out.
+ */
+const { isAnomalous } = require('../anomalies');
+
+function sameStatus(a, b) {
+    return String(a || "").toLowerCase() === String(b || "").toLowerCase();
+}
+
+const RULE_TYPES = {
+    // Safety status changed between two consecutive windows
+    statusTransition: {
+        kind: "event",
+        onReading(rule, { name, data, previous, state }) {
+            // A status worked out from implausible readings is neither reported nor compared
+            // against; an operator override is always taken as given
+            const plausible = doc => doc.override || !isAnomalous(doc);
+            if (!plausible(data)) return null;
+            if (!("status" in state)) {
+                if (!previous || !plausible(previous)) {
+                    state.status = data.safetyStatus;
+                    return null;
+                }
+                state.status = previous.safetyStatus;
+            }
+
+            const from = state.status;
+            const to = data.safetyStatus;
+            state.status = to;
+            if (sameStatus(from, to)) return null;
+            if (rule.to && !rule.to.some(status => sameStatus(status, to))) return null;
+
+            return {
+                key: String(to || "unknown").toLowerCase(),
+                message: `${name}: safety status changed from ${from || "Unknown"} to ${to || "Unknown"}`
+            };
+        }
+    },
+
+    // Average ice thickness under a threshold (cm)
+    iceThicknessBelow: {
+        kind: "condition",
+        onReading(rule, { name, data }) {
+            if (typeof data.avgIceThickness !== "number" || isAnomalous(data, "avgIceThickness")) return null;
+            return {
+                active: data.avgIceThickness < rule.threshold,
+                message: `${name}: ice thickness ${data.avgIceThickness.toFixed(1)} cm is below ${rule.threshold} cm`
+            };
+        }
+    },
+
+    // Surface temperature above a threshold (°C) for N consecutive windows
+    surfaceTemperatureAbove: {
+        kind: "condition",
+        onReading(rule, { name, data, state }) {
+            if (typeof data.avgSurfaceTemperature !== "number" || isAnomalous(data, "avgSurfaceTemperature")) return null;
+
+            const windows = rule.consecutiveWindows || 1;
+            state.streak = data.avgSurfaceTemperature > rule.threshold ? (state.streak || 0) + 1 : 0;
+            return {
+                active: state.streak >= windows,
+                message: `${name}: surface temperature ${data.avgSurfaceTemperature.toFixed(1)} °C has been above ` +
+                    `${rule.threshold} °C for ${state.streak} consecutive window${state.streak === 1 ? "" : "s"}`
+            };
+        }
+    },
+
+    // No new aggregation window for longer than maxAgeMinutes
+    staleData: {
+        kind: "condition",
+        onCheck(rule, { name, lastTimestamp, now }) {
+            if (!lastTimestamp) return null;
+
+            const ageMinutes = (now - new Date(lastTimestamp).getTime()) / 60000;
+            return {
+                active: ageMinutes > rule.maxAgeMinutes,
+                message: `${name}: no new data for ${Math.floor(ageMinutes)} minutes (limit ${rule.maxAgeMinutes})`
+            };
+        }
+    }
+};
+
+/**
+ * Check a rule definition from the alert configuration
+ */
+function validateRule(rule, index) {
+    if (!rule || !rule.id) {
+        throw new Error(`Alert rule #${index + 1} is missing an "id"`);
+    }
+    if (!RULE_TYPES[rule.type]) {
+        throw new Error(`Alert rule "${rule.id}" has unknown type "${rule.type}" ` +
+            `(expected ${Object.keys(RULE_TYPES).join(", ")})`);
+    }
+    if ((rule.type === "iceThicknessBelow" || rule.type === "surfaceTemperatureAbove") &&
+        typeof rule.threshold !== "number") {
+        throw new Error(`Alert rule "${rule.id}" needs a numeric "threshold"`);
+    }
+    if (rule.type === "staleData" && typeof rule.maxAgeMinutes !== "number") {
+        throw new Error(`Alert rule "${rule.id}" needs a numeric "maxAgeMinutes"`);
+    }
+}
+
+module.exports = { RULE_TYPES, validateRule };
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+/**
+ * Alert history - recent alerts kept in memory and appended to an
+ * NDJSON file so history survives restarts.
+ */
+function createAlertStore({ filePath, limit = 1000 } = {}) {
+    let alerts = [];
+
+    if (filePath && fs.existsSync(filePath)) {
+        try {
+            alerts = fs.readFileSync(filePath, "utf8")
+                .split(/\r?\n/)
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line))
+                .slice(-limit);
+        } catch (err) {
+            logger.error("Failed to read alert history", { file: filePath, err });
+        }
+    }
+
+    return {
+        add(alert) {
+            alerts.push(alert);
+            if (alerts.length > limit) alerts.shift();
+
+            if (filePath) {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.appendFile(filePath, JSON.stringify(alert) + "\n", (err) => {
+                    if (err) logger.error("Failed to write alert history", { file: filePath, err });
+                });
+            }
+        },
+
+        // Newest first, optionally filtered by location, rule and start time
+        list({ location, ruleId, since, limit: max = 100 } = {}) {
+            const sinceTime = since ? new Date(since).getTime() : null;
+            return alerts
+                .filter(a => !location || a.location === location)
+                .filter(a => !ruleId || a.ruleId === ruleId)
+                .filter(a => !sinceTime || new Date(a.timestamp).getTime() >= sinceTime)
+                .slice(-max)
+                .reverse();
+        }
+    };
+}
+
+module.exports = { createAlertStore };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { METRICS } = require('./history');
+
+const DEFAULT_ANOMALY_RULES_FILE = path.join(__dirname, "..", "config", "anomaly-rules.json");
+
+const METRIC_LABELS = {
+    avgIceThickness: { label: "Ice thickness", unit: "cm" },
+    avgSurfaceTemperature: { label: "Surface temperature", unit: "°C" },
+    maxSnowAccumulation: { label: "Snow accumulation", unit: "cm" },
+    avgExternalTemperature: { label: "External temperature", unit: "°C" },
+    readingCount: { label: "Reading count", unit: "" }
+};
+
+function describe(metric, value) {
+    const { label, unit } = METRIC_LABELS[metric];
+    return `${label} ${value.toFixed(1)}${unit ? ` ${unit}` : ""}`;
+}
+
+function isNumber(value) {
+    return typeof value === "number" && !isNaN(value);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function validateRules(rules) {
+    for (const section of ["ranges", "jumps", "outliers"]) {
+        if (!rules[section] || typeof rules[section] !== "object") {
+            throw new Error(`Anomaly rules are missing "${section}"`);
+        }
+    }
+    const metricMaps = {
+        ranges: rules.ranges,
+        "jumps.maxChangePerWindow": rules.jumps.maxChangePerWindow || {},
+        "outliers.maxDeviation": rules.outliers.maxDeviation || {}
+    };
+    for (const [section, map] of Object.entries(metricMaps)) {
+        for (const metric of Object.keys(map)) {
+            if (!METRICS.includes(metric)) {
+                throw new Error(`Unknown metric "${metric}" in anomaly rules ${section} (expected ${METRICS.join(", ")})`);
+            }
+        }
+    }
+}
+
+/**
+ * Flag implausible readings: values out of range, sudden jumps between
+ * consecutive windows, and readings far from the other locations.
+ * Flags are attached as `anomalies: [{ metric, type, value, message, ... }]`,
+ * only on documents that have any.
+ */
+function createAnomalyDetector(rules, { windowMs }) {
+    validateRules(rules);
+
+    const maxGapMs = (rules.jumps.maxGapWindows || 3) * windowMs;
+    const maxChange = rules.jumps.maxChangePerWindow || {};
+    const maxDeviation = rules.outliers.maxDeviation || {};
+    const minLocations = rules.outliers.minLocations || 3;
+
+    function withAnomalies(doc, anomalies) {
+        if (anomalies.length === 0) return doc;
+        return { ...doc, anomalies: [...(doc.anomalies || []), ...anomalies] };
+    }
+
+    function rangeAnomalies(doc) {
+        const anomalies = [];
+        for (const [metric, { min, max }] of Object.entries(rules.ranges)) {
+            const value = doc[metric];
+            if (!isNumber(value)) continue;
+            if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+                anomalies.push({
+                    metric,
+                    type: "range",
+                    value,
+                    min: min ?? null,
+                    max: max ?? null,
+                    message: `${describe(metric, value)} is outside the plausible range`
+                });
+            }
+        }
+        return anomalies;
+    }
+
+    // Compares against the last reading of each metric that wasn't itself flagged
+    function jumpAnomalies(doc, previous, time) {
+        const anomalies = [];
+        for (const [metric, limitPerWindow] of Object.entries(maxChange)) {
+            const value = doc[metric];
+            const prev = previous[metric];
+            if (!isNumber(value) || !prev || time - prev.time > maxGapMs || time <= prev.time) continue;
+
+            const limit = limitPerWindow * Math.max(1, (time - prev.time) / windowMs);
+            const change = value - prev.value;
+            if (Math.abs(change) > limit) {
+                anomalies.push({
+                    metric,
+                    type: "jump",
+                    value,
+                    previous: prev.value,
+                    change: Math.round(change * 100) / 100,
+                    limit,
+                    message: `${METRIC_LABELS[metric].label} changed by ${change > 0 ? "+" : ""}${change.toFixed(1)} ${METRIC_LABELS[metric].unit} since the previous window`
+                });
+            }
+        }
+        return anomalies;
+    }
+
+    return {
+        /**
+         * Range and jump checks over one location's documents (oldest first)
+         */
+        flagSeries(docs) {
+            const previous = {};
+            return docs.map(doc => {
+                const time = new Date(doc.timestamp).getTime();
+                if (isNaN(time)) return doc;
+
+                // A value already out of range isn't reported again as a jump
+                const range = rangeAnomalies(doc);
+                const jumps = jumpAnomalies(doc, previous, time).filter(j => !range.some(r => r.metric === j.metric));
+                const flagged = withAnomalies(doc, [...range, ...jumps]);
+                const flaggedMetrics = new Set((flagged.anomalies || []).map(a => a.metric));
+                for (const metric of Object.keys(maxChange)) {
+                    if (isNumber(doc[metric]) && !flaggedMetrics.has(metric)) {
+                        previous[metric] = { value: doc[metric], time };
+                    }
+                }
+                return flagged;
+            });
+        },
+
+        /**
+         * Flag latest readings that sit far from the median of the other
+         * locations. Takes and returns { [locationKey]: data }; only live
+         * readings take part.
+         */
+        flagOutliers(byLocation) {
+            const live = Object.entries(byLocation)
+                .filter(([, data]) => data && data.timestamp && (!data.health || data.health.state === "Live"));
+            if (live.length < minLocations) return byLocation;
+
+            const result = { ...byLocation };
+            for (const [key, data] of live) {
+                const anomalies = [];
+                for (const [metric, limit] of Object.entries(maxDeviation)) {
+                    const value = data[metric];
+                    // Peers' readings already flagged on this metric would skew the median
+                    const peers = live
+                        .filter(([other, d]) => other !== key && !isAnomalous(d, metric))
+                        .map(([, d]) => d[metric])
+                        .filter(isNumber);
+                    if (!isNumber(value) || peers.length < minLocations - 1) continue;
+                    if ((data.anomalies || []).some(a => a.metric === metric)) continue;
+
+                    const expected = median(peers);
+                    const deviation = value - expected;
+                    if (Math.abs(deviation) > limit) {
+                        anomalies.push({
+                            metric,
+                            type: "outlier",
+                            value,
+                            median: expected,
+                            deviation: Math.round(deviation * 100) / 100,
+                            limit,
+                            message: `${describe(metric, value)} differs from other locations by ${Math.abs(deviation).toFixed(1)} ${METRIC_LABELS[metric].unit}`
+                        });
+                    }
+                }
+                result[key] = withAnomalies(data, anomalies);
+            }
+            return result;
+        },
+
+        rules() {
+            return rules;
+        }
+    };
+}
+
+/**
+ * True when a document has an anomaly on the given metric (any metric when omitted)
+ */
+function isAnomalous(doc, metric) {
+    if (!doc || !doc.anomalies) return false;
+    return metric === undefined || doc.anomalies.some(a => a.metric === metric);
+}
+
+/**
+ * Load anomaly rules from ANOMALY_RULES_FILE (default config/anomaly-rules.json)
+ */
+function loadAnomalyDetector(options, filePath = process.env.ANOMALY_RULES_FILE || DEFAULT_ANOMALY_RULES_FILE) {
+    const resolved = path.resolve(filePath);
+    let rules;
+    try {
+        rules = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    } catch (err) {
+        throw new Error(`Failed to load anomaly rules from ${resolved}: ${err.message}`);
+    }
+    return createAnomalyDetector(rules, options);
+}
+
+module.exports = { METRIC_LABELS, createAnomalyDetector, isAnomalous, loadAnomalyDetector };
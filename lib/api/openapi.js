@@ -0,0 +1,79 @@
+/**
+ * Build the OpenAPI 3 document from the v1 route table, so the
+ * published spec always matches the parameters the router validates.
+ */
+const { schemas } = require('./schemas');
+
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, "{$1}");
+}
+
+function responseFor(schemaName, description) {
+    return {
+        description,
+        content: { "application/json": { schema: { $ref: `#/components/schemas/${schemaName}` } } }
+    };
+}
+
+function buildOpenApiDocument({ routes, basePath, version, title }) {
+    const paths = {};
+
+    for (const route of routes) {
+        const parameters = [
+            ...(route.pathParams || []).map(p => ({ ...p, in: "path", required: true })),
+            ...(route.query || []).map(p => ({ ...p, in: "query" }))
+        ];
+
+        const responses = {
+            200: route.array
+                ? {
+                    description: route.summary,
+                    content: {
+                        "application/json": {
+                            schema: { type: "array", items: { $ref: `#/components/schemas/${route.response}` } }
+                        }
+                    }
+                }
+                : responseFor(route.response, route.summary),
+            304: { description: "Not modified (ETag or Last-Modified matched)" },
+            400: responseFor("Error", "Invalid request"),
+            429: {
+                ...responseFor("Error", "Rate limit exceeded"),
+                headers: { "Retry-After": { schema: { type: "integer" }, description: "Seconds until the limit resets" } }
+            }
+        };
+        if (route.pathParams) responses[404] = responseFor("Error", "Unknown location");
+        if (route.readsDataSource) responses[503] = responseFor("Error", "Data source unavailable, with no earlier reading to serve");
+
+        paths[toOpenApiPath(basePath + route.path)] = {
+            [route.method]: {
+                operationId: route.operationId,
+                summary: route.summary,
+                ...(route.description ? { description: route.description } : {}),
+                parameters,
+                responses
+            }
+        };
+    }
+
+    return {
+        openapi: "3.0.3",
+        info: {
+            title,
+            version,
+            description: "Read-only skateway conditions for the Rideau Canal. " +
+                "Responses carry ETag and Last-Modified headers for conditional requests; " +
+                "clients are rate limited per API key or IP address (see RateLimit-* headers). " +
+                "Location names are returned in the language negotiated from Accept-Language (en or fr)."
+        },
+        paths,
+        components: {
+            schemas,
+            securitySchemes: {
+                apiKey: { type: "apiKey", in: "header", name: "X-API-Key" }
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
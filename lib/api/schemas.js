@@ -0,0 +1,186 @@
+/**
+ * Public v1 response schemas (OpenAPI 3 / JSON Schema) and the
+ * serializers that map internal documents onto them. Only fields listed
+ * here are part of the public contract.
+ */
+const { METRICS } = require('../history');
+
+const STATUS_ENUM = ["Safe", "Caution", "Unsafe", "Unknown", "Closed"];
+const FRESHNESS_ENUM = ["Live", "Stale", "Offline"];
+
+const nullableNumber = { type: "number", nullable: true };
+
+const schemas = {
+    Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } }
+    },
+    Anomaly: {
+        type: "object",
+        required: ["metric"],
+        description: "Implausible value flagged by the server",
+        properties: {
+            metric: { type: "string", enum: METRICS },
+            type: { type: "string", enum: ["range", "jump", "outlier"], description: "Raw windows and conditions only" },
+            message: { type: "string", description: "Raw windows and conditions only" },
+            count: { type: "integer", description: "Anomalous windows in the bucket (bucketed only)" }
+        }
+    },
+    Location: {
+        type: "object",
+        required: ["key", "name", "order"],
+        properties: {
+            key: { type: "string", example: "dows-lake" },
+            name: { type: "string", example: "Dow's Lake", description: "Display name in the language negotiated from Accept-Language (en, fr)" },
+            order: { type: "integer", description: "Position along the skateway" },
+            coordinates: {
+                type: "object",
+                nullable: true,
+                properties: { lat: { type: "number" }, lng: { type: "number" } }
+            }
+        }
+    },
+    Condition: {
+        type: "object",
+        required: ["location", "timestamp", "safetyStatus", "freshness"],
+        properties: {
+            location: { type: "string" },
+            name: { type: "string", description: "Display name in the language negotiated from Accept-Language (en, fr)" },
+            timestamp: { type: "string", format: "date-time", nullable: true, description: "End of the aggregation window" },
+            avgIceThickness: { ...nullableNumber, description: "cm" },
+            avgSurfaceTemperature: { ...nullableNumber, description: "°C" },
+            maxSnowAccumulation: { ...nullableNumber, description: "cm" },
+            avgExternalTemperature: { ...nullableNumber, description: "°C" },
+            readingCount: { type: "integer", nullable: true },
+            safetyStatus: { type: "string", enum: STATUS_ENUM, description: "Includes operator overrides" },
+            freshness: { type: "string", enum: FRESHNESS_ENUM },
+            anomalies: { type: "array", items: { $ref: "#/components/schemas/Anomaly" } },
+            degraded: { type: "boolean", description: "Last known reading, served while the data store is unavailable" },
+            override: {
+                type: "object",
+                nullable: true,
+                description: "Operator override in force, e.g. a closure for maintenance",
+                properties: {
+                    status: { type: "string", enum: ["Closed", "Caution"] },
+                    reason: { type: "string" },
+                    expiresAt: { type: "string", format: "date-time" }
+                }
+            }
+        }
+    },
+    Status: {
+        type: "object",
+        required: ["systemStatus", "totalLocations", "lastUpdate", "counts"],
+        properties: {
+            systemStatus: {
+                type: "string",
+                enum: ["Safe", "Caution", "Unsafe", "Unknown", "Closed", "Stale", "Offline", "No Data"]
+            },
+            totalLocations: { type: "integer" },
+            degraded: { type: "boolean", description: "The data store is unavailable; readings are the last known" },
+            lastUpdate: { type: "string", format: "date-time", nullable: true },
+            counts: {
+                type: "object",
+                properties: {
+                    safe: { type: "integer" },
+                    caution: { type: "integer" },
+                    unsafe: { type: "integer" },
+                    unknown: { type: "integer" },
+                    closed: { type: "integer" },
+                    stale: { type: "integer" },
+                    offline: { type: "integer" }
+                }
+            }
+        }
+    },
+    HistoryPoint: {
+        type: "object",
+        required: ["timestamp"],
+        properties: {
+            timestamp: { type: "string", format: "date-time", description: "Window end, or bucket start when bucketed" },
+            ...Object.fromEntries(METRICS.map(m => [m, nullableNumber])),
+            safetyStatus: { type: "string", enum: STATUS_ENUM, description: "Raw windows only" },
+            bucketEnd: { type: "string", format: "date-time", description: "Bucketed only" },
+            count: { type: "integer", description: "Windows in the bucket (bucketed only)" },
+            min: { type: "object", additionalProperties: nullableNumber, description: "Bucketed only" },
+            max: { type: "object", additionalProperties: nullableNumber, description: "Bucketed only" },
+            anomalies: { type: "array", items: { $ref: "#/components/schemas/Anomaly" }, description: "Present only when flagged" }
+        }
+    },
+    History: {
+        type: "object",
+        required: ["location", "from", "to", "bucket", "points"],
+        properties: {
+            location: { type: "string" },
+            from: { type: "string", format: "date-time" },
+            to: { type: "string", format: "date-time" },
+            bucket: { type: "string", nullable: true, example: "1h" },
+            points: { type: "array", items: { $ref: "#/components/schemas/HistoryPoint" } }
+        }
+    }
+};
+
+function serializeLocation(location) {
+    return {
+        key: location.key,
+        name: location.name,
+        order: location.order,
+        coordinates: location.coordinates
+    };
+}
+
+function serializeCondition(data, location) {
+    return {
+        location: data.location,
+        name: location ? location.name : data.location,
+        timestamp: data.timestamp,
+        avgIceThickness: data.avgIceThickness ?? null,
+        avgSurfaceTemperature: data.avgSurfaceTemperature ?? null,
+        maxSnowAccumulation: data.maxSnowAccumulation ?? null,
+        avgExternalTemperature: data.avgExternalTemperature ?? null,
+        readingCount: data.readingCount ?? null,
+        safetyStatus: data.safetyStatus,
+        freshness: data.health ? data.health.state : "Offline",
+        anomalies: (data.anomalies || []).map(a => ({ metric: a.metric, type: a.type, message: a.message })),
+        degraded: Boolean(data.degraded),
+        override: data.override
+            ? { status: data.override.status, reason: data.override.reason, expiresAt: data.override.expiresAt }
+            : null
+    };
+}
+
+function serializeStatus(status) {
+    return {
+        systemStatus: status.systemStatus,
+        totalLocations: status.totalLocations,
+        degraded: Boolean(status.degraded),
+        lastUpdate: status.lastUpdate,
+        counts: {
+            safe: status.safeLocations,
+            caution: status.cautionLocations,
+            unsafe: status.unsafeLocations,
+            unknown: status.unknownLocations,
+            closed: status.closedLocations,
+            stale: status.staleLocations,
+            offline: status.offlineLocations
+        }
+    };
+}
+
+function serializeHistoryPoint(point) {
+    const { location, anomalies, ...rest } = point;
+    if (!anomalies) return rest;
+    return {
+        ...rest,
+        anomalies: anomalies.map(a => (a.type ? { metric: a.metric, type: a.type, message: a.message } : { metric: a.metric, count: a.count }))
+    };
+}
+
+module.exports = {
+    schemas,
+    serializeLocation,
+    serializeCondition,
+    serializeStatus,
+    serializeHistoryPoint
+};
@@ -0,0 +1,195 @@
+const express = require('express');
+const { METRICS, DEFAULT_MAX_RANGE_DAYS, parseHistoryQuery, shapeHistory } = require('../history');
+const { badRequest, notFound } = require('../errors');
+const { localizeLocation } = require('../locations');
+const { buildOpenApiDocument } = require('./openapi');
+const {
+    serializeLocation,
+    serializeCondition,
+    serializeStatus,
+    serializeHistoryPoint
+} = require('./schemas');
+
+const BASE_PATH = "/api/v1";
+const API_VERSION = "1.0.0";
+
+const dateTimeParam = description => ({ schema: { type: "string", format: "date-time" }, description });
+
+/**
+ * Public read-only API, version 1.
+ *
+ * deps: locationRegistry, getLatestForAll(), getLatestData(key), buildStatus(data),
+ *       queryRange(key, from, to), normalizeSeries(docs), excludeAnomalies, maxHistoryPoints, maxHistoryDays, rateLimit
+ */
+function createV1Router(deps) {
+    const { locationRegistry } = deps;
+    const router = express.Router();
+
+    // Conditional GET support: Express answers 304 from ETag, we add Last-Modified
+    function sendCached(req, res, body, lastModified) {
+        res.setHeader("Cache-Control", "public, max-age=30, must-revalidate");
+        if (lastModified) {
+            res.setHeader("Last-Modified", new Date(lastModified).toUTCString());
+        }
+        res.json(body);
+    }
+
+    function latestTimestamp(items) {
+        return items
+            .map(item => item.timestamp)
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
+    }
+
+    function requireLocation(key) {
+        const location = locationRegistry.get(key);
+        if (!location) {
+            throw notFound(`Unknown location "${key}"`);
+        }
+        return location;
+    }
+
+    const locationParam = {
+        name: "location",
+        schema: { type: "string", enum: locationRegistry.keys() },
+        description: "Location key from /locations"
+    };
+
+    const routes = [
+        {
+            method: "get",
+            path: "/locations",
+            operationId: "listLocations",
+            summary: "Monitored locations in order along the skateway",
+            response: "Location",
+            array: true,
+            async handler(req, res) {
+                sendCached(req, res, locationRegistry.list().map(location => serializeLocation(localizeLocation(location, req.language))));
+            }
+        },
+        {
+            method: "get",
+            path: "/conditions",
+            operationId: "listConditions",
+            summary: "Latest conditions for every location",
+            response: "Condition",
+            array: true,
+            async handler(req, res) {
+                const latest = Object.values(await deps.getLatestForAll());
+                const body = latest.map(data => {
+                    const location = locationRegistry.get(data.location);
+                    return serializeCondition(data, location && localizeLocation(location, req.language));
+                });
+                sendCached(req, res, body, latestTimestamp(body));
+            }
+        },
+        {
+            method: "get",
+            path: "/conditions/:location",
+            operationId: "getCondition",
+            summary: "Latest conditions for one location",
+            pathParams: [locationParam],
+            response: "Condition",
+            readsDataSource: true,
+            async handler(req, res) {
+                const location = requireLocation(req.params.location);
+                const data = await deps.getLatestData(location.key);
+                if (!data) return res.status(404).json({ error: "No data for location" });
+                sendCached(req, res, serializeCondition(data, localizeLocation(location, req.language)), data.timestamp);
+            }
+        },
+        {
+            method: "get",
+            path: "/status",
+            operationId: "getStatus",
+            summary: "Overall skateway status",
+            response: "Status",
+            async handler(req, res) {
+                const status = serializeStatus(deps.buildStatus(await deps.getLatestForAll()));
+                sendCached(req, res, status, status.lastUpdate);
+            }
+        },
+        {
+            method: "get",
+            path: "/history/:location",
+            operationId: "getHistory",
+            summary: "Aggregation windows for a location, optionally downsampled",
+            description: `Ranges may span at most ${deps.maxHistoryDays || DEFAULT_MAX_RANGE_DAYS} days; longer ranges are rejected with 400.`,
+            pathParams: [locationParam],
+            query: [
+                { name: "from", ...dateTimeParam("Range start (default: one hour before to)") },
+                { name: "to", ...dateTimeParam("Range end (default: now)") },
+                { name: "hours", schema: { type: "number", minimum: 0, exclusiveMinimum: true }, description: "Hours before now; instead of from" },
+                {
+                    name: "bucket",
+                    schema: { type: "string", pattern: "^[1-9][0-9]*[mhd]$" },
+                    description: "Aggregate min/avg/max per bucket, e.g. 5m, 1h, 1d"
+                },
+                {
+                    name: "metrics",
+                    schema: { type: "string" },
+                    description: `Comma-separated subset of ${METRICS.join(", ")}`
+                }
+            ],
+            response: "History",
+            readsDataSource: true,
+            async handler(req, res) {
+                const location = requireLocation(req.params.location);
+                const query = parseHistoryQuery(req.query, { maxRangeDays: deps.maxHistoryDays });
+                const docs = await deps.queryRange(location.key, query.from, query.to);
+                const { points, bucket } = shapeHistory(deps.normalizeSeries(docs), query, deps.maxHistoryPoints, {
+                    excludeAnomalies: deps.excludeAnomalies
+                });
+
+                sendCached(req, res, {
+                    location: location.key,
+                    from: query.from.toISOString(),
+                    to: query.to.toISOString(),
+                    bucket,
+                    points: points.map(serializeHistoryPoint)
+                }, latestTimestamp(points));
+            }
+        }
+    ];
+
+    const openApiDocument = buildOpenApiDocument({
+        routes,
+        basePath: BASE_PATH,
+        version: API_VERSION,
+        title: "Rideau Canal Skateway API"
+    });
+
+    router.get("/openapi.json", (req, res) => {
+        res.setHeader("Cache-Control", "public, max-age=3600");
+        res.json(openApiDocument);
+    });
+
+    if (deps.rateLimit) router.use(deps.rateLimit);
+
+    for (const route of routes) {
+        const allowed = new Set((route.query || []).map(p => p.name));
+
+        router[route.method](route.path, async (req, res) => {
+            try {
+                const unknown = Object.keys(req.query).filter(name => !allowed.has(name));
+                if (unknown.length > 0) {
+                    throw badRequest(`Unknown query parameters: ${unknown.join(", ")}`);
+                }
+                await route.handler(req, res);
+            } catch (err) {
+                if (!err.status) req.log.error("API v1 request failed", { operationId: route.operationId, err });
+                res.status(err.status || 500).json({ error: err.status ? err.message : "Internal server error" });
+            }
+        });
+    }
+
+    // Unknown v1 paths get a JSON 404 instead of falling through to the dashboard
+    router.use((req, res) => {
+        res.status(404).json({ error: `No such endpoint: ${req.method} ${BASE_PATH}${req.path}` });
+    });
+
+    return router;
+}
+
+module.exports = { createV1Router, BASE_PATH, API_VERSION };
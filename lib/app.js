@@ -0,0 +1,1186 @@
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { createDataSource, createInstrumentedDataSource } = require('./datasource');
+const { loadLocationRegistry, localizeLocation } = require('./locations');
+const { negotiateLanguage } = require('./i18n');
+const { canonicalStatus, loadSafetyClassifier } = require('./safety');
+const { createLiveFeed } = require('./live');
+const { createCache, windowAlignedTtl } = require('./cache');
+const { DEFAULT_MAX_RANGE_DAYS, parseHistoryQuery, shapeHistory, selectMetrics } = require('./history');
+const { httpError, badRequest, notFound } = require('./errors');
+const { createCircuitBreaker, createResilientDataSource } = require('./resilience');
+const { TIMEZONE, parseStatsQuery, buildLocationStats } = require('./stats');
+const { parseSeasonList, groupBySeason, summarizeSeason, seasonSeries } = require('./seasons');
+const { createArchiveStore, createArchiveRollup } = require('./archive');
+const { parseForecastQuery, iceThresholds, buildForecast } = require('./forecast');
+const { isAnomalous, loadAnomalyDetector } = require('./anomalies');
+const { parseIngestBody } = require('./ingest');
+const { createSimulator, runSimulator } = require('./simulator');
+const { FORMATS, createExportWriter } = require('./export');
+const { assessHealth } = require('./health');
+const { createAuth, loadAuthFile } = require('./auth');
+const { createRateLimiter } = require('./rate-limit');
+const { createV1Router } = require('./api/v1');
+const { createOverrideStore } = require('./overrides');
+const {
+    loadAlertConfig,
+    createAlertEngine,
+    createAlertStore,
+    createNotifiersFromEnv
+} = require('./alerts');
+const { logger: defaultLogger } = require('./logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetricsRegistry } = require('./metrics');
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+
+// Chart libraries are served from node_modules so the dashboard works without internet access
+const VENDOR_FILES = {
+    "chart.umd.js": path.join(path.dirname(require.resolve("chart.js")), "chart.umd.js"),
+    "chartjs-adapter-date-fns.bundle.min.js": path.join(
+        path.dirname(require.resolve("chartjs-adapter-date-fns")),
+        "chartjs-adapter-date-fns.bundle.min.js"
+    )
+};
+
+// Incoming X-Request-ID values are reused only if they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Routes whose successful requests are only logged at debug level
+const QUIET_ROUTES = new Set(["static", "/healthz", "/readyz", "/metrics"]);
+
+/**
+ * Build the dashboard's Express app. The data source defaults to the one
+ * selected by DATA_SOURCE and the logger to the shared one; tests pass their
+ * own. Background work (live feed polling, data source probes and the
+ * simulator) begins with start().
+ */
+function createApp({ dataSource: source = createDataSource(), logger = defaultLogger } = {}) {
+    const app = express();
+
+    // Prometheus metrics, served by GET /metrics
+    const metrics = createMetricsRegistry();
+    const httpRequests = metrics.counter({
+        name: "rideau_http_requests_total",
+        help: "HTTP requests by method, route and status"
+    });
+    const httpDuration = metrics.histogram({
+        name: "rideau_http_request_duration_seconds",
+        help: "HTTP request latency by method and route"
+    });
+    const queryDuration = metrics.histogram({
+        name: "rideau_datasource_query_duration_seconds",
+        help: "Data source call latency by operation and outcome, one observation per attempt"
+    });
+
+    // Route pattern used as the metrics label, so IDs in paths don't create new series
+    function routeLabel(req, res) {
+        if (req.route) return `${req.baseUrl}${req.route.path}`;
+        return res.statusCode < 400 ? "static" : "unmatched";
+    }
+
+    // Request IDs (X-Request-ID, generated when missing), per-request logging and latency
+    app.use((req, res, next) => {
+        const started = process.hrtime.bigint();
+        const incoming = req.get("X-Request-ID");
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.setHeader("X-Request-ID", req.id);
+
+        res.on("finish", () => {
+            const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+            const route = routeLabel(req, res);
+            const status = res.statusCode;
+            httpRequests.inc({ method: req.method, route, status });
+            // Live streams stay open for minutes and would swamp the latency histogram
+            if (route !== "/api/stream") {
+                httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+            }
+
+            const level = status >= 500 ? "warn" : QUIET_ROUTES.has(route) ? "debug" : "info";
+            req.log[level]("Request completed", {
+                method: req.method,
+                path: req.originalUrl.split("?")[0],
+                route,
+                status,
+                durationMs: Math.round(durationMs * 10) / 10
+            });
+        });
+        next();
+    });
+
+    // Behind a reverse proxy (e.g. Azure App Service) set TRUST_PROXY so req.ip is the client address
+    if (process.env.TRUST_PROXY) {
+        app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+    }
+
+    // CORS_ORIGINS restricts cross-origin access to an allow-list; unset allows any origin
+    const corsOrigins = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+    app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins, credentials: true } : {}));
+    // Ingest batches are larger than other request bodies
+    app.use("/api/ingest", express.json({ limit: "2mb" }));
+    app.use(express.json());
+
+    // Authentication - API keys and local user sessions from AUTH_FILE
+    const auth = createAuth({
+        ...loadAuthFile(process.env.AUTH_FILE || "data/auth.json"),
+        sessionTtlMs: (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000,
+        secureCookies: process.env.SECURE_COOKIES === "true"
+    });
+    if (!auth.enabled) {
+        logger.warn("No users or API keys configured; operator and admin endpoints are unavailable (see npm run users)");
+    }
+    app.use("/api", auth.authenticate);
+
+    // Operators see author names; the service worker keeps these responses out of its offline cache
+    app.use("/api", (req, res, next) => {
+        if (auth.hasRole(req, "operator")) res.setHeader("X-Operator-View", "true");
+        next();
+    });
+
+    // Display names follow Accept-Language; everything else in responses is language-neutral
+    app.use("/api", (req, res, next) => {
+        req.language = negotiateLanguage(req.get("Accept-Language"));
+        res.setHeader("Content-Language", req.language);
+        res.vary("Accept-Language");
+        next();
+    });
+
+    app.use(express.static(PUBLIC_DIR, {
+        setHeaders: (res, filePath) => {
+            if (filePath.endsWith('.html') || filePath.endsWith('.js') || filePath.endsWith('.css')) {
+                res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+                res.setHeader('Pragma', 'no-cache');
+                res.setHeader('Expires', '0');
+            }
+        }
+    }));
+
+    // GET /vendor/:file - self-hosted chart libraries
+    app.get("/vendor/:file", (req, res) => {
+        const file = VENDOR_FILES[req.params.file];
+        if (!file) return res.status(404).send("Not found");
+        res.sendFile(file, { maxAge: "1d" });
+    });
+
+    // Location registry (config/locations.json or LOCATIONS_FILE)
+    const locationRegistry = loadLocationRegistry();
+
+    // Safety rules (config/safety-rules.json or SAFETY_RULES_FILE)
+    const safetyClassifier = loadSafetyClassifier();
+
+    // "computed" (default) reports the dashboard's own classification as safetyStatus,
+    // "upstream" keeps the status written by Stream Analytics
+    const SAFETY_STATUS_SOURCE = process.env.SAFETY_STATUS_SOURCE === "upstream" ? "upstream" : "computed";
+
+    // Normalize Cosmos DB document for dashboard output
+    function normalizeDoc(raw) {
+        if (!raw) return null;
+
+        const doc = {
+            location: locationRegistry.resolve(raw.location),
+
+            timestamp: raw.windowEnd || raw.timestamp,
+            avgIceThickness: raw.avgIceThickness,
+            avgSurfaceTemperature: raw.avgSurfaceTemperature,
+            maxSnowAccumulation: raw.maxSnowAccumulation,
+            avgExternalTemperature: raw.avgExternalTemperature,
+            readingCount: raw.readingCount
+        };
+
+        // Report both classifications and flag when they disagree
+        const upstream = canonicalStatus(raw.safetyStatus);
+        const computed = safetyClassifier.classify(doc);
+        doc.safetyStatus = SAFETY_STATUS_SOURCE === "upstream" ? upstream : computed;
+        doc.upstreamSafetyStatus = upstream;
+        doc.computedSafetyStatus = computed;
+        doc.safetyDisagreement = upstream !== computed;
+        doc.safetyRulesVersion = safetyClassifier.version;
+
+        return doc;
+    }
+
+    // Data source (Cosmos DB by default, local file with DATA_SOURCE=file, or injected).
+    // Every attempt is timed; queries are retried on transient errors and fail fast once the circuit opens.
+    const instrumentedSource = createInstrumentedDataSource(source, {
+        onQuery: ({ operation, durationMs, error }) => {
+            queryDuration.observe({ source: source.type, operation, outcome: error ? "error" : "ok" }, durationMs / 1000);
+        }
+    });
+    const dataSource = createResilientDataSource(instrumentedSource, {
+        breaker: createCircuitBreaker({
+            failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+            resetTimeoutMs: (parseInt(process.env.CIRCUIT_RESET_SECONDS) || 30) * 1000
+        }),
+        retry: { retries: process.env.DATA_SOURCE_RETRIES ? parseInt(process.env.DATA_SOURCE_RETRIES) : 2 }
+    });
+
+    // Outcome of the latest connectivity probe, reported by /readyz
+    const readiness = { reachable: false, checkedAt: null, error: null };
+
+    async function probeDataSource() {
+        try {
+            await dataSource.probe();
+            if (!readiness.reachable) logger.info("Data source reachable", { dataSource: dataSource.type });
+            readiness.reachable = true;
+            readiness.error = null;
+        } catch (err) {
+            if (readiness.reachable || !readiness.checkedAt) {
+                logger.error("Data source unreachable", { dataSource: dataSource.type, err });
+            }
+            readiness.reachable = false;
+            readiness.error = err.message;
+        }
+        readiness.checkedAt = new Date().toISOString();
+    }
+
+    // Failures reach clients as 503 so an outage isn't mistaken for missing data
+    function unavailable(err) {
+        return err.status === 503 ? err : httpError(503, "Data source unavailable");
+    }
+
+    // Aggregation window length used by Stream Analytics (default: 5 minutes)
+    const AGGREGATION_WINDOW_MS = (parseInt(process.env.AGGREGATION_WINDOW_SECONDS) || 300) * 1000;
+
+    // Implausible readings are flagged; rollups skip them only when asked to
+    const anomalyDetector = loadAnomalyDetector({ windowMs: AGGREGATION_WINDOW_MS });
+    const EXCLUDE_ANOMALIES = process.env.ANOMALY_EXCLUDE_FROM_ROLLUPS === "true";
+
+    // Normalize one location's documents (oldest first) and flag anomalies across them
+    function normalizeSeries(docs) {
+        return anomalyDetector.flagSeries(docs.map(normalizeDoc));
+    }
+
+    // Most points a history response may contain before it is downsampled
+    const MAX_HISTORY_POINTS = parseInt(process.env.MAX_HISTORY_POINTS) || 2000;
+    // Longest range a history query may span
+    const MAX_HISTORY_DAYS = parseInt(process.env.MAX_HISTORY_DAYS) || DEFAULT_MAX_RANGE_DAYS;
+
+    // Latest readings are cached until the next aggregation window is due
+    const latestCache = createCache({
+        ttl: windowAlignedTtl({ windowMs: AGGREGATION_WINDOW_MS })
+    });
+
+    // Data older than this is Stale, and Offline after OFFLINE_AFTER_MINUTES
+    const STALE_AFTER_MS = (parseInt(process.env.STALE_AFTER_MINUTES) || 3 * AGGREGATION_WINDOW_MS / 60000) * 60000;
+    const OFFLINE_AFTER_MS = (parseInt(process.env.OFFLINE_AFTER_MINUTES) || 60) * 60000;
+
+    // Windows looked back over when checking for gaps and low reading counts
+    const HEALTH_LOOKBACK_WINDOWS = 12;
+    const recentCache = createCache({ ttl: () => AGGREGATION_WINDOW_MS });
+
+    // Distinct stored locations change rarely; only used for diagnostics
+    const locationsCache = createCache({ ttl: () => AGGREGATION_WINDOW_MS });
+
+    // Fetch latest data for a location (cached, concurrent callers share one query).
+    // While the data source is down the last reading is served, flagged as degraded.
+    function getLatestData(locationKey) {
+        // Only configured locations are cached so arbitrary keys can't grow the cache
+        if (!locationRegistry.get(locationKey)) return queryLatestData(locationKey);
+        return latestCache.get(locationKey, () => queryLatestData(locationKey)).catch(err => {
+            const lastKnown = latestCache.peek(locationKey);
+            if (lastKnown === undefined) throw err;
+            return lastKnown && { ...lastKnown, degraded: true };
+        });
+    }
+
+    async function queryLatestData(locationKey) {
+        if (!dataSource.isReady()) {
+            logger.error("Data source not initialized", { dataSource: dataSource.type });
+            return null;
+        }
+
+        // Try both formats: deviceId format (dows-lake) and full name format (Dow's Lake)
+        // Stream Analytics uses deviceId, but let's check both to be safe
+        const locationVariants = locationRegistry.variants(locationKey);
+        let failures = 0;
+
+        for (const loc of locationVariants) {
+            try {
+                const doc = await dataSource.getLatestByLocation(loc);
+                if (doc) {
+                    logger.debug("Found latest reading", { location: locationKey, storedAs: loc });
+                    return normalizeDoc(doc);
+                }
+            } catch (err) {
+                failures++;
+                logger.warn("Latest reading query failed", { location: locationKey, storedAs: loc, err });
+                if (failures === locationVariants.length) throw unavailable(err);
+            }
+        }
+
+        // If no data found, try to see what locations actually exist
+        try {
+            const available = await locationsCache.get("distinct", () => dataSource.getDistinctLocations());
+            if (available.length > 0) {
+                logger.debug("Stored locations", { dataSource: dataSource.type, available });
+            }
+        } catch (err) {
+            logger.warn("Stored locations query failed", { err });
+        }
+
+        logger.debug("No data found for location", { location: locationKey });
+        return null;
+    }
+
+    // Raw documents for a location in a time range, oldest first
+    async function queryRange(locationKey, from, to) {
+        // Try both location formats
+        const locationVariants = locationRegistry.variants(locationKey);
+        let failures = 0;
+
+        for (const loc of locationVariants) {
+            try {
+                const resources = await dataSource.getRangeByLocation(loc, from, to);
+                if (resources.length > 0) {
+                    return resources; // Use first successful query
+                }
+            } catch (err) {
+                failures++;
+                logger.warn("History query failed", { location: locationKey, storedAs: loc, err });
+                if (failures === locationVariants.length) throw unavailable(err);
+            }
+        }
+        return [];
+    }
+
+    // Recent windows used for gap and reading-count checks, cached like latest readings
+    // (and, like them, the last ones fetched are used during an outage)
+    function getRecentWindows(locationKey) {
+        return recentCache.get(locationKey, async () => {
+            const from = new Date(Date.now() - HEALTH_LOOKBACK_WINDOWS * AGGREGATION_WINDOW_MS);
+            const docs = await queryRange(locationKey, from);
+            return normalizeSeries(docs);
+        }).catch(err => {
+            const lastKnown = recentCache.peek(locationKey);
+            if (lastKnown === undefined) throw err;
+            return lastKnown;
+        });
+    }
+
+    // Flag a latest reading against the windows before it. The last unflagged
+    // status is kept so rollups can fall back to it.
+    async function withAnomalies(locationKey, data) {
+        if (!data) return null;
+
+        const time = new Date(data.timestamp).getTime();
+        const recent = locationRegistry.get(locationKey) ? await getRecentWindows(locationKey) : [];
+        const earlier = recent.filter(doc => new Date(doc.timestamp).getTime() < time);
+        const flagged = anomalyDetector.flagSeries([...earlier, data]).pop();
+        if (!flagged.anomalies) return flagged;
+
+        const lastValid = earlier.reverse().find(doc => !isAnomalous(doc));
+        return { ...flagged, lastValidSafetyStatus: lastValid ? lastValid.safetyStatus : null };
+    }
+
+    // Attach freshness and sensor health to a latest reading
+    async function withHealth(locationKey, data) {
+        if (!data) return null;
+
+        const recent = locationRegistry.get(locationKey) ? await getRecentWindows(locationKey) : [];
+        return {
+            ...data,
+            health: assessHealth({
+                latest: data,
+                recent,
+                windowMs: AGGREGATION_WINDOW_MS,
+                staleAfterMs: STALE_AFTER_MS,
+                offlineAfterMs: OFFLINE_AFTER_MS,
+                expectedReadings: parseInt(process.env.EXPECTED_READINGS_PER_WINDOW) || null
+            })
+        };
+    }
+
+    // POST /api/auth/login - start a session for a local user (attempts are throttled per client IP)
+    const loginRateLimit = createRateLimiter({
+        limit: parseInt(process.env.LOGIN_RATE_LIMIT) || 10,
+        windowMs: 15 * 60 * 1000
+    });
+    app.post("/api/auth/login", loginRateLimit, handleErrors(auth.login));
+
+    // POST /api/auth/logout - end the current session
+    app.post("/api/auth/logout", auth.logout);
+
+    // GET /api/auth/me - role of the current caller (viewer when anonymous)
+    app.get("/api/auth/me", (req, res) => {
+        res.json({ name: req.auth.name, role: req.auth.role, via: req.auth.via });
+    });
+
+    // Operator overrides and annotations (OVERRIDES_FILE, default data/overrides.json)
+    const overrideStore = createOverrideStore({
+        filePath: process.env.OVERRIDES_FILE || "data/overrides.json",
+        isKnownLocation: key => Boolean(locationRegistry.get(key))
+    });
+
+    // Apply an active operator override on top of the sensor-derived data
+    function withOverride(locationKey, data) {
+        const override = overrideStore.activeOverride(locationKey);
+        if (!override) return data;
+
+        const base = data || { location: locationKey, timestamp: null };
+        return {
+            ...base,
+            safetyStatus: override.status,
+            sensorSafetyStatus: data ? data.safetyStatus : null,
+            override: {
+                id: override.id,
+                status: override.status,
+                reason: override.reason,
+                createdAt: override.createdAt,
+                expiresAt: override.expiresAt
+            }
+        };
+    }
+
+    // Latest data for one location with anomalies, health and overrides applied
+    async function getLocationData(locationKey) {
+        const data = await withAnomalies(locationKey, await getLatestData(locationKey));
+        return withOverride(locationKey, await withHealth(locationKey, data));
+    }
+
+    // Latest data for one location, including the cross-location outlier check
+    async function getCurrentConditions(locationKey) {
+        if (!locationRegistry.get(locationKey)) return getLocationData(locationKey);
+        const data = (await getLatestForAll())[locationKey];
+        // With nothing to fall back on, an outage mustn't look like a location without data
+        if (!data && unavailableKeys.has(locationKey)) throw unavailable(new Error("query failed"));
+        return data || null;
+    }
+
+    // GET /api/locations - configured locations in segment order
+    app.get("/api/locations", (req, res) => {
+        res.json(locationRegistry.list().map(location => localizeLocation(location, req.language)));
+    });
+
+    // GET /api/safety-rules - active safety classification rules
+    app.get("/api/safety-rules", (req, res) => {
+        res.json({ source: SAFETY_STATUS_SOURCE, ...safetyClassifier.rules() });
+    });
+
+    // GET /api/data - latest data for all locations
+    app.get("/api/data", handleErrors(async (req, res) => {
+        res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+        const data = await getLatestForAll();
+        // Nothing to show because every query failed is an outage, not an empty canal
+        if (Object.keys(data).length === 0 && unavailableKeys.size > 0) throw unavailable(new Error("query failed"));
+        res.json(data);
+    }));
+
+    // GET /api/data/:location - latest data for a specific location
+    app.get("/api/data/:location", handleErrors(async (req, res) => {
+        const data = await getCurrentConditions(req.params.location);
+        if (!data) return res.status(404).json({ error: "No data for location" });
+        res.json(data);
+    }));
+
+    // GET /api/history/:location - historical data (default: last hour)
+    // Query: hours | from & to (ISO), bucket (5m, 1h, 1d), metrics (comma-separated)
+    app.get("/api/history/:location", async (req, res) => {
+        res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+        let query;
+        try {
+            query = parseHistoryQuery(req.query, { maxRangeDays: MAX_HISTORY_DAYS });
+        } catch (err) {
+            return res.status(err.status || 400).json({ error: err.message });
+        }
+
+        if (!dataSource.isReady()) {
+            return res.status(503).json({ error: "Data source not initialized" });
+        }
+
+        try {
+            const allResources = await queryRange(req.params.location, query.from, query.to);
+            const { points, bucket } = shapeHistory(normalizeSeries(allResources), query, MAX_HISTORY_POINTS, {
+                excludeAnomalies: EXCLUDE_ANOMALIES
+            });
+            if (bucket) res.setHeader("X-History-Bucket", bucket);
+            res.json(points);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    // Season statistics are expensive to query, so the default range is cached per location
+    const statsCache = createCache({ ttl: () => AGGREGATION_WINDOW_MS });
+
+    function requireKnownLocation(locationKey) {
+        if (!locationRegistry.get(locationKey)) {
+            throw notFound(`Unknown location "${locationKey}"`);
+        }
+    }
+
+    // GET /api/stats/:location - daily ice summaries, degree-days and time in each status
+    app.get("/api/stats/:location", handleErrors(async (req, res) => {
+        const key = req.params.location;
+        requireKnownLocation(key);
+        const query = parseStatsQuery(req.query);
+
+        const load = async () => {
+            const docs = normalizeSeries(await queryRange(key, query.from, query.to));
+            return buildLocationStats(docs, { ...query, windowMs: AGGREGATION_WINDOW_MS, excludeAnomalies: EXCLUDE_ANOMALIES });
+        };
+        const stats = query.season ? await statsCache.get(key, load) : await load();
+        res.json({ location: key, name: localizeLocation(locationRegistry.get(key), req.language).name, ...stats });
+    }));
+
+    // Daily per-location archive (ARCHIVE_FILE, default data/archive.json) behind season comparisons
+    const archiveStore = createArchiveStore({ filePath: process.env.ARCHIVE_FILE || "data/archive.json", logger });
+    const archiveRollup = createArchiveRollup({
+        store: archiveStore,
+        locationKeys: () => locationRegistry.keys(),
+        queryRange,
+        normalizeSeries,
+        windowMs: AGGREGATION_WINDOW_MS,
+        excludeAnomalies: EXCLUDE_ANOMALIES,
+        backfillSeasons: parseInt(process.env.ARCHIVE_BACKFILL_SEASONS) || 3,
+        logger
+    });
+
+    function seasonResponse(req, key, seasons) {
+        return {
+            location: key,
+            name: localizeLocation(locationRegistry.get(key), req.language).name,
+            timezone: TIMEZONE,
+            archivedThrough: archiveStore.rolledUpThrough(key),
+            seasons
+        };
+    }
+
+    // GET /api/seasons/:location - season-over-season summaries (opening date, days open,
+    // weekly ice thickness) from the daily archive, newest season first
+    app.get("/api/seasons/:location", handleErrors(async (req, res) => {
+        const key = req.params.location;
+        requireKnownLocation(key);
+        const wanted = parseSeasonList(req.query.seasons);
+
+        const seasons = groupBySeason(archiveStore.days(key))
+            .filter(([season]) => !wanted || wanted.includes(season))
+            .map(([season, days]) => summarizeSeason(season, days));
+        res.json(seasonResponse(req, key, seasons));
+    }));
+
+    // GET /api/seasons/:location/daily?seasons=2024-25,2025-26 - daily values by day of
+    // season, for overlaying seasons (default: every archived season)
+    app.get("/api/seasons/:location/daily", handleErrors(async (req, res) => {
+        const key = req.params.location;
+        requireKnownLocation(key);
+        const wanted = parseSeasonList(req.query.seasons);
+
+        const seasons = groupBySeason(archiveStore.days(key))
+            .filter(([season]) => !wanted || wanted.includes(season))
+            .map(([season, days]) => seasonSeries(season, days));
+        res.json(seasonResponse(req, key, seasons));
+    }));
+
+    const MAX_RECENT_WINDOWS = 500;
+
+    // GET /api/windows/:location - most recent aggregation windows, newest first
+    app.get("/api/windows/:location", handleErrors(async (req, res) => {
+        const key = req.params.location;
+        requireKnownLocation(key);
+
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RECENT_WINDOWS) {
+            throw badRequest(`Invalid "limit" (expected 1-${MAX_RECENT_WINDOWS})`);
+        }
+
+        // Look back twice the span so short gaps still fill the table
+        const from = new Date(Date.now() - 2 * limit * AGGREGATION_WINDOW_MS);
+        const docs = normalizeSeries(await queryRange(key, from));
+        res.json(docs.slice(-limit).reverse());
+    }));
+
+    // Forecasts refit once per aggregation window
+    const forecastCache = createCache({ ttl: () => AGGREGATION_WINDOW_MS });
+
+    // GET /api/forecast/:location - projected ice thickness and time until status thresholds
+    app.get("/api/forecast/:location", handleErrors(async (req, res) => {
+        const key = req.params.location;
+        requireKnownLocation(key);
+        const query = parseForecastQuery(req.query);
+
+        const load = async () => {
+            const from = new Date(Date.now() - query.lookbackHours * 60 * 60 * 1000);
+            // Glitches would skew the fitted growth rate, so flagged windows are always left out
+            const docs = normalizeSeries(await queryRange(key, from)).filter(doc => !isAnomalous(doc));
+            return buildForecast(docs, { ...query, thresholds: iceThresholds(safetyClassifier.rules()) });
+        };
+        // Only the default lookback and whole-hour horizons are cached, keeping the key space small
+        const cacheable = req.query.lookback === undefined && Number.isInteger(query.horizonHours);
+        const forecast = cacheable ? await forecastCache.get(`${key}|${query.horizonHours}`, load) : await load();
+        res.json({ location: key, ...forecast });
+    }));
+
+    // Exports are queried one day at a time so memory stays bounded
+    const EXPORT_CHUNK_MS = 24 * 60 * 60 * 1000;
+    // Longest range one export may span, as each day is a query per location
+    const MAX_EXPORT_DAYS = parseInt(process.env.MAX_EXPORT_DAYS) || 366;
+
+    function parseExportQuery(query) {
+        const format = (query.format || "csv").toLowerCase();
+        if (!FORMATS[format]) {
+            throw badRequest(`Invalid format "${query.format}" (expected ${Object.keys(FORMATS).join(", ")})`);
+        }
+        if (query.bucket !== undefined) {
+            throw badRequest("Exports contain raw aggregation windows; bucket is not supported");
+        }
+
+        const locations = query.locations
+            ? String(query.locations).split(",").map(l => l.trim()).filter(Boolean)
+            : locationRegistry.keys();
+        const unknown = locations.filter(l => !locationRegistry.get(l));
+        if (locations.length === 0 || unknown.length > 0) {
+            throw badRequest(`Unknown locations: ${unknown.join(", ") || "(none given)"}`);
+        }
+
+        return { ...parseHistoryQuery(query, { maxRangeDays: MAX_EXPORT_DAYS }), format, locations };
+    }
+
+    // GET /api/export - stream historical aggregations as a file download
+    // Query: locations (comma-separated, default all), hours | from & to (at most MAX_EXPORT_DAYS apart),
+    // metrics, format (csv, json, ndjson)
+    app.get("/api/export", auth.requireRole("operator"), async (req, res) => {
+        let query;
+        try {
+            query = parseExportQuery(req.query);
+        } catch (err) {
+            return res.status(err.status || 400).json({ error: err.message });
+        }
+
+        if (!dataSource.isReady()) {
+            return res.status(503).json({ error: "Data source not initialized" });
+        }
+        // Fail before the download starts rather than part way through it
+        if (dataSource.breaker.state() === "open") {
+            return res.status(503).json({ error: "Data source unavailable" });
+        }
+
+        const columns = ["location", "timestamp", ...query.metrics, "safetyStatus"];
+        const writer = createExportWriter(query.format, columns);
+        const day = date => date.toISOString().slice(0, 10);
+        const filename = `rideau-canal-${day(query.from)}-to-${day(query.to)}.${writer.extension}`;
+
+        res.setHeader("Content-Type", writer.contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        res.setHeader("Cache-Control", "no-store");
+
+        let aborted = false;
+        res.on("close", () => {
+            aborted = !res.writableEnded;
+        });
+
+        // Respect backpressure so slow clients don't buffer the whole export
+        const write = chunk => new Promise(resolve => {
+            if (!chunk || res.write(chunk)) resolve();
+            else res.once("drain", resolve);
+        });
+
+        try {
+            await write(writer.start());
+            for (const location of query.locations) {
+                for (let start = query.from.getTime(); start <= query.to.getTime() && !aborted; start += EXPORT_CHUNK_MS) {
+                    const chunkEnd = new Date(Math.min(start + EXPORT_CHUNK_MS - 1, query.to.getTime()));
+                    const docs = await queryRange(location, new Date(start), chunkEnd);
+                    for (const doc of docs) {
+                        await write(writer.row(selectMetrics(normalizeDoc(doc), query.metrics)));
+                    }
+                }
+            }
+            await write(writer.end());
+            res.end();
+        } catch (err) {
+            req.log.error("Export failed", { err });
+            res.destroy(err);
+        }
+    });
+
+    // Configured locations whose latest query failed with no earlier reading to fall back on,
+    // whether or not the circuit has opened yet
+    const unavailableKeys = new Set();
+
+    // Latest data for every configured location, keyed by location
+    async function getLatestForAll() {
+        const keys = locationRegistry.keys();
+        // Locations with no reading to fall back on during an outage keep only their overrides
+        const results = await Promise.all(keys.map(key => getLocationData(key).then(data => {
+            unavailableKeys.delete(key);
+            return data;
+        }, () => {
+            unavailableKeys.add(key);
+            return withOverride(key, null);
+        })));
+
+        const result = {};
+        keys.forEach((loc, index) => {
+            if (results[index]) result[loc] = results[index];
+        });
+        return anomalyDetector.flagOutliers(result);
+    }
+
+    // Roll up per-location data into the overall system status
+    function buildStatus(locationData) {
+        let totalLocations = 0;
+        let safeLocations = 0;
+        let cautionLocations = 0;
+        let unsafeLocations = 0;
+        let unknownLocations = 0;
+        let closedLocations = 0;
+        let staleLocations = 0;
+        let offlineLocations = 0;
+        let disagreements = 0;
+        let anomalousLocations = 0;
+        let degradedLocations = 0;
+        let latestTimestamp = null;
+
+        for (const data of Object.values(locationData)) {
+            totalLocations++;
+
+            // Operator overrides come first; old data can't vouch for current
+            // conditions, so freshness overrides the safety classification
+            const health = data.health ? data.health.state : "Live";
+            const anomalous = isAnomalous(data);
+            // An anomalous reading can be set aside in favour of the last plausible one
+            const status = canonicalStatus(EXCLUDE_ANOMALIES && anomalous && !data.override
+                ? data.lastValidSafetyStatus
+                : data.safetyStatus);
+            if (status === "Closed") closedLocations++;
+            else if (data.override) cautionLocations++;
+            else if (health === "Offline") offlineLocations++;
+            else if (health === "Stale") staleLocations++;
+            else if (status === "Safe") safeLocations++;
+            else if (status === "Caution") cautionLocations++;
+            else if (status === "Unsafe") unsafeLocations++;
+            else unknownLocations++;
+
+            if (data.safetyDisagreement) disagreements++;
+            if (anomalous) anomalousLocations++;
+            if (data.degraded) degradedLocations++;
+
+            if (data.timestamp) {
+                const ts = new Date(data.timestamp);
+                if (!latestTimestamp || ts > latestTimestamp) {
+                    latestTimestamp = ts;
+                }
+            }
+        }
+
+        // Determine overall system status
+        let systemStatus = "Unknown";
+        if (totalLocations === 0) {
+            systemStatus = "No Data";
+        } else if (closedLocations === totalLocations) {
+            systemStatus = "Closed";
+        } else if (offlineLocations === totalLocations) {
+            systemStatus = "Offline";
+        } else if (unsafeLocations > 0) {
+            systemStatus = "Unsafe";
+        } else if (cautionLocations > 0 || closedLocations > 0) {
+            systemStatus = "Caution";
+        } else if (staleLocations > 0 || offlineLocations > 0) {
+            systemStatus = "Stale";
+        } else if (safeLocations === totalLocations) {
+            systemStatus = "Safe";
+        }
+
+        return {
+            systemStatus,
+            totalLocations,
+            safeLocations,
+            cautionLocations,
+            unsafeLocations,
+            unknownLocations,
+            closedLocations,
+            staleLocations,
+            offlineLocations,
+            disagreements,
+            anomalousLocations,
+            anomaliesExcluded: EXCLUDE_ANOMALIES,
+            // Readings are the last known while the data source is unavailable
+            degraded: degradedLocations > 0 || unavailableKeys.size > 0 || dataSource.breaker.state() === "open",
+            degradedLocations,
+            unavailableLocations: unavailableKeys.size,
+            safetyRulesVersion: safetyClassifier.version,
+            safetyStatusSource: SAFETY_STATUS_SOURCE,
+            lastUpdate: latestTimestamp ? latestTimestamp.toISOString() : null,
+            locations: locationData
+        };
+    }
+
+    // System status endpoint
+    app.get("/api/status", async (req, res) => {
+        res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+        const locationData = await getLatestForAll();
+        res.json(buildStatus(locationData));
+    });
+
+    // Live feed - pushes new aggregation windows to browsers over SSE
+    const liveFeed = createLiveFeed({
+        loadLatest: getLatestForAll,
+        buildStatus,
+        // Freshness and outage changes without a new window still need pushing to the cards
+        signature: data => `${data.timestamp}|${data.health ? data.health.state : ""}|${data.degraded ? "degraded" : ""}`,
+        intervalMs: parseInt(process.env.LIVE_POLL_INTERVAL) || 15000
+    });
+
+    // GET /api/stream - Server-Sent Events (reading, status, resync)
+    app.get("/api/stream", liveFeed.handler);
+
+    // Store aggregation documents and push them to live clients straight away
+    async function storeDocuments(docs) {
+        const stored = await dataSource.insertDocuments(docs);
+
+        for (const key of new Set(docs.map(doc => doc.location))) {
+            latestCache.invalidate(key);
+            recentCache.invalidate(key);
+            statsCache.invalidate(key);
+        }
+        forecastCache.invalidate();
+        locationsCache.invalidate();
+
+        liveFeed.poll();
+        return stored;
+    }
+
+    // POST /api/ingest - store aggregation documents (one or an array), e.g. from the simulator
+    app.post("/api/ingest", auth.requireRole("operator"), handleErrors(async (req, res) => {
+        const docs = parseIngestBody(req.body, {
+            resolveLocation: loc => (locationRegistry.get(locationRegistry.resolve(loc)) ? locationRegistry.resolve(loc) : null)
+        });
+        const stored = await storeDocuments(docs);
+        res.status(201).json({ stored });
+    }));
+
+    // Alerting - rules are evaluated after every live feed poll
+    const alertEngine = createAlertEngine({
+        config: loadAlertConfig(),
+        notifiers: createNotifiersFromEnv(),
+        store: createAlertStore({ filePath: process.env.ALERT_HISTORY_FILE || "data/alerts.ndjson" }),
+        getLocationName: key => (locationRegistry.get(key) || { name: key }).name,
+        // Missed windows get the same override as the latest reading, or statuses would flip between the two
+        getWindows: async (key, from, to) => normalizeSeries(await queryRange(key, from, to)).map(window => withOverride(key, window))
+    });
+    liveFeed.on("poll", alertEngine.handlePoll);
+
+    // Tell dashboards to reload after an operator change
+    function publishOperatorChange(type, item) {
+        liveFeed.publish(type, { location: item.location, id: item.id });
+    }
+
+    // Route wrapper reporting errors with a status (400, 404) as JSON
+    function handleErrors(handler) {
+        return async (req, res) => {
+            try {
+                await handler(req, res);
+            } catch (err) {
+                if (!err.status) req.log.error("Request failed", { method: req.method, path: req.path, err });
+                res.status(err.status || 500).json({
+                    error: err.status ? err.message : "Internal server error",
+                    ...(err.status && err.details ? { details: err.details } : {})
+                });
+            }
+        };
+    }
+
+    // Operator usernames are only shown to operators
+    function withoutOperatorNames(req, items) {
+        if (auth.hasRole(req, "operator")) return items;
+        return items.map(({ createdBy, liftedBy, ...item }) => item);
+    }
+
+    // GET /api/overrides - active overrides (operators may add ?all=true for lifted/expired ones)
+    app.get("/api/overrides", (req, res) => {
+        const includeInactive = req.query.all === "true" && auth.hasRole(req, "operator");
+        res.json(withoutOperatorNames(req, overrideStore.listOverrides({ includeInactive })));
+    });
+
+    // POST /api/overrides - force Closed/Caution: { location, status, reason, expiresAt | durationMinutes }
+    app.post("/api/overrides", auth.requireRole("operator"), handleErrors(async (req, res) => {
+        const override = overrideStore.addOverride(req.body, req.auth.name);
+        publishOperatorChange("override", override);
+        res.status(201).json(override);
+    }));
+
+    // DELETE /api/overrides/:id - lift an override before it expires
+    app.delete("/api/overrides/:id", auth.requireRole("operator"), handleErrors(async (req, res) => {
+        const override = overrideStore.liftOverride(req.params.id, req.auth.name);
+        publishOperatorChange("override", override);
+        res.json(override);
+    }));
+
+    // GET /api/annotations - annotations overlapping a time range
+    // Query: location, from, to (ISO)
+    app.get("/api/annotations", (req, res) => {
+        res.json(withoutOperatorNames(req, overrideStore.listAnnotations({
+            location: req.query.location,
+            from: req.query.from,
+            to: req.query.to
+        })));
+    });
+
+    // POST /api/annotations - { location?, text, from, to? }
+    app.post("/api/annotations", auth.requireRole("operator"), handleErrors(async (req, res) => {
+        const annotation = overrideStore.addAnnotation(req.body, req.auth.name);
+        publishOperatorChange("annotation", annotation);
+        res.status(201).json(annotation);
+    }));
+
+    // DELETE /api/annotations/:id
+    app.delete("/api/annotations/:id", auth.requireRole("operator"), handleErrors(async (req, res) => {
+        const annotation = overrideStore.removeAnnotation(req.params.id);
+        publishOperatorChange("annotation", annotation);
+        res.json(annotation);
+    }));
+
+    // GET /api/alerts - alert history, newest first
+    // Query: location, rule, since (ISO), limit (default 100)
+    app.get("/api/alerts", auth.requireRole("operator"), (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        res.json({
+            active: alertEngine.activeAlerts(),
+            channels: alertEngine.channels(),
+            alerts: alertEngine.history({
+                location: req.query.location,
+                ruleId: req.query.rule,
+                since: req.query.since,
+                limit
+            })
+        });
+    });
+
+    // POST /api/alerts/test - send a test alert through every channel
+    app.post("/api/alerts/test", auth.requireRole("operator"), handleErrors(async (req, res) => {
+        const alert = await alertEngine.test();
+        res.status(201).json(alert);
+    }));
+
+    // Debug endpoint to check data source connection and data (admin only)
+    app.get("/api/debug", auth.requireRole("admin"), async (req, res) => {
+        if (!dataSource.isReady()) {
+            return res.status(500).json({
+                error: "Data source not initialized",
+                ...dataSource.describe(),
+                probe: readiness
+            });
+        }
+
+        try {
+            // Get all distinct locations
+            const locations = await dataSource.getDistinctLocations();
+
+            // Get latest document from each location
+            const latestDocs = {};
+            for (const locationName of locations) {
+                const doc = await dataSource.getLatestByLocation(locationName);
+                if (doc) {
+                    latestDocs[locationName] = {
+                        raw: doc,
+                        normalized: normalizeDoc(doc)
+                    };
+                }
+            }
+
+            // Get total document count
+            const totalCount = await dataSource.getCount();
+
+            res.json({
+                connected: true,
+                ...dataSource.describe(),
+                probe: readiness,
+                circuit: dataSource.breaker.snapshot(),
+                totalDocuments: totalCount,
+                availableLocations: locations,
+                cache: {
+                    latest: latestCache.stats(),
+                    recent: recentCache.stats(),
+                    locations: locationsCache.stats(),
+                    stats: statsCache.stats(),
+                    forecast: forecastCache.stats()
+                },
+                archive: {
+                    rolledUpThrough: Object.fromEntries(locationRegistry.keys().map(key => [key, archiveStore.rolledUpThrough(key)])),
+                    lastRollup: archiveRollup.lastRun()
+                },
+                latestDocuments: latestDocs
+            });
+        } catch (err) {
+            res.status(err.status || 500).json({
+                error: err.message,
+                probe: readiness,
+                circuit: dataSource.breaker.snapshot(),
+                ...(req.auth.role === "admin" ? { stack: err.stack } : {})
+            });
+        }
+    });
+
+    // Public read-only API (versioned, rate limited, documented at /api/v1/openapi.json)
+    app.use("/api/v1", createV1Router({
+        locationRegistry,
+        getLatestForAll,
+        getLatestData: getCurrentConditions,
+        buildStatus,
+        queryRange,
+        normalizeSeries,
+        excludeAnomalies: EXCLUDE_ANOMALIES,
+        maxHistoryPoints: MAX_HISTORY_POINTS,
+        maxHistoryDays: MAX_HISTORY_DAYS,
+        rateLimit: createRateLimiter({ limit: parseInt(process.env.API_RATE_LIMIT) || 60 })
+    }));
+
+    // GET /healthz - liveness: the process is up and serving requests
+    app.get("/healthz", (req, res) => {
+        res.setHeader("Cache-Control", "no-store");
+        res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    // GET /readyz - readiness: the data source answered its last probe and the circuit isn't open
+    app.get("/readyz", (req, res) => {
+        const circuit = dataSource.breaker.state();
+        const ready = readiness.reachable && circuit !== "open";
+        res.setHeader("Cache-Control", "no-store");
+        res.status(ready ? 200 : 503).json({
+            status: ready ? "ready" : "unavailable",
+            dataSource: { type: dataSource.type, reachable: readiness.reachable, checkedAt: readiness.checkedAt, circuit }
+        });
+    });
+
+    // Scrape-time metrics: cache counters, data source health and data age per location
+    const caches = {
+        latest: latestCache,
+        recent: recentCache,
+        locations: locationsCache,
+        stats: statsCache,
+        forecast: forecastCache
+    };
+    const cacheSamples = field => Object.entries(caches).map(([cache, c]) => ({ labels: { cache }, value: c.stats()[field] }));
+    for (const field of ["hits", "misses", "coalesced", "errors"]) {
+        metrics.counter({
+            name: `rideau_cache_${field}_total`,
+            help: `Cache lookups: ${field}`,
+            collect: () => cacheSamples(field)
+        });
+    }
+    metrics.gauge({
+        name: "rideau_cache_entries",
+        help: "Entries held per cache",
+        collect: () => cacheSamples("size")
+    });
+    metrics.gauge({
+        name: "rideau_datasource_reachable",
+        help: "1 if the data source answered its last probe",
+        collect: () => [{ labels: { source: dataSource.type }, value: readiness.reachable ? 1 : 0 }]
+    });
+    metrics.gauge({
+        name: "rideau_datasource_circuit_open",
+        help: "1 while the data source circuit breaker is open",
+        collect: () => [{ labels: { source: dataSource.type }, value: dataSource.breaker.state() === "open" ? 1 : 0 }]
+    });
+    metrics.counter({
+        name: "rideau_cosmos_request_units_total",
+        help: "Cosmos DB request units consumed by operation",
+        collect: () => Object.entries(dataSource.stats ? dataSource.stats().requestCharges : {})
+            .map(([operation, value]) => ({ labels: { operation }, value }))
+    });
+    // From the cached latest readings, so scrapes never query the data source
+    metrics.gauge({
+        name: "rideau_location_data_age_seconds",
+        help: "Age of the latest reading per location",
+        collect: () => locationRegistry.keys()
+            .map(location => ({ location, latest: latestCache.peek(location) }))
+            .filter(({ latest }) => latest && latest.timestamp)
+            .map(({ location, latest }) => ({
+                labels: { location },
+                value: Math.max(0, Math.round((Date.now() - new Date(latest.timestamp).getTime()) / 1000))
+            }))
+    });
+
+    metrics.gauge({
+        name: "rideau_archive_rollup_timestamp_seconds",
+        help: "When the last daily archive rollup finished",
+        collect: () => {
+            const lastRun = archiveRollup.lastRun();
+            return lastRun ? [{ value: Math.round(new Date(lastRun.finishedAt).getTime() / 1000) }] : [];
+        }
+    });
+
+    // GET /metrics - Prometheus text format
+    app.get("/metrics", (req, res) => {
+        res.setHeader("Content-Type", METRICS_CONTENT_TYPE);
+        res.setHeader("Cache-Control", "no-store");
+        res.end(metrics.render());
+    });
+
+    // Root page
+    app.get("/", (req, res) => {
+        res.sendFile(path.join(PUBLIC_DIR, "index.html"));
+    });
+
+    // Location detail page
+    app.get("/location/:id", (req, res) => {
+        if (!locationRegistry.get(req.params.id)) {
+            return res.status(404).send("Unknown location");
+        }
+        res.sendFile(path.join(PUBLIC_DIR, "location.html"));
+    });
+
+    let probeTimer = null;
+    let rollupTimer = null;
+    let simulator = null;
+
+    function rollupArchive() {
+        archiveRollup.run().catch(err => logger.error("Archive rollup failed", { err }));
+    }
+
+    return {
+        app,
+        dataSource,
+        archiveRollup,
+
+        start() {
+            // In-process simulator for demos (SIMULATOR=true); never writes synthetic data to Cosmos DB
+            if (process.env.SIMULATOR === "true") {
+                if (dataSource.type === "cosmos") {
+                    logger.warn("SIMULATOR=true ignored: use DATA_SOURCE=memory or file, or scripts/simulate.js --allow-cosmos");
+                } else {
+                    simulator = runSimulator({
+                        simulator: createSimulator({
+                            locations: locationRegistry.list(),
+                            windowMs: AGGREGATION_WINDOW_MS,
+                            seed: parseInt(process.env.SIMULATOR_SEED) || undefined,
+                            classify: safetyClassifier.classify
+                        }),
+                        store: storeDocuments,
+                        windowMs: AGGREGATION_WINDOW_MS,
+                        backfillMs: Number(process.env.SIMULATOR_BACKFILL_HOURS ?? 24) * 60 * 60 * 1000,
+                        onError: err => logger.error("Simulator write failed", { err })
+                    });
+                    logger.info("Simulator started", { dataSource: dataSource.type });
+                }
+            }
+
+            liveFeed.start();
+
+            // Probe now and periodically; a successful probe also closes an open circuit
+            probeDataSource();
+            probeTimer = setInterval(probeDataSource, (parseInt(process.env.PROBE_INTERVAL_SECONDS) || 30) * 1000);
+            probeTimer.unref();
+
+            // Roll complete days into the archive now (backfilling on first start) and then periodically
+            rollupArchive();
+            rollupTimer = setInterval(rollupArchive, (parseInt(process.env.ARCHIVE_ROLLUP_INTERVAL_MINUTES) || 60) * 60000);
+            rollupTimer.unref();
+        },
+
+        stop() {
+            liveFeed.stop();
+            clearInterval(probeTimer);
+            clearInterval(rollupTimer);
+            if (simulator) simulator.stop();
+        }
+    };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { logger: defaultLogger } = require('./logger');
+const { localDay, startOfLocalDay } = require('./stats');
+const { addDays, seasonOf, rollupDays } = require('./seasons');
+
+// Days queried at a time while rolling up
+const CHUNK_DAYS = 31;
+
+// Recent days are rolled up again on every run, so late-arriving windows are counted
+const REROLL_DAYS = 2;
+
+/**
+ * Daily per-location summaries, persisted to a local JSON file so season
+ * comparisons don't have to query years of aggregation windows.
+ *   { rolledUpThrough: { location: "YYYY-MM-DD" }, days: { location: { "YYYY-MM-DD": summary } } }
+ */
+function createArchiveStore({ filePath, logger = defaultLogger } = {}) {
+    let state = { rolledUpThrough: {}, days: {} };
+
+    if (filePath && fs.existsSync(filePath)) {
+        try {
+            state = { rolledUpThrough: {}, days: {}, ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+        } catch (err) {
+            logger.error("Failed to read archive", { file: filePath, err });
+        }
+    }
+
+    return {
+        // Last local day rolled up for a location, or null before the first rollup
+        rolledUpThrough(location) {
+            return state.rolledUpThrough[location] || null;
+        },
+
+        // Replace the summaries of rolled-up days and record how far the rollup got
+        putDays(location, days, through) {
+            const stored = state.days[location] || (state.days[location] = {});
+            for (const day of days) stored[day.date] = day;
+            state.rolledUpThrough[location] = through;
+        },
+
+        // Archived days for a location, oldest first, optionally within [from, to]
+        days(location, { from, to } = {}) {
+            return Object.values(state.days[location] || {})
+                .filter(day => (!from || day.date >= from) && (!to || day.date <= to))
+                .sort((a, b) => (a.date < b.date ? -1 : 1));
+        },
+
+        save() {
+            if (!filePath) return;
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(state) + "\n");
+        }
+    };
+}
+
+/**
+ * Background job rolling aggregation windows up into the archive, one
+ * complete local day at a time. The first run backfills `backfillSeasons`
+ * seasons (including the current one); later runs pick up from the last
+ * rolled-up day. Overlapping runs are skipped.
+ *
+ * queryRange(key, from, to) and normalizeSeries(docs) are the app's own.
+ */
+function createArchiveRollup({
+    store,
+    locationKeys,
+    queryRange,
+    normalizeSeries,
+    windowMs,
+    excludeAnomalies = false,
+    backfillSeasons = 3,
+    now = () => new Date(),
+    logger = defaultLogger
+}) {
+    let running = null;
+    let lastRun = null;
+
+    function firstDay(location, today) {
+        const through = store.rolledUpThrough(location);
+        if (through) return addDays(through, 1 - REROLL_DAYS);
+        const currentSeasonYear = Number(seasonOf(today).slice(0, 4));
+        return `${currentSeasonYear - (backfillSeasons - 1)}-12-01`;
+    }
+
+    async function rollupLocation(location, today) {
+        let days = 0;
+        for (let from = firstDay(location, today); from < today;) {
+            const next = addDays(from, CHUNK_DAYS);
+            const to = next < today ? next : today;
+            const docs = normalizeSeries(await queryRange(location, startOfLocalDay(from), startOfLocalDay(to)));
+            const rolledUp = rollupDays(docs, windowMs, { excludeAnomalies })
+                .filter(day => day.date >= from && day.date < to);
+            store.putDays(location, rolledUp, addDays(to, -1));
+            days += rolledUp.length;
+            from = to;
+        }
+        return days;
+    }
+
+    async function run() {
+        const started = Date.now();
+        const today = localDay(now());
+        const result = { days: 0, failed: [] };
+
+        for (const location of locationKeys()) {
+            try {
+                result.days += await rollupLocation(location, today);
+            } catch (err) {
+                // Progress up to the failed chunk is kept; the next run resumes from there
+                result.failed.push(location);
+                logger.warn("Archive rollup failed", { location, err });
+            }
+        }
+        store.save();
+
+        lastRun = { finishedAt: new Date().toISOString(), durationMs: Date.now() - started, ...result };
+        logger.info("Archive rollup finished", lastRun);
+        return lastRun;
+    }
+
+    return {
+        // Roll up every location; resolves with { days, failed, finishedAt, durationMs }
+        run() {
+            if (!running) {
+                running = run().finally(() => {
+                    running = null;
+                });
+            }
+            return running;
+        },
+
+        lastRun() {
+            return lastRun;
+        }
+    };
+}
+
+module.exports = { CHUNK_DAYS, REROLL_DAYS, createArchiveStore, createArchiveRollup };
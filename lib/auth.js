@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege
+const ROLES = ["viewer", "operator", "admin"];
+
+const SESSION_COOKIE = "rcd_session";
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>" (hex)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+// scrypt runs on the libuv thread pool, so a login doesn't block other requests
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+    if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, "hex");
+    const actual = await scrypt(password, Buffer.from(saltHex, "hex"), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Compared against when a login names an unknown user; costs the same scrypt as a real check
+const DUMMY_HASH = `scrypt$${crypto.randomBytes(16).toString("hex")}$${crypto.randomBytes(64).toString("hex")}`;
+
+// API keys are random, so a plain SHA-256 is enough to avoid storing them
+function hashApiKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function generateApiKey() {
+    return crypto.randomBytes(24).toString("base64url");
+}
+
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || "").split(";")) {
+        const index = part.indexOf("=");
+        if (index === -1) continue;
+        // Other apps on the same host may set cookies that aren't URI-encoded
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (err) {
+            continue;
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Read local users and API keys:
+ *   { users: [{ username, role, passwordHash }], apiKeys: [{ name, role, keyHash }] }
+ */
+function loadAuthFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return { users: [], apiKeys: [] };
+
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const entries = [...(data.users || []), ...(data.apiKeys || [])];
+    for (const entry of entries) {
+        if (!ROLES.includes(entry.role)) {
+            throw new Error(`Invalid role "${entry.role}" in ${filePath} (expected ${ROLES.join(", ")})`);
+        }
+    }
+    return { users: data.users || [], apiKeys: data.apiKeys || [] };
+}
+
+function saveAuthFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 4) + "\n", { mode: 0o600 });
+}
+
+/**
+ * Authentication with API keys (X-API-Key or Authorization: Bearer) and
+ * cookie sessions for local users. Unauthenticated requests are viewers.
+ */
+function createAuth({ users = [], apiKeys = [], sessionTtlMs = 12 * 60 * 60 * 1000, secureCookies = false }) {
+    const sessions = new Map();
+    const keysByHash = new Map(apiKeys.map(k => [k.keyHash, k]));
+
+    // Drop expired sessions that were never used again, so the map doesn't grow without bound
+    const cleanup = setInterval(() => {
+        const current = Date.now();
+        for (const [id, session] of sessions) {
+            if (session.expiresAt <= current) sessions.delete(id);
+        }
+    }, Math.min(sessionTtlMs, 60 * 60 * 1000));
+    cleanup.unref();
+
+    function identify(req) {
+        const header = req.get("Authorization") || "";
+        const key = req.get("X-API-Key") || (header.startsWith("Bearer ") ? header.slice(7).trim() : null);
+        if (key) {
+            const entry = keysByHash.get(hashApiKey(key));
+            return entry ? { role: entry.role, name: entry.name, via: "apiKey" } : { invalid: true };
+        }
+
+        const sessionId = parseCookies(req.get("Cookie"))[SESSION_COOKIE];
+        const session = sessionId && sessions.get(sessionId);
+        if (session) {
+            if (session.expiresAt > Date.now()) {
+                return { role: session.role, name: session.username, via: "session" };
+            }
+            sessions.delete(sessionId);
+        }
+
+        return { role: "viewer", name: null, via: "anonymous" };
+    }
+
+    return {
+        enabled: users.length > 0 || apiKeys.length > 0,
+
+        // Populates req.auth; rejects unknown API keys
+        authenticate(req, res, next) {
+            const identity = identify(req);
+            if (identity.invalid) {
+                return res.status(401).json({ error: "Invalid API key" });
+            }
+            req.auth = identity;
+            next();
+        },
+
+        // Whether the authenticated caller has at least the given role
+        hasRole(req, role) {
+            return hasRole(req.auth ? req.auth.role : "viewer", role);
+        },
+
+        requireRole(role) {
+            return (req, res, next) => {
+                const current = req.auth ? req.auth.role : "viewer";
+                if (hasRole(current, role)) return next();
+
+                if (!req.auth || req.auth.via === "anonymous") {
+                    return res.status(401).json({ error: "Authentication required" });
+                }
+                return res.status(403).json({ error: `Requires ${role} role` });
+            };
+        },
+
+        async login(req, res) {
+            const { username, password } = req.body || {};
+            const user = users.find(u => u.username === username);
+
+            // Verify against a dummy hash for unknown users to keep timing uniform
+            const ok = await verifyPassword(String(password || ""), user ? user.passwordHash : DUMMY_HASH);
+            if (!user || !ok) {
+                return res.status(401).json({ error: "Invalid username or password" });
+            }
+
+            const sessionId = crypto.randomBytes(32).toString("hex");
+            sessions.set(sessionId, {
+                username: user.username,
+                role: user.role,
+                expiresAt: Date.now() + sessionTtlMs
+            });
+
+            res.setHeader("Set-Cookie", `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax; ` +
+                `Max-Age=${Math.floor(sessionTtlMs / 1000)}${secureCookies ? "; Secure" : ""}`);
+            res.json({ username: user.username, role: user.role });
+        },
+
+        logout(req, res) {
+            const sessionId = parseCookies(req.get("Cookie"))[SESSION_COOKIE];
+            if (sessionId) sessions.delete(sessionId);
+            res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+            res.status(204).end();
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    hashApiKey,
+    generateApiKey,
+    hasRole,
+    parseCookies,
+    loadAuthFile,
+    saveAuthFile,
+    createAuth
+};
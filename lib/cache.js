@@ -0,0 +1,81 @@
+/**
+ * In-process cache with per-entry TTL and in-flight request coalescing.
+ * Concurrent get() calls for the same key share a single loader call.
+ */
+function createCache({ ttl = () => 30000, now = Date.now } = {}) {
+    const entries = new Map();
+    const inFlight = new Map();
+    const stats = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+
+    async function get(key, loader) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt > now()) {
+            stats.hits++;
+            return entry.value;
+        }
+
+        if (inFlight.has(key)) {
+            stats.coalesced++;
+            return inFlight.get(key);
+        }
+
+        stats.misses++;
+        const promise = (async () => {
+            try {
+                const value = await loader();
+                entries.set(key, { value, expiresAt: now() + ttl(value) });
+                return value;
+            } catch (err) {
+                stats.errors++;
+                throw err;
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    return {
+        get,
+
+        // Most recent value for a key, even if expired
+        peek(key) {
+            const entry = entries.get(key);
+            return entry ? entry.value : undefined;
+        },
+
+        invalidate(key) {
+            if (key === undefined) entries.clear();
+            else entries.delete(key);
+        },
+
+        stats() {
+            const lookups = stats.hits + stats.misses + stats.coalesced;
+            return {
+                ...stats,
+                size: entries.size,
+                inFlight: inFlight.size,
+                hitRate: lookups > 0 ? (stats.hits + stats.coalesced) / lookups : 0
+            };
+        }
+    };
+}
+
+/**
+ * TTL policy for latest readings: keep a reading until the next aggregation
+ * window is expected (windowEnd + window + grace), clamped to [minTtl, window].
+ * Empty results and stale readings are rechecked after minTtl.
+ */
+function windowAlignedTtl({ windowMs, graceMs = 15000, minTtlMs = 10000, now = Date.now }) {
+    return (value) => {
+        if (!value || !value.timestamp) return minTtlMs;
+
+        const nextWindow = new Date(value.timestamp).getTime() + windowMs + graceMs;
+        const remaining = nextWindow - now();
+        if (isNaN(remaining)) return minTtlMs;
+        return Math.min(Math.max(remaining, minTtlMs), windowMs);
+    };
+}
+
+module.exports = { createCache, windowAlignedTtl };
@@ -0,0 +1,115 @@
+/**
+ * Startup configuration checks, so a misconfigured deployment fails with a
+ * list of what to fix instead of erroring on the first request.
+ */
+const PLACEHOLDER = /your-|-here\b/;
+
+// Whole-number settings and the smallest value each accepts
+const INTEGER_SETTINGS = {
+    PORT: 1,
+    AGGREGATION_WINDOW_SECONDS: 1,
+    LIVE_POLL_INTERVAL: 1,
+    MAX_HISTORY_POINTS: 1,
+    MAX_HISTORY_DAYS: 1,
+    MAX_EXPORT_DAYS: 1,
+    STALE_AFTER_MINUTES: 1,
+    OFFLINE_AFTER_MINUTES: 1,
+    EXPECTED_READINGS_PER_WINDOW: 1,
+    SESSION_TTL_HOURS: 1,
+    LOGIN_RATE_LIMIT: 1,
+    API_RATE_LIMIT: 1,
+    COSMOS_REQUEST_TIMEOUT_MS: 1,
+    DATA_SOURCE_RETRIES: 0,
+    CIRCUIT_FAILURE_THRESHOLD: 1,
+    CIRCUIT_RESET_SECONDS: 1,
+    PROBE_INTERVAL_SECONDS: 1,
+    ARCHIVE_BACKFILL_SEASONS: 1,
+    ARCHIVE_ROLLUP_INTERVAL_MINUTES: 1
+};
+
+// Settings that may be fractional, and the smallest value each accepts
+const NUMBER_SETTINGS = {
+    SIMULATOR_BACKFILL_HOURS: 0
+};
+
+const CHOICES = {
+    DATA_SOURCE: ["cosmos", "file", "memory"],
+    SAFETY_STATUS_SOURCE: ["computed", "upstream"],
+    SIMULATOR: ["true", "false"],
+    SECURE_COOKIES: ["true", "false"],
+    ANOMALY_EXCLUDE_FROM_ROLLUPS: ["true", "false"],
+    LOG_LEVEL: ["debug", "info", "warn", "error", "silent"]
+};
+
+function isSet(value) {
+    return value !== undefined && value !== "";
+}
+
+function isTimeZone(value) {
+    try {
+        new Intl.DateTimeFormat("en-CA", { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check environment settings. Returns { errors, warnings } as messages.
+ */
+function validateConfig(env = process.env) {
+    const errors = [];
+    const warnings = [];
+
+    for (const [name, choices] of Object.entries(CHOICES)) {
+        const value = env[name];
+        if (isSet(value) && !choices.includes(name === "DATA_SOURCE" ? value.toLowerCase() : value)) {
+            errors.push(`${name} must be one of ${choices.join(", ")} (got "${value}")`);
+        }
+    }
+
+    for (const [name, min] of Object.entries(INTEGER_SETTINGS)) {
+        const value = env[name];
+        if (isSet(value) && !(/^\d+$/.test(value.trim()) && parseInt(value, 10) >= min)) {
+            errors.push(`${name} must be a whole number of at least ${min} (got "${value}")`);
+        }
+    }
+
+    for (const [name, min] of Object.entries(NUMBER_SETTINGS)) {
+        const value = env[name];
+        if (isSet(value) && !(value.trim() !== "" && Number.isFinite(Number(value)) && Number(value) >= min)) {
+            errors.push(`${name} must be a number of at least ${min} (got "${value}")`);
+        }
+    }
+
+    if (isSet(env.TIMEZONE) && !isTimeZone(env.TIMEZONE)) {
+        errors.push(`TIMEZONE must be an IANA time zone such as America/Toronto (got "${env.TIMEZONE}")`);
+    }
+
+    const type = (env.DATA_SOURCE || "cosmos").toLowerCase();
+    if (type === "cosmos") {
+        const endpoint = env.COSMOS_DB_ENDPOINT;
+        if (!isSet(endpoint)) {
+            errors.push("COSMOS_DB_ENDPOINT is required when DATA_SOURCE is cosmos");
+        } else if (!/^https?:\/\/[^/\s]+/.test(endpoint)) {
+            errors.push(`COSMOS_DB_ENDPOINT must be a URL (got "${endpoint}")`);
+        } else if (PLACEHOLDER.test(endpoint)) {
+            errors.push("COSMOS_DB_ENDPOINT still has the placeholder value from .env.example");
+        }
+        if (!isSet(env.COSMOS_DB_KEY)) {
+            errors.push("COSMOS_DB_KEY is required when DATA_SOURCE is cosmos");
+        } else if (PLACEHOLDER.test(env.COSMOS_DB_KEY)) {
+            errors.push("COSMOS_DB_KEY still has the placeholder value from .env.example");
+        }
+    } else if (type === "file" && !isSet(env.DATA_FILE)) {
+        warnings.push("DATA_FILE is not set; using data/aggregations.ndjson");
+    }
+
+    if (env.SIMULATOR === "true" && type === "cosmos") {
+        warnings.push("SIMULATOR=true is ignored with DATA_SOURCE=cosmos");
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = { validateConfig };
@@ -0,0 +1,116 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { logger } = require('../logger');
+
+/**
+ * Cosmos DB data source - reads aggregation documents written by
+ * Stream Analytics into the configured container.
+ * Creating the client opens no connection; probe() checks connectivity.
+ */
+function createCosmosDataSource({ endpoint, key, databaseId, containerId, requestTimeoutMs = 10000 }) {
+    let database;
+    let container;
+    try {
+        const cosmosClient = new CosmosClient({ endpoint, key, connectionPolicy: { requestTimeout: requestTimeoutMs } });
+        database = cosmosClient.database(databaseId);
+        container = database.container(containerId);
+    } catch (err) {
+        logger.error("Invalid Cosmos DB configuration", { err });
+    }
+
+    // Request units consumed per operation since startup
+    const requestCharges = {};
+
+    function recordCharge(operation, requestCharge, started) {
+        requestCharges[operation] = (requestCharges[operation] || 0) + (requestCharge || 0);
+        logger.debug("Cosmos DB request", { operation, durationMs: Date.now() - started, requestCharge });
+    }
+
+    async function query(operation, querySpec) {
+        if (!container) {
+            throw new Error("Container not initialized");
+        }
+        const started = Date.now();
+        const { resources, requestCharge } = await container.items.query(querySpec).fetchAll();
+        recordCharge(operation, requestCharge, started);
+        return resources;
+    }
+
+    return {
+        type: "cosmos",
+
+        isReady() {
+            return Boolean(container);
+        },
+
+        describe() {
+            return {
+                type: "cosmos",
+                endpoint: endpoint ? "Set" : "Missing",
+                database: databaseId,
+                container: containerId
+            };
+        },
+
+        // Newest document for a stored location value, or null
+        async getLatestByLocation(location) {
+            const resources = await query("getLatestByLocation", {
+                query: "SELECT * FROM c WHERE c.location = @loc ORDER BY c.windowEnd DESC OFFSET 0 LIMIT 1",
+                parameters: [{ name: "@loc", value: location }]
+            });
+            return resources.length > 0 ? resources[0] : null;
+        },
+
+        // Documents for a stored location value with from <= windowEnd (<= to), oldest first
+        async getRangeByLocation(location, from, to) {
+            let sql = "SELECT * FROM c WHERE c.location = @loc AND c.windowEnd >= @from";
+            const parameters = [
+                { name: "@loc", value: location },
+                { name: "@from", value: from.toISOString() }
+            ];
+            if (to) {
+                sql += " AND c.windowEnd <= @to";
+                parameters.push({ name: "@to", value: to.toISOString() });
+            }
+            sql += " ORDER BY c.windowEnd ASC";
+            return query("getRangeByLocation", { query: sql, parameters });
+        },
+
+        async getDistinctLocations() {
+            const resources = await query("getDistinctLocations", { query: "SELECT DISTINCT c.location FROM c" });
+            return resources.map(r => r.location);
+        },
+
+        async getCount() {
+            const resources = await query("getCount", { query: "SELECT VALUE COUNT(1) FROM c" });
+            return resources.length > 0 ? resources[0] : 0;
+        },
+
+        // Reads the database and container, failing when either is unreachable or missing
+        async probe() {
+            if (!container) {
+                throw new Error("Container not initialized");
+            }
+            await database.read();
+            await container.read();
+        },
+
+        // Upsert documents; ids derive from location and window so re-sends replace
+        async insertDocuments(docs) {
+            if (!container) {
+                throw new Error("Container not initialized");
+            }
+            for (const doc of docs) {
+                const started = Date.now();
+                const { requestCharge } = await container.items.upsert({ ...doc, id: `${doc.location}-${doc.windowEnd}` });
+                recordCharge("insertDocuments", requestCharge, started);
+            }
+            return docs.length;
+        },
+
+        stats() {
+            return { requestCharges: { ...requestCharges } };
+        }
+    };
+}
+
+module.exports = { createCosmosDataSource };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryDataSource } = require('./memory');
+const { logger } = require('../logger');
+
+/**
+ * Parse aggregation documents from a JSON array or NDJSON (one document per line)
+ */
+function parseDocuments(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
+
+    if (trimmed.startsWith("[")) {
+        return JSON.parse(trimmed);
+    }
+
+    return trimmed
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * File data source - reads aggregation documents exported from Cosmos DB
+ * (or produced locally) so the dashboard can run without Azure.
+ * The file is re-read whenever its modification time changes.
+ */
+function createFileDataSource({ filePath }) {
+    const resolved = path.resolve(filePath);
+    let cachedMtime = null;
+    let cachedDocs = [];
+
+    function loadDocs() {
+        let stat;
+        try {
+            stat = fs.statSync(resolved);
+        } catch (err) {
+            if (cachedMtime !== -1) {
+                logger.error("Data file not found", { file: resolved });
+                cachedMtime = -1;
+                cachedDocs = [];
+            }
+            return cachedDocs;
+        }
+
+        if (stat.mtimeMs !== cachedMtime) {
+            cachedDocs = parseDocuments(fs.readFileSync(resolved, "utf8"));
+            cachedMtime = stat.mtimeMs;
+            logger.info("Loaded data file", { file: resolved, documents: cachedDocs.length });
+        }
+        return cachedDocs;
+    }
+
+    // Writes keep the file's format (JSON array or NDJSON) and replace it atomically
+    function saveDocs(docs) {
+        let asArray = false;
+        try {
+            asArray = fs.readFileSync(resolved, "utf8").trimStart().startsWith("[");
+        } catch (err) {
+            // New files are written as NDJSON
+        }
+
+        const text = asArray
+            ? JSON.stringify(docs, null, 2)
+            : docs.map(doc => JSON.stringify(doc)).join("\n") + "\n";
+        fs.mkdirSync(path.dirname(resolved), { recursive: true });
+        fs.writeFileSync(`${resolved}.tmp`, text);
+        fs.renameSync(`${resolved}.tmp`, resolved);
+
+        cachedDocs = docs;
+        cachedMtime = fs.statSync(resolved).mtimeMs;
+    }
+
+    const source = createMemoryDataSource([], { type: "file", loadDocs, saveDocs });
+    source.describe = () => ({ type: "file", file: resolved });
+    source.probe = async () => {
+        await fs.promises.access(resolved, fs.constants.R_OK);
+        loadDocs();
+    };
+    return source;
+}
+
+module.exports = { createFileDataSource, parseDocuments };
@@ -0,0 +1,52 @@
+const { createCosmosDataSource } = require('./cosmos');
+const { createFileDataSource } = require('./file');
+const { createMemoryDataSource } = require('./memory');
+const { createInstrumentedDataSource } = require('./instrumented');
+
+/**
+ * Build the data source selected by DATA_SOURCE ("cosmos", "file" or "memory",
+ * the last keeping documents in process for demos and tests).
+ *
+ * Every data source exposes the same repository interface:
+ *   getLatestByLocation(location)          -> document | null
+ *   getRangeByLocation(location, from, to) -> document[] (oldest first)
+ *   getDistinctLocations()                 -> string[]
+ *   getCount()                             -> number
+ *   insertDocuments(docs)                  -> number stored (same location + windowEnd replaces)
+ *   probe()                                -> resolves when the store is reachable
+ *   isReady(), describe()
+ * Cosmos DB sources also report request units consumed through stats().
+ */
+function createDataSource(env = process.env) {
+    const type = (env.DATA_SOURCE || "cosmos").toLowerCase();
+
+    if (type === "file") {
+        return createFileDataSource({
+            filePath: env.DATA_FILE || "data/aggregations.ndjson"
+        });
+    }
+
+    if (type === "memory") {
+        return createMemoryDataSource();
+    }
+
+    if (type !== "cosmos") {
+        throw new Error(`Unknown DATA_SOURCE "${env.DATA_SOURCE}" (expected cosmos, file or memory)`);
+    }
+
+    return createCosmosDataSource({
+        endpoint: env.COSMOS_DB_ENDPOINT,
+        key: env.COSMOS_DB_KEY,
+        databaseId: env.COSMOS_DB_DATABASE || "RideauCanalDB",
+        containerId: env.COSMOS_DB_CONTAINER || "SensorAggregations",
+        requestTimeoutMs: parseInt(env.COSMOS_REQUEST_TIMEOUT_MS) || 10000
+    });
+}
+
+module.exports = {
+    createDataSource,
+    createCosmosDataSource,
+    createFileDataSource,
+    createMemoryDataSource,
+    createInstrumentedDataSource
+};
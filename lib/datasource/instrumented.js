@@ -0,0 +1,28 @@
+const QUERY_METHODS = ["getLatestByLocation", "getRangeByLocation", "getDistinctLocations", "getCount", "insertDocuments", "probe"];
+
+/**
+ * Time every data source call. `onQuery({ operation, durationMs, error })`
+ * is called once per attempt, so retries are counted individually.
+ */
+function createInstrumentedDataSource(source, { onQuery }) {
+    const timed = operation => async (...args) => {
+        const started = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+        try {
+            const result = await source[operation](...args);
+            onQuery({ operation, durationMs: elapsed() });
+            return result;
+        } catch (err) {
+            onQuery({ operation, durationMs: elapsed(), error: err });
+            throw err;
+        }
+    };
+
+    const instrumented = { ...source };
+    for (const operation of QUERY_METHODS) {
+        if (typeof source[operation] === "function") instrumented[operation] = timed(operation);
+    }
+    return instrumented;
+}
+
+module.exports = { createInstrumentedDataSource };
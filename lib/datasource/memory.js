@@ -0,0 +1,85 @@
+/**
+ * In-memory data source - evaluates the same queries as the Cosmos
+ * backend against a plain array of aggregation documents.
+ */
+function byWindowEnd(a, b) {
+    if (a.windowEnd < b.windowEnd) return -1;
+    if (a.windowEnd > b.windowEnd) return 1;
+    return 0;
+}
+
+function windowKey(doc) {
+    return `${doc.location}|${doc.windowEnd}`;
+}
+
+/**
+ * Merge documents into a list, replacing any with the same location and windowEnd
+ */
+function upsertDocuments(existing, newDocs) {
+    const replaced = new Set(newDocs.map(windowKey));
+    return [...existing.filter(d => !replaced.has(windowKey(d))), ...newDocs];
+}
+
+function createMemoryDataSource(initialDocs = [], { type = "memory", loadDocs, saveDocs } = {}) {
+    let docs = initialDocs;
+
+    // File-backed sources hand us a loader so edits are picked up without a restart
+    function current() {
+        if (loadDocs) docs = loadDocs();
+        return docs;
+    }
+
+    return {
+        type,
+
+        isReady() {
+            return true;
+        },
+
+        describe() {
+            return { type };
+        },
+
+        async probe() {
+            current();
+        },
+
+        async getLatestByLocation(location) {
+            const matches = current()
+                .filter(d => d.location === location && d.windowEnd)
+                .sort(byWindowEnd);
+            return matches.length > 0 ? matches[matches.length - 1] : null;
+        },
+
+        async getRangeByLocation(location, from, to) {
+            const fromIso = from.toISOString();
+            const toIso = to ? to.toISOString() : null;
+            return current()
+                .filter(d => d.location === location && d.windowEnd >= fromIso)
+                .filter(d => !toIso || d.windowEnd <= toIso)
+                .sort(byWindowEnd);
+        },
+
+        async getDistinctLocations() {
+            return [...new Set(current().map(d => d.location))];
+        },
+
+        async getCount() {
+            return current().length;
+        },
+
+        // Store documents, replacing any for the same location and window
+        async insertDocuments(newDocs) {
+            docs = upsertDocuments(current(), newDocs);
+            if (saveDocs) saveDocs(docs);
+            return newDocs.length;
+        },
+
+        // Used by local tooling to seed or replace documents
+        setDocuments(newDocs) {
+            docs = newDocs;
+        }
+    };
+}
+
+module.exports = { createMemoryDataSource, upsertDocuments };
@@ -0,0 +1,18 @@
+/**
+ * Errors carrying an HTTP status for route handlers to report
+ */
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function badRequest(message) {
+    return httpError(400, message);
+}
+
+function notFound(message) {
+    return httpError(404, message);
+}
+
+module.exports = { httpError, badRequest, notFound };
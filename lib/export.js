@@ -0,0 +1,51 @@
+/**
+ * Serializers for /api/export. Each writer turns shaped documents into
+ * chunks of text so exports can be streamed row by row.
+ */
+
+const FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    json: { contentType: "application/json; charset=utf-8", extension: "json" },
+    ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" }
+};
+
+function csvValue(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create a writer for format ("csv", "json" or "ndjson") with the given columns
+ */
+function createExportWriter(format, columns) {
+    if (!FORMATS[format]) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+
+    let rows = 0;
+
+    return {
+        ...FORMATS[format],
+
+        start() {
+            if (format === "csv") return columns.map(csvValue).join(",") + "\r\n";
+            if (format === "json") return "[";
+            return "";
+        },
+
+        row(doc) {
+            rows++;
+            if (format === "csv") return columns.map(column => csvValue(doc[column])).join(",") + "\r\n";
+            if (format === "json") return (rows > 1 ? ",\n" : "\n") + JSON.stringify(doc);
+            return JSON.stringify(doc) + "\n";
+        },
+
+        end() {
+            if (format === "json") return rows > 0 ? "\n]\n" : "]\n";
+            return "";
+        }
+    };
+}
+
+module.exports = { FORMATS, createExportWriter, csvValue };
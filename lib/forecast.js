@@ -0,0 +1,281 @@
+/**
+ * Ice-thickness forecasting for /api/forecast/:location
+ *
+ * Hourly ice growth is regressed against surface and external temperature
+ * over a lookback period. Temperatures follow their linear trend for a few
+ * hours and then hold, within the range seen over the lookback, and the
+ * fitted growth rate is integrated hour by hour.
+ */
+const { badRequest, httpError } = require('./errors');
+const { bucketize } = require('./history');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_HORIZON_HOURS = 48;
+const MAX_HORIZON_HOURS = 168;
+const DEFAULT_LOOKBACK_HOURS = 72;
+const MAX_LOOKBACK_HOURS = 336;
+
+// Fewest hourly growth samples the temperature regression is fitted on
+const MIN_SAMPLES = 6;
+
+// Temperatures are extrapolated along their trend this far, then held
+const TEMPERATURE_TREND_HOURS = 12;
+
+const PREDICTORS = ["avgSurfaceTemperature", "avgExternalTemperature"];
+
+function parseHours(value, name, fallback, max) {
+    if (value === undefined) return fallback;
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours < 1 || hours > max) {
+        throw badRequest(`Invalid "${name}" (expected 1-${max} hours)`);
+    }
+    return hours;
+}
+
+/**
+ * Validate forecast query parameters. Throws an error with status 400 on bad input.
+ *   hours     projection horizon (default 48)
+ *   lookback  history the model is fitted on, in hours (default 72)
+ */
+function parseForecastQuery(query) {
+    return {
+        horizonHours: parseHours(query.hours, "hours", DEFAULT_HORIZON_HOURS, MAX_HORIZON_HOURS),
+        lookbackHours: parseHours(query.lookback, "lookback", DEFAULT_LOOKBACK_HOURS, MAX_LOOKBACK_HOURS)
+    };
+}
+
+/**
+ * Ice thickness limits from the safety rules: dropping below the Safe
+ * minimum means Caution, below the Caution minimum means Unsafe.
+ */
+function iceThresholds(ruleSet) {
+    const levels = ruleSet.levels || {};
+    return [
+        { status: "Caution", below: levels.Safe && levels.Safe.minIceThickness },
+        { status: "Unsafe", below: levels.Caution && levels.Caution.minIceThickness }
+    ].filter(t => typeof t.below === "number");
+}
+
+/**
+ * Ordinary least squares for y = b0 + b1*x1 + ... via the normal equations.
+ * Returns null when the predictors are degenerate.
+ */
+function leastSquares(rows, ys) {
+    const n = rows[0].length + 1;
+    const xtx = Array.from({ length: n }, () => new Array(n).fill(0));
+    const xty = new Array(n).fill(0);
+
+    rows.forEach((row, i) => {
+        const x = [1, ...row];
+        for (let a = 0; a < n; a++) {
+            xty[a] += x[a] * ys[i];
+            for (let b = 0; b < n; b++) xtx[a][b] += x[a] * x[b];
+        }
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(xtx[r][col]) > Math.abs(xtx[pivot][col])) pivot = r;
+        }
+        if (Math.abs(xtx[pivot][col]) < 1e-9) return null;
+        [xtx[col], xtx[pivot]] = [xtx[pivot], xtx[col]];
+        [xty[col], xty[pivot]] = [xty[pivot], xty[col]];
+
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = xtx[r][col] / xtx[col][col];
+            for (let c = col; c < n; c++) xtx[r][c] -= factor * xtx[col][c];
+            xty[r] -= factor * xty[col];
+        }
+    }
+    return xty.map((value, i) => value / xtx[i][i]);
+}
+
+function predict(coefficients, row) {
+    return coefficients[0] + row.reduce((sum, x, i) => sum + coefficients[i + 1] * x, 0);
+}
+
+function goodnessOfFit(ys, predicted) {
+    const mean = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const total = ys.reduce((sum, y) => sum + (y - mean) ** 2, 0);
+    const residual = ys.reduce((sum, y, i) => sum + (y - predicted[i]) ** 2, 0);
+    return {
+        r2: total > 0 ? 1 - residual / total : null,
+        residualStdDev: Math.sqrt(residual / ys.length)
+    };
+}
+
+/**
+ * Linear trend of a metric over hourly points, as a function of hours since `origin`
+ */
+function linearTrend(points, metric, origin) {
+    const samples = points.filter(p => typeof p[metric] === "number");
+    if (samples.length === 0) return null;
+    const hours = samples.map(p => (new Date(p.timestamp).getTime() - origin) / HOUR_MS);
+    const fit = samples.length > 1 ? leastSquares(hours.map(h => [h]), samples.map(p => p[metric])) : null;
+    if (fit) return { intercept: fit[0], slope: fit[1] };
+    return { intercept: samples[samples.length - 1][metric], slope: 0 };
+}
+
+/**
+ * Linear trend of a temperature, with the lowest and highest values seen
+ */
+function temperatureTrend(points, metric, origin) {
+    const trend = linearTrend(points, metric, origin);
+    if (!trend) return null;
+    const values = points.map(p => p[metric]).filter(v => typeof v === "number");
+    return { ...trend, min: Math.min(...values), max: Math.max(...values) };
+}
+
+/**
+ * Fit hourly ice growth (cm/h) against the temperature predictors.
+ * Tries both temperatures, then each alone when they are collinear, and
+ * falls back to the plain ice-thickness trend with too few samples.
+ */
+function fitGrowthModel(hourly) {
+    const samples = [];
+    for (let i = 1; i < hourly.length; i++) {
+        const prev = hourly[i - 1];
+        const cur = hourly[i];
+        const gapHours = (new Date(cur.timestamp) - new Date(prev.timestamp)) / HOUR_MS;
+        if (gapHours !== 1) continue;
+        if (typeof cur.avgIceThickness !== "number" || typeof prev.avgIceThickness !== "number") continue;
+        if (PREDICTORS.some(p => typeof prev[p] !== "number")) continue;
+
+        samples.push({ temperatures: prev, rate: cur.avgIceThickness - prev.avgIceThickness });
+    }
+
+    if (samples.length >= MIN_SAMPLES) {
+        const rates = samples.map(s => s.rate);
+        for (const predictors of [PREDICTORS, ...PREDICTORS.map(p => [p])]) {
+            const rows = samples.map(s => predictors.map(p => s.temperatures[p]));
+            const coefficients = leastSquares(rows, rates);
+            if (!coefficients) continue;
+
+            return {
+                type: "temperature-regression",
+                samples: samples.length,
+                coefficients: {
+                    intercept: coefficients[0],
+                    ...Object.fromEntries(predictors.map((p, i) => [p, coefficients[i + 1]]))
+                },
+                ...goodnessOfFit(rates, rows.map(row => predict(coefficients, row))),
+                rate: temperatures => predict(coefficients, predictors.map(p => temperatures[p]))
+            };
+        }
+    }
+
+    const origin = hourly.length ? new Date(hourly[0].timestamp).getTime() : 0;
+    const trend = linearTrend(hourly, "avgIceThickness", origin);
+    if (!trend) return null;
+    return {
+        type: "linear-trend",
+        samples: hourly.length,
+        coefficients: { intercept: trend.intercept, slope: trend.slope },
+        r2: null,
+        residualStdDev: null,
+        rate: () => trend.slope
+    };
+}
+
+function round(value, digits = 2) {
+    return value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+/**
+ * When the projection first drops below each threshold, interpolated between hours
+ */
+function thresholdCrossings(current, projection, thresholds, now) {
+    return thresholds.map(({ status, below }) => {
+        if (current.iceThickness < below) {
+            return { status, below, alreadyBelow: true, crossesAt: null, hoursUntil: null };
+        }
+
+        let prev = current;
+        for (const point of projection) {
+            if (point.iceThickness < below) {
+                const fraction = (prev.iceThickness - below) / (prev.iceThickness - point.iceThickness);
+                const prevTime = new Date(prev.timestamp).getTime();
+                const time = prevTime + fraction * (new Date(point.timestamp).getTime() - prevTime);
+                return {
+                    status,
+                    below,
+                    alreadyBelow: false,
+                    crossesAt: new Date(time).toISOString(),
+                    hoursUntil: round(Math.max(0, time - now) / HOUR_MS, 1)
+                };
+            }
+            prev = point;
+        }
+        return { status, below, alreadyBelow: false, crossesAt: null, hoursUntil: null };
+    });
+}
+
+/**
+ * Project ice thickness for one location from normalized documents (oldest first)
+ */
+function buildForecast(docs, { horizonHours, lookbackHours, thresholds, now = Date.now() }) {
+    const latest = [...docs].reverse().find(doc => typeof doc.avgIceThickness === "number");
+    if (!latest) {
+        throw httpError(422, "Not enough recent ice thickness data to forecast");
+    }
+
+    const hourly = bucketize(docs, HOUR_MS, ["avgIceThickness", ...PREDICTORS]);
+    const model = fitGrowthModel(hourly);
+
+    // A short-lived trend mustn't be extrapolated for days into temperatures never observed
+    const start = new Date(latest.timestamp).getTime();
+    const temperatureTrends = Object.fromEntries(PREDICTORS.map(p => [p, temperatureTrend(hourly, p, start)]));
+
+    const projection = [];
+    let thickness = latest.avgIceThickness;
+    for (let hour = 1; hour <= Math.ceil(horizonHours); hour++) {
+        const temperatures = {};
+        for (const [metric, trend] of Object.entries(temperatureTrends)) {
+            if (!trend) {
+                temperatures[metric] = 0;
+                continue;
+            }
+            const projected = trend.intercept + trend.slope * Math.min(hour - 0.5, TEMPERATURE_TREND_HOURS);
+            temperatures[metric] = Math.min(trend.max, Math.max(trend.min, projected));
+        }
+        thickness = Math.max(0, thickness + model.rate(temperatures));
+        projection.push({
+            timestamp: new Date(start + hour * HOUR_MS).toISOString(),
+            iceThickness: round(thickness),
+            avgSurfaceTemperature: round(temperatures.avgSurfaceTemperature),
+            avgExternalTemperature: round(temperatures.avgExternalTemperature)
+        });
+    }
+
+    const current = { timestamp: latest.timestamp, iceThickness: round(latest.avgIceThickness) };
+    const { rate, ...modelSummary } = model;
+
+    return {
+        generatedAt: new Date(now).toISOString(),
+        horizonHours,
+        lookbackHours,
+        basedOn: { windows: docs.length, hours: hourly.length },
+        model: {
+            ...modelSummary,
+            r2: round(modelSummary.r2, 3),
+            residualStdDev: round(modelSummary.residualStdDev, 3),
+            coefficients: Object.fromEntries(Object.entries(modelSummary.coefficients).map(([k, v]) => [k, round(v, 4)]))
+        },
+        current,
+        projection,
+        thresholds: thresholdCrossings(current, projection, thresholds, now)
+    };
+}
+
+module.exports = {
+    DEFAULT_HORIZON_HOURS,
+    MAX_HORIZON_HOURS,
+    parseForecastQuery,
+    iceThresholds,
+    fitGrowthModel,
+    buildForecast
+};
@@ -0,0 +1,86 @@
+/**
+ * Data freshness and sensor health for a location, derived from its
+ * latest aggregation window and the windows leading up to it.
+ */
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Gaps in a window sequence (oldest first) longer than 1.5 windows
+ */
+function findGaps(docs, windowMs) {
+    const gaps = [];
+    for (let i = 1; i < docs.length; i++) {
+        const previous = new Date(docs[i - 1].timestamp).getTime();
+        const current = new Date(docs[i].timestamp).getTime();
+        const gapMs = current - previous;
+        if (gapMs > windowMs * 1.5) {
+            gaps.push({
+                from: docs[i - 1].timestamp,
+                to: docs[i].timestamp,
+                missingWindows: Math.round(gapMs / windowMs) - 1
+            });
+        }
+    }
+    return gaps;
+}
+
+/**
+ * Assess a location's health.
+ *   latest   newest normalized document
+ *   recent   normalized documents in the lookback period, oldest first
+ * Returns { state: "Live" | "Stale" | "Offline", issues, ... }
+ */
+function assessHealth({ latest, recent = [], now = Date.now(), windowMs, staleAfterMs, offlineAfterMs,
+    expectedReadings = null, lowReadingRatio = 0.5 }) {
+    const lastSeen = latest && latest.timestamp ? new Date(latest.timestamp).getTime() : NaN;
+    if (isNaN(lastSeen)) {
+        return { state: "Offline", lastSeen: null, ageSeconds: null, issues: ["No data received"] };
+    }
+
+    const ageMs = Math.max(0, now - lastSeen);
+    let state = "Live";
+    if (ageMs > offlineAfterMs) state = "Offline";
+    else if (ageMs > staleAfterMs) state = "Stale";
+
+    const issues = [];
+    if (state !== "Live") {
+        issues.push(`No new data for ${Math.round(ageMs / 60000)} minutes`);
+    }
+
+    const gaps = findGaps(recent, windowMs);
+    const missingWindows = gaps.reduce((sum, gap) => sum + gap.missingWindows, 0);
+    if (missingWindows > 0) {
+        issues.push(`${missingWindows} missing window${missingWindows === 1 ? "" : "s"} in recent data`);
+    }
+
+    // Without a configured expectation, compare against this location's recent typical count
+    const expected = expectedReadings || median(recent
+        .map(d => d.readingCount)
+        .filter(count => typeof count === "number"));
+    const lowReadingCount = typeof latest.readingCount === "number" && expected !== null &&
+        latest.readingCount < expected * lowReadingRatio;
+    if (lowReadingCount) {
+        issues.push(`Only ${latest.readingCount} readings in the last window (expected ~${Math.round(expected)})`);
+    }
+
+    return {
+        state,
+        lastSeen: latest.timestamp,
+        ageSeconds: Math.round(ageMs / 1000),
+        expectedIntervalSeconds: Math.round(windowMs / 1000),
+        gaps,
+        missingWindows,
+        readingCount: latest.readingCount,
+        expectedReadings: expected,
+        lowReadingCount,
+        issues
+    };
+}
+
+module.exports = { assessHealth, findGaps };
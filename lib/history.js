@@ -0,0 +1,208 @@
+/**
+ * History query parsing and downsampling for /api/history/:location
+ */
+const { badRequest } = require('./errors');
+
+// Numeric fields of a normalized document that can be charted
+const METRICS = [
+    "avgIceThickness",
+    "avgSurfaceTemperature",
+    "maxSnowAccumulation",
+    "avgExternalTemperature",
+    "readingCount"
+];
+
+const BUCKET_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Buckets tried, finest first, when a raw result exceeds the point cap
+const AUTO_BUCKETS = ["5m", "15m", "30m", "1h", "3h", "6h", "12h", "1d", "7d"];
+
+// Longest range a history query may span: one full season
+const DEFAULT_MAX_RANGE_DAYS = 366;
+
+/**
+ * Parse a bucket size such as "5m", "1h" or "1d" into milliseconds
+ */
+function parseBucket(value) {
+    const match = /^(\d+)([mhd])$/.exec(String(value).trim());
+    if (!match || parseInt(match[1], 10) === 0) {
+        throw badRequest(`Invalid bucket "${value}" (expected e.g. 5m, 1h, 1d)`);
+    }
+    return parseInt(match[1], 10) * BUCKET_UNITS[match[2]];
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+        throw badRequest(`Invalid "${name}" (expected an ISO 8601 date)`);
+    }
+    return date;
+}
+
+/**
+ * Validate history query parameters. Throws an error with status 400 on bad input.
+ *   from, to  ISO dates (to defaults to now)
+ *   hours     relative range ending now (default 1), not combined with from
+ *   bucket    aggregate into min/avg/max per bucket
+ *   metrics   comma-separated subset of METRICS
+ * Ranges longer than maxRangeDays are rejected, since every raw window in
+ * the range is loaded before bucketing.
+ */
+function parseHistoryQuery(query, { now = new Date(), maxRangeDays = DEFAULT_MAX_RANGE_DAYS } = {}) {
+    if (query.hours !== undefined && query.from !== undefined) {
+        throw badRequest('Use either "hours" or "from", not both');
+    }
+
+    let to = query.to !== undefined ? parseDate(query.to, "to") : now;
+    let from;
+    if (query.from !== undefined) {
+        from = parseDate(query.from, "from");
+    } else {
+        const hours = query.hours !== undefined ? Number(query.hours) : 1;
+        if (!Number.isFinite(hours) || hours <= 0) {
+            throw badRequest('Invalid "hours" (expected a positive number)');
+        }
+        from = new Date(to.getTime() - hours * BUCKET_UNITS.h);
+    }
+
+    if (from >= to) {
+        throw badRequest('"from" must be before "to"');
+    }
+    if (to - from > maxRangeDays * BUCKET_UNITS.d) {
+        throw badRequest(`Range too long (at most ${maxRangeDays} days)`);
+    }
+
+    let metrics = METRICS;
+    if (query.metrics !== undefined) {
+        metrics = String(query.metrics).split(",").map(m => m.trim()).filter(Boolean);
+        const unknown = metrics.filter(m => !METRICS.includes(m));
+        if (metrics.length === 0 || unknown.length > 0) {
+            throw badRequest(`Unknown metrics: ${unknown.join(", ") || "(none given)"} (expected ${METRICS.join(", ")})`);
+        }
+    }
+
+    const bucket = query.bucket !== undefined ? String(query.bucket) : null;
+    const bucketMs = bucket ? parseBucket(bucket) : null;
+
+    return { from, to, metrics, bucket, bucketMs };
+}
+
+/**
+ * Keep only the requested metrics on a normalized document
+ */
+function selectMetrics(doc, metrics) {
+    const result = { location: doc.location, timestamp: doc.timestamp };
+    for (const metric of metrics) result[metric] = doc[metric];
+    if (doc.safetyStatus !== undefined) result.safetyStatus = doc.safetyStatus;
+
+    const anomalies = (doc.anomalies || []).filter(a => metrics.includes(a.metric));
+    if (anomalies.length) result.anomalies = anomalies;
+    return result;
+}
+
+/**
+ * Aggregate normalized documents into fixed-size time buckets.
+ * Each metric holds the bucket average, with min/max alongside.
+ * Anomalous values are counted per metric, and left out when excludeAnomalies is set.
+ */
+function bucketize(docs, bucketMs, metrics, { excludeAnomalies = false } = {}) {
+    const buckets = new Map();
+
+    for (const doc of docs) {
+        const time = new Date(doc.timestamp).getTime();
+        if (isNaN(time)) continue;
+
+        const start = Math.floor(time / bucketMs) * bucketMs;
+        if (!buckets.has(start)) {
+            buckets.set(start, { location: doc.location, start, count: 0, values: {}, anomalies: {} });
+        }
+        const bucket = buckets.get(start);
+        bucket.count++;
+
+        for (const metric of metrics) {
+            const value = doc[metric];
+            if (typeof value !== "number" || isNaN(value)) continue;
+            if (doc.anomalies && doc.anomalies.some(a => a.metric === metric)) {
+                bucket.anomalies[metric] = (bucket.anomalies[metric] || 0) + 1;
+                if (excludeAnomalies) continue;
+            }
+            if (!bucket.values[metric]) bucket.values[metric] = [];
+            bucket.values[metric].push(value);
+        }
+    }
+
+    return [...buckets.values()]
+        .sort((a, b) => a.start - b.start)
+        .map(bucket => {
+            const point = {
+                location: bucket.location,
+                timestamp: new Date(bucket.start).toISOString(),
+                bucketEnd: new Date(bucket.start + bucketMs).toISOString(),
+                count: bucket.count,
+                min: {},
+                max: {}
+            };
+            for (const metric of metrics) {
+                const values = bucket.values[metric];
+                if (!values) {
+                    point[metric] = null;
+                    point.min[metric] = null;
+                    point.max[metric] = null;
+                    continue;
+                }
+                point[metric] = values.reduce((sum, v) => sum + v, 0) / values.length;
+                point.min[metric] = Math.min(...values);
+                point.max[metric] = Math.max(...values);
+            }
+
+            const anomalies = Object.entries(bucket.anomalies)
+                .map(([metric, count]) => ({ metric, count, excluded: excludeAnomalies }));
+            if (anomalies.length) point.anomalies = anomalies;
+            return point;
+        });
+}
+
+/**
+ * Smallest automatic bucket that keeps a time range under maxPoints,
+ * falling back to whole days when even the largest is too fine
+ */
+function pickBucket(from, to, maxPoints) {
+    const rangeMs = to.getTime() - from.getTime();
+    for (const bucket of AUTO_BUCKETS) {
+        if (Math.ceil(rangeMs / parseBucket(bucket)) <= maxPoints) return bucket;
+    }
+    return `${Math.ceil(rangeMs / maxPoints / BUCKET_UNITS.d)}d`;
+}
+
+/**
+ * Shape normalized documents for a parsed history query, downsampling
+ * when an explicit bucket is requested or the raw result exceeds maxPoints.
+ * Returns { points, bucket }.
+ */
+function shapeHistory(docs, query, maxPoints, options = {}) {
+    if (query.bucketMs) {
+        const expected = Math.ceil((query.to - query.from) / query.bucketMs);
+        if (expected > maxPoints) {
+            throw badRequest(`Bucket "${query.bucket}" would return up to ${expected} points (max ${maxPoints}); use a larger bucket`);
+        }
+        return { points: bucketize(docs, query.bucketMs, query.metrics, options), bucket: query.bucket };
+    }
+
+    if (docs.length <= maxPoints) {
+        return { points: docs.map(doc => selectMetrics(doc, query.metrics)), bucket: null };
+    }
+
+    const bucket = pickBucket(query.from, query.to, maxPoints);
+    return { points: bucketize(docs, parseBucket(bucket), query.metrics, options), bucket };
+}
+
+module.exports = {
+    METRICS,
+    DEFAULT_MAX_RANGE_DAYS,
+    parseBucket,
+    parseHistoryQuery,
+    selectMetrics,
+    bucketize,
+    pickBucket,
+    shapeHistory
+};
@@ -0,0 +1,37 @@
+/**
+ * Outgoing HTTP requests shared by the alert webhooks and the simulator script
+ */
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON body, resolving with the status code of a 2xx response.
+ * Options: timeoutMs (default 10 s) and extra request headers.
+ */
+function postJson(url, body, { timeoutMs = 10000, headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === "https:" ? https : http;
+        const payload = JSON.stringify(body);
+
+        const req = transport.request(target, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(payload),
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (res) => {
+            res.resume();
+            if (res.statusCode >= 200 && res.statusCode < 300) resolve(res.statusCode);
+            else reject(new Error(`${target.host} responded with HTTP ${res.statusCode}`));
+        });
+
+        req.on("timeout", () => req.destroy(new Error(`Request to ${target.host} timed out`)));
+        req.on("error", reject);
+        req.end(payload);
+    });
+}
+
+module.exports = { postJson };
@@ -0,0 +1,29 @@
+/**
+ * Languages the API can answer in, chosen from the Accept-Language header
+ */
+const LANGUAGES = ["en", "fr"];
+const DEFAULT_LANGUAGE = "en";
+
+/**
+ * Best supported language for an Accept-Language header, e.g.
+ * "fr-CA,fr;q=0.9,en;q=0.8" -> "fr". Regions are ignored and a
+ * missing or unusable header falls back to the default.
+ */
+function negotiateLanguage(header) {
+    if (!header) return DEFAULT_LANGUAGE;
+
+    const ranges = String(header).split(",").map((part, index) => {
+        const [tag, ...params] = part.trim().split(";");
+        const qParam = params.map(p => p.trim()).find(p => p.startsWith("q="));
+        const q = qParam ? Number(qParam.slice(2)) : 1;
+        return { language: tag.trim().toLowerCase().split("-")[0], q: Number.isFinite(q) ? q : 0, index };
+    });
+
+    const match = ranges
+        .filter(range => range.q > 0 && (range.language === "*" || LANGUAGES.includes(range.language)))
+        .sort((a, b) => b.q - a.q || a.index - b.index)[0];
+    if (!match || match.language === "*") return DEFAULT_LANGUAGE;
+    return match.language;
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, negotiateLanguage };
@@ -0,0 +1,112 @@
+/**
+ * Validation for aggregation documents posted to /api/ingest
+ */
+const { badRequest } = require('./errors');
+
+// Most documents accepted in one request
+const MAX_INGEST_DOCUMENTS = 1000;
+
+const NUMERIC_FIELDS = [
+    "avgIceThickness",
+    "minIceThickness",
+    "maxIceThickness",
+    "avgSurfaceTemperature",
+    "minSurfaceTemperature",
+    "maxSurfaceTemperature",
+    "maxSnowAccumulation",
+    "avgExternalTemperature"
+];
+
+const ALLOWED_FIELDS = new Set([
+    "location",
+    "windowStart",
+    "windowEnd",
+    "readingCount",
+    "safetyStatus",
+    ...NUMERIC_FIELDS
+]);
+
+function isIsoDate(value) {
+    return typeof value === "string" && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Problems with one document, as messages (empty when valid)
+ */
+function validateDocument(doc, { resolveLocation }) {
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+        return ["must be an object"];
+    }
+
+    const errors = [];
+    const unknown = Object.keys(doc).filter(field => !ALLOWED_FIELDS.has(field));
+    if (unknown.length) errors.push(`unknown fields: ${unknown.join(", ")}`);
+
+    if (typeof doc.location !== "string" || !doc.location.trim()) {
+        errors.push('"location" is required');
+    } else if (!resolveLocation(doc.location)) {
+        errors.push(`unknown location "${doc.location}"`);
+    }
+
+    if (!isIsoDate(doc.windowEnd)) {
+        errors.push('"windowEnd" must be an ISO 8601 date');
+    } else if (new Date(doc.windowEnd).getTime() > Date.now() + 5 * 60 * 1000) {
+        errors.push('"windowEnd" is in the future');
+    }
+    if (doc.windowStart !== undefined && (!isIsoDate(doc.windowStart) || new Date(doc.windowStart) > new Date(doc.windowEnd))) {
+        errors.push('"windowStart" must be an ISO 8601 date before windowEnd');
+    }
+
+    for (const field of NUMERIC_FIELDS) {
+        const value = doc[field];
+        if (value !== undefined && value !== null && !Number.isFinite(value)) {
+            errors.push(`"${field}" must be a number or null`);
+        }
+    }
+    if (doc.avgIceThickness === undefined) {
+        errors.push('"avgIceThickness" is required (null when unavailable)');
+    }
+    if (doc.readingCount !== undefined && (!Number.isInteger(doc.readingCount) || doc.readingCount < 0)) {
+        errors.push('"readingCount" must be a non-negative integer');
+    }
+    if (doc.safetyStatus !== undefined && typeof doc.safetyStatus !== "string") {
+        errors.push('"safetyStatus" must be a string');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an ingest body (one document or an array of them).
+ * Throws an error with status 400 listing every problem; returns the
+ * documents with locations stored under their registry key and window
+ * times as UTC ISO strings.
+ * resolveLocation(value) returns the key for a known location, else null.
+ */
+function parseIngestBody(body, options) {
+    const docs = Array.isArray(body) ? body : [body];
+    if (docs.length === 0) {
+        throw badRequest("No documents to ingest");
+    }
+    if (docs.length > MAX_INGEST_DOCUMENTS) {
+        throw badRequest(`Too many documents (max ${MAX_INGEST_DOCUMENTS} per request)`);
+    }
+
+    const problems = docs
+        .map((doc, index) => ({ index, errors: validateDocument(doc, options) }))
+        .filter(p => p.errors.length > 0);
+    if (problems.length > 0) {
+        const err = badRequest(`${problems.length} invalid document(s)`);
+        err.details = problems;
+        throw err;
+    }
+    // Stores order and filter windows as strings, so times are kept in one canonical form
+    return docs.map(doc => ({
+        ...doc,
+        location: options.resolveLocation(doc.location),
+        ...(doc.windowStart !== undefined ? { windowStart: new Date(doc.windowStart).toISOString() } : {}),
+        windowEnd: new Date(doc.windowEnd).toISOString()
+    }));
+}
+
+module.exports = { MAX_INGEST_DOCUMENTS, validateDocument, parseIngestBody };
@@ -0,0 +1,162 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+/**
+ * Live feed - polls the latest reading for every location once per
+ * interval and pushes new aggregation windows to connected browsers
+ * over Server-Sent Events.
+ *
+ * Events:
+ *   reading  { location, data }   a new aggregation window for a location, or a
+ *                                 change in its signature (e.g. freshness state)
+ *   status   { ...status }        system status after new readings arrived
+ *   resync   {}                   client missed events and should reload
+ *   override / annotation  { location, id }  an operator change; clients reload
+ *
+ * Listeners registered with on("poll") receive the latest reading per
+ * location after every poll (not sent to browsers).
+ *
+ * Event ids are "<bootId>-<seq>" so a client reconnecting after a server
+ * restart (or after falling out of the replay buffer) is told to resync.
+ */
+function createLiveFeed({ loadLatest, buildStatus, signature = data => data.timestamp, intervalMs = 15000,
+    historySize = 500, keepAliveMs = 25000 }) {
+    const emitter = new EventEmitter();
+    const bootId = Date.now().toString(36);
+    const clients = new Set();
+    const history = [];
+    const lastSeen = {};
+    let seq = 0;
+    let timer = null;
+    let keepAliveTimer = null;
+    let polling = false;
+    let seeded = false;
+
+    function formatEvent(event) {
+        return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+    }
+
+    function publish(type, data) {
+        seq++;
+        const event = { id: `${bootId}-${seq}`, seq, type, data };
+        history.push(event);
+        if (history.length > historySize) history.shift();
+
+        const frame = formatEvent(event);
+        for (const res of clients) res.write(frame);
+
+        emitter.emit(type, data);
+        return event;
+    }
+
+    // Events after lastEventId, or null if the client has to resync
+    function eventsSince(lastEventId) {
+        const [eventBootId, eventSeq] = String(lastEventId).split("-");
+        const lastSeq = parseInt(eventSeq, 10);
+        if (eventBootId !== bootId || isNaN(lastSeq)) return null;
+
+        const oldest = history.length > 0 ? history[0].seq : seq + 1;
+        if (lastSeq < oldest - 1) return null;
+
+        return history.filter(e => e.seq > lastSeq);
+    }
+
+    async function poll() {
+        if (polling) return;
+        polling = true;
+        try {
+            const latest = await loadLatest();
+            let changed = false;
+
+            for (const [location, data] of Object.entries(latest)) {
+                if (!data || !data.timestamp) continue;
+
+                const previous = lastSeen[location];
+                const current = { timestamp: data.timestamp, signature: signature(data) };
+                if (previous && previous.signature === current.signature) continue;
+
+                // Ignore out-of-order windows; same window with a new signature is an update
+                const isNew = !previous || new Date(data.timestamp) >= new Date(previous.timestamp);
+                if (!isNew) continue;
+                lastSeen[location] = current;
+
+                // The first poll only records what clients already get from the REST API
+                if (seeded) {
+                    publish("reading", { location, data });
+                    changed = true;
+                }
+            }
+            seeded = true;
+
+            if (changed && buildStatus) {
+                publish("status", buildStatus(latest));
+            }
+
+            emitter.emit("poll", latest);
+        } catch (err) {
+            logger.error("Live feed poll failed", { err });
+        } finally {
+            polling = false;
+        }
+    }
+
+    // Express handler for GET /api/stream
+    function handler(req, res) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            "Connection": "keep-alive",
+            "X-Accel-Buffering": "no"
+        });
+        res.write("retry: 5000\n\n");
+
+        const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+        if (lastEventId) {
+            const missed = eventsSince(lastEventId);
+            if (missed === null) {
+                res.write(formatEvent({ id: `${bootId}-${seq}`, type: "resync", data: {} }));
+            } else {
+                for (const event of missed) res.write(formatEvent(event));
+            }
+        }
+
+        clients.add(res);
+        req.on("close", () => {
+            clients.delete(res);
+        });
+    }
+
+    return {
+        handler,
+        poll,
+        publish,
+
+        on(type, listener) {
+            emitter.on(type, listener);
+        },
+
+        clientCount() {
+            return clients.size;
+        },
+
+        start() {
+            if (timer) return;
+            poll();
+            timer = setInterval(poll, intervalMs);
+            keepAliveTimer = setInterval(() => {
+                for (const res of clients) res.write(": keep-alive\n\n");
+            }, keepAliveMs);
+        },
+
+        stop() {
+            clearInterval(timer);
+            clearInterval(keepAliveTimer);
+            timer = null;
+            keepAliveTimer = null;
+            for (const res of clients) res.end();
+            clients.clear();
+        }
+    };
+}
+
+module.exports = { createLiveFeed };
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCATIONS_FILE = path.join(__dirname, "..", "config", "locations.json");
+
+// Same slug rule the dashboard has always applied to stored location names
+function slugify(value) {
+    return String(value)
+        .toLowerCase()
+        .replace(/'/g, "")
+        .replace(/\s+/g, "-");
+}
+
+function validateLocation(entry, index) {
+    if (!entry || typeof entry.key !== "string" || !entry.key) {
+        throw new Error(`Location #${index + 1} is missing a "key"`);
+    }
+    if (typeof entry.name !== "string" || !entry.name) {
+        throw new Error(`Location "${entry.key}" is missing a "name"`);
+    }
+    if (entry.aliases !== undefined && !Array.isArray(entry.aliases)) {
+        throw new Error(`Location "${entry.key}" has non-array "aliases"`);
+    }
+    if (entry.names !== undefined) {
+        const valid = entry.names && typeof entry.names === "object" && !Array.isArray(entry.names) &&
+            Object.values(entry.names).every(name => typeof name === "string" && name);
+        if (!valid) {
+            throw new Error(`Location "${entry.key}" has invalid "names" (expected { language: name })`);
+        }
+    }
+}
+
+/**
+ * Build a location registry from a list of location entries:
+ *   { key, name, names?: { fr: "..." }, aliases?, coordinates?: { lat, lng }, order?, color? }
+ * `names` holds display names in languages other than English. Aliases are the location values as stored in the data source
+ * (Stream Analytics may write either the deviceId or the full name).
+ */
+function createLocationRegistry(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error("Location registry must be a non-empty array");
+    }
+
+    const byKey = new Map();
+    const byStoredValue = new Map();
+
+    entries.forEach((entry, index) => {
+        validateLocation(entry, index);
+        if (byKey.has(entry.key)) {
+            throw new Error(`Duplicate location key "${entry.key}"`);
+        }
+
+        const location = {
+            key: entry.key,
+            name: entry.name,
+            names: entry.names || {},
+            aliases: entry.aliases || [],
+            coordinates: entry.coordinates || null,
+            order: entry.order !== undefined ? entry.order : index + 1,
+            color: entry.color || null
+        };
+        byKey.set(location.key, location);
+
+        for (const value of [location.key, ...location.aliases]) {
+            byStoredValue.set(value, location.key);
+        }
+    });
+
+    const sorted = [...byKey.values()].sort((a, b) => a.order - b.order);
+
+    return {
+        // All locations in segment order
+        list() {
+            return sorted;
+        },
+
+        keys() {
+            return sorted.map(l => l.key);
+        },
+
+        get(key) {
+            return byKey.get(key) || null;
+        },
+
+        // Values a location may be stored under; unknown keys are queried as-is
+        variants(key) {
+            const location = byKey.get(key);
+            if (!location) return [key];
+            return [...new Set([location.key, ...location.aliases])];
+        },
+
+        // Map a stored location value back to its registry key
+        resolve(storedValue) {
+            if (storedValue == null) return null;
+            return byStoredValue.get(storedValue) || slugify(storedValue);
+        }
+    };
+}
+
+/**
+ * The location with its display name in `language`, falling back to the default name
+ */
+function localizeLocation(location, language) {
+    const name = location.names && location.names[language];
+    return name ? { ...location, name } : location;
+}
+
+/**
+ * Load the location registry from LOCATIONS_FILE (default config/locations.json)
+ */
+function loadLocationRegistry(filePath = process.env.LOCATIONS_FILE || DEFAULT_LOCATIONS_FILE) {
+    const resolved = path.resolve(filePath);
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    } catch (err) {
+        throw new Error(`Failed to load locations from ${resolved}: ${err.message}`);
+    }
+    return createLocationRegistry(entries);
+}
+
+module.exports = { createLocationRegistry, loadLocationRegistry, localizeLocation, slugify };
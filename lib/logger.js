@@ -0,0 +1,52 @@
+/**
+ * Structured logging - one JSON object per line with the time, level and
+ * message plus any fields (request ID, location, ...). LOG_LEVEL sets the
+ * lowest level written: debug, info (default), warn, error or silent.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Errors don't survive JSON.stringify; unexpected ones (no HTTP status) keep their stack
+function serializeError(err) {
+    return {
+        message: err.message,
+        ...(err.code ? { code: err.code } : {}),
+        ...(err.status ? { status: err.status } : { stack: err.stack })
+    };
+}
+
+// Warnings and errors go to stderr, the rest to stdout
+function writeLine(line, level) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function createLogger({ level = "info", fields = {}, write = writeLine } = {}) {
+    const threshold = LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+
+    function log(levelName, msg, extra = {}) {
+        if (LEVELS[levelName] < threshold) return;
+
+        const entry = { time: new Date().toISOString(), level: levelName, msg, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+        write(JSON.stringify(entry), levelName);
+    }
+
+    return {
+        level,
+        debug: (msg, extra) => log("debug", msg, extra),
+        info: (msg, extra) => log("info", msg, extra),
+        warn: (msg, extra) => log("warn", msg, extra),
+        error: (msg, extra) => log("error", msg, extra),
+
+        // Logger adding `extra` fields to every entry, e.g. { requestId }
+        child(extra) {
+            return createLogger({ level, fields: { ...fields, ...extra }, write });
+        }
+    };
+}
+
+// Shared process logger
+const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+module.exports = { LEVELS, createLogger, logger };
@@ -0,0 +1,100 @@
+/**
+ * Metrics registry rendered in the Prometheus text exposition format.
+ * Counters and histograms are updated as things happen; metrics with a
+ * collect() function are read when scraped (cache stats, data age).
+ */
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    if (value === -Infinity) return "-Inf";
+    return String(value);
+}
+
+function createMetricsRegistry() {
+    const families = [];
+
+    function register(name, help, type, samples) {
+        if (families.some(family => family.name === name)) {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+        families.push({ name, help, type, samples });
+    }
+
+    // Counter or gauge: set by inc()/set() or read from collect() -> [{ labels, value }]
+    function simple(type, { name, help, collect }) {
+        const series = new Map();
+        register(name, help, type, () => (collect ? collect() : [...series.values()]));
+
+        return {
+            inc(labels = {}, by = 1) {
+                const key = formatLabels(labels);
+                const entry = series.get(key) || { labels, value: 0 };
+                entry.value += by;
+                series.set(key, entry);
+            },
+            set(labels, value) {
+                series.set(formatLabels(labels), { labels, value });
+            }
+        };
+    }
+
+    return {
+        counter: options => simple("counter", options),
+        gauge: options => simple("gauge", options),
+
+        histogram({ name, help, buckets = DEFAULT_BUCKETS }) {
+            const series = new Map();
+            register(name, help, "histogram", () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((le, i) => ({ suffix: "_bucket", labels: { ...labels, le }, value: counts[i] })),
+                { suffix: "_bucket", labels: { ...labels, le: Infinity }, value: count },
+                { suffix: "_sum", labels, value: sum },
+                { suffix: "_count", labels, value: count }
+            ]));
+
+            return {
+                observe(labels, value) {
+                    const key = formatLabels(labels);
+                    let entry = series.get(key);
+                    if (!entry) {
+                        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                        series.set(key, entry);
+                    }
+                    buckets.forEach((le, i) => {
+                        if (value <= le) entry.counts[i]++;
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                }
+            };
+        },
+
+        // Every metric in exposition format
+        render() {
+            const lines = [];
+            for (const family of families) {
+                lines.push(`# HELP ${family.name} ${family.help}`);
+                lines.push(`# TYPE ${family.name} ${family.type}`);
+                for (const { suffix = "", labels = {}, value } of family.samples()) {
+                    const shown = labels.le !== undefined ? { ...labels, le: formatValue(labels.le) } : labels;
+                    lines.push(`${family.name}${suffix}${formatLabels(shown)} ${formatValue(value)}`);
+                }
+            }
+            return `${lines.join("\n")}\n`;
+        }
+    };
+}
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createMetricsRegistry };
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { badRequest, notFound } = require('./errors');
+const { logger } = require('./logger');
+
+// Statuses an operator can force on a location
+const OVERRIDE_STATUSES = ["Closed", "Caution"];
+
+// Longest an override may stay in force without being renewed
+const MAX_OVERRIDE_MS = 14 * 24 * 60 * 60 * 1000;
+
+function parseTime(value, name) {
+    const date = new Date(value);
+    if (value === undefined || value === null || value === "" || isNaN(date.getTime())) {
+        throw badRequest(`Invalid "${name}" (expected an ISO 8601 date)`);
+    }
+    return date;
+}
+
+function requireText(value, name, maxLength) {
+    if (typeof value !== "string" || !value.trim()) {
+        throw badRequest(`"${name}" is required`);
+    }
+    if (value.length > maxLength) {
+        throw badRequest(`"${name}" must be at most ${maxLength} characters`);
+    }
+    return value.trim();
+}
+
+/**
+ * Operator overrides (force Closed/Caution with a reason and expiry) and
+ * free-text annotations over a time range, persisted to a local JSON file.
+ */
+function createOverrideStore({ filePath, isKnownLocation = () => true, now = Date.now } = {}) {
+    let state = { overrides: [], annotations: [] };
+
+    if (filePath && fs.existsSync(filePath)) {
+        try {
+            state = { overrides: [], annotations: [], ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+        } catch (err) {
+            logger.error("Failed to read overrides", { file: filePath, err });
+        }
+    }
+
+    function save() {
+        if (!filePath) return;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(state, null, 4) + "\n");
+    }
+
+    function checkLocation(location) {
+        if (!isKnownLocation(location)) {
+            throw badRequest(`Unknown location "${location}"`);
+        }
+    }
+
+    function isActive(override) {
+        return !override.liftedAt && new Date(override.expiresAt).getTime() > now();
+    }
+
+    return {
+        OVERRIDE_STATUSES,
+
+        // Most recent active override for a location, or null
+        activeOverride(location) {
+            const active = state.overrides.filter(o => o.location === location && isActive(o));
+            return active.length > 0 ? active[active.length - 1] : null;
+        },
+
+        listOverrides({ includeInactive = false } = {}) {
+            return state.overrides.filter(o => includeInactive || isActive(o));
+        },
+
+        /**
+         * Add an override: { location, status, reason, expiresAt | durationMinutes }
+         */
+        addOverride(input, createdBy) {
+            const body = input || {};
+            checkLocation(body.location);
+
+            const status = OVERRIDE_STATUSES.find(s => s.toLowerCase() === String(body.status || "").toLowerCase());
+            if (!status) {
+                throw badRequest(`Invalid "status" (expected ${OVERRIDE_STATUSES.join(" or ")})`);
+            }
+
+            let expiresAt;
+            if (body.expiresAt !== undefined) {
+                expiresAt = parseTime(body.expiresAt, "expiresAt");
+            } else {
+                const minutes = Number(body.durationMinutes);
+                if (!Number.isFinite(minutes) || minutes <= 0) {
+                    throw badRequest('Provide "expiresAt" or a positive "durationMinutes"');
+                }
+                expiresAt = new Date(now() + minutes * 60000);
+            }
+            if (expiresAt.getTime() <= now()) {
+                throw badRequest('"expiresAt" must be in the future');
+            }
+            if (expiresAt.getTime() - now() > MAX_OVERRIDE_MS) {
+                throw badRequest("Overrides can last at most 14 days");
+            }
+
+            const override = {
+                id: crypto.randomUUID(),
+                location: body.location,
+                status,
+                reason: requireText(body.reason, "reason", 500),
+                createdBy: createdBy || null,
+                createdAt: new Date(now()).toISOString(),
+                expiresAt: expiresAt.toISOString()
+            };
+            state.overrides.push(override);
+            save();
+            return override;
+        },
+
+        // Lift an override early; kept in the file for the record
+        liftOverride(id, liftedBy) {
+            const override = state.overrides.find(o => o.id === id);
+            if (!override) throw notFound("No such override");
+            if (!override.liftedAt) {
+                override.liftedAt = new Date(now()).toISOString();
+                override.liftedBy = liftedBy || null;
+                save();
+            }
+            return override;
+        },
+
+        // Annotations overlapping [from, to], optionally for one location (or all-location notes)
+        listAnnotations({ location, from, to } = {}) {
+            const fromTime = from ? new Date(from).getTime() : -Infinity;
+            const toTime = to ? new Date(to).getTime() : Infinity;
+            return state.annotations.filter((a) => {
+                if (location && a.location && a.location !== location) return false;
+                const start = new Date(a.from).getTime();
+                const end = new Date(a.to || a.from).getTime();
+                return end >= fromTime && start <= toTime;
+            });
+        },
+
+        /**
+         * Add an annotation: { location?, text, from, to? } - omit location for all locations
+         */
+        addAnnotation(input, createdBy) {
+            const body = input || {};
+            if (body.location) checkLocation(body.location);
+
+            const from = parseTime(body.from, "from");
+            const to = body.to !== undefined && body.to !== null && body.to !== "" ? parseTime(body.to, "to") : null;
+            if (to && to < from) {
+                throw badRequest('"to" must not be before "from"');
+            }
+
+            const annotation = {
+                id: crypto.randomUUID(),
+                location: body.location || null,
+                text: requireText(body.text, "text", 1000),
+                from: from.toISOString(),
+                to: to ? to.toISOString() : null,
+                createdBy: createdBy || null,
+                createdAt: new Date(now()).toISOString()
+            };
+            state.annotations.push(annotation);
+            save();
+            return annotation;
+        },
+
+        removeAnnotation(id) {
+            const index = state.annotations.findIndex(a => a.id === id);
+            if (index === -1) throw notFound("No such annotation");
+            const [annotation] = state.annotations.splice(index, 1);
+            save();
+            return annotation;
+        }
+    };
+}
+
+module.exports = { OVERRIDE_STATUSES, createOverrideStore };
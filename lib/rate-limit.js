@@ -0,0 +1,46 @@
+/**
+ * Fixed-window rate limiter middleware. Clients are identified by
+ * API key name when authenticated, otherwise by IP address.
+ * Sets RateLimit-* headers and answers 429 with Retry-After when exceeded.
+ */
+function createRateLimiter({ limit = 60, windowMs = 60000, now = Date.now } = {}) {
+    const clients = new Map();
+
+    function clientId(req) {
+        if (req.auth && req.auth.via === "apiKey") return `key:${req.auth.name}`;
+        return `ip:${req.ip}`;
+    }
+
+    // Forget windows that have ended so the map doesn't grow without bound
+    const cleanup = setInterval(() => {
+        const current = now();
+        for (const [id, entry] of clients) {
+            if (entry.resetAt <= current) clients.delete(id);
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    return function rateLimit(req, res, next) {
+        const id = clientId(req);
+        const current = now();
+        let entry = clients.get(id);
+        if (!entry || entry.resetAt <= current) {
+            entry = { count: 0, resetAt: current + windowMs };
+            clients.set(id, entry);
+        }
+        entry.count++;
+
+        const resetSeconds = Math.ceil((entry.resetAt - current) / 1000);
+        res.setHeader("RateLimit-Limit", limit);
+        res.setHeader("RateLimit-Remaining", Math.max(0, limit - entry.count));
+        res.setHeader("RateLimit-Reset", resetSeconds);
+
+        if (entry.count > limit) {
+            res.setHeader("Retry-After", resetSeconds);
+            return res.status(429).json({ error: `Rate limit of ${limit} requests per ${windowMs / 1000} seconds exceeded` });
+        }
+        next();
+    };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,127 @@
+/**
+ * Retries with exponential backoff and a circuit breaker for data source
+ * queries, so an outage fails fast instead of stalling every request.
+ */
+const { httpError } = require('./errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Errors worth retrying: timeouts, throttling, server errors and network failures.
+ * Bad queries and missing resources fail straight away.
+ */
+function isTransient(err) {
+    const code = err.code ?? err.statusCode;
+    if (typeof code === "number") return code === 408 || code === 429 || code >= 500;
+    return ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EPIPE"].includes(code) ||
+        err.name === "TimeoutError" || err.name === "AbortError";
+}
+
+/**
+ * Call fn, retrying transient failures with exponential backoff and jitter
+ */
+async function withRetry(fn, { retries = 2, baseDelayMs = 200, maxDelayMs = 2000, shouldRetry = isTransient } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries || !shouldRetry(err)) throw err;
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            await sleep(delay / 2 + Math.random() * delay / 2);
+        }
+    }
+}
+
+/**
+ * Circuit breaker: after failureThreshold consecutive transient failures the
+ * circuit opens and calls fail immediately with a 503 error. After
+ * resetTimeoutMs one trial call is let through (half-open) while the rest are
+ * still rejected; success closes the circuit. Non-transient errors (bad
+ * queries) mean the data source answered, so they don't count as failures.
+ */
+function createCircuitBreaker({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) {
+    let state = "closed";
+    let failures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+    let lastError = null;
+    let lastFailureAt = null;
+    let lastSuccessAt = null;
+    const stats = { calls: 0, failures: 0, rejected: 0, opened: 0 };
+
+    function onSuccess() {
+        failures = 0;
+        state = "closed";
+        openedAt = null;
+        lastSuccessAt = new Date(now()).toISOString();
+    }
+
+    function onFailure(err) {
+        failures++;
+        stats.failures++;
+        lastError = err.message;
+        lastFailureAt = new Date(now()).toISOString();
+        if (state === "half-open" || failures >= failureThreshold) {
+            if (state !== "open") stats.opened++;
+            state = "open";
+            openedAt = now();
+        }
+    }
+
+    return {
+        async exec(fn) {
+            stats.calls++;
+            // Only the call that moves the circuit to half-open runs as the trial
+            let trial = false;
+            if (state === "open" && now() - openedAt >= resetTimeoutMs) {
+                state = "half-open";
+                trial = true;
+                trialInFlight = true;
+            } else if (state === "open" || (state === "half-open" && trialInFlight)) {
+                stats.rejected++;
+                throw httpError(503, "Data source unavailable (circuit open)");
+            }
+
+            try {
+                const result = await fn();
+                onSuccess();
+                return result;
+            } catch (err) {
+                if (isTransient(err)) onFailure(err);
+                else onSuccess();
+                throw err;
+            } finally {
+                if (trial) trialInFlight = false;
+            }
+        },
+
+        state() {
+            return state;
+        },
+
+        snapshot() {
+            return { state, consecutiveFailures: failures, lastError, lastFailureAt, lastSuccessAt, ...stats };
+        }
+    };
+}
+
+/**
+ * Wrap a data source's queries with retries and a shared circuit breaker.
+ * Writes are not retried, as they may have been applied.
+ */
+function createResilientDataSource(source, { breaker = createCircuitBreaker(), retry = {} } = {}) {
+    const guarded = fn => (...args) => breaker.exec(() => withRetry(() => fn(...args), retry));
+
+    return {
+        ...source,
+        getLatestByLocation: guarded(source.getLatestByLocation),
+        getRangeByLocation: guarded(source.getRangeByLocation),
+        getDistinctLocations: guarded(source.getDistinctLocations),
+        getCount: guarded(source.getCount),
+        insertDocuments: (...args) => breaker.exec(() => source.insertDocuments(...args)),
+        probe: () => breaker.exec(() => source.probe()),
+        breaker
+    };
+}
+
+module.exports = { isTransient, withRetry, createCircuitBreaker, createResilientDataSource };
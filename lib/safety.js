@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SAFETY_RULES_FILE = path.join(__dirname, "..", "config", "safety-rules.json");
+
+// "Closed" is only ever set by an operator override, never computed
+const STATUSES = ["Safe", "Caution", "Unsafe", "Unknown", "Closed"];
+
+// Limits a level may set, and the document field each one checks
+const LIMITS = {
+    minIceThickness: { field: "avgIceThickness", test: (value, limit) => value >= limit },
+    maxSurfaceTemperature: { field: "avgSurfaceTemperature", test: (value, limit) => value <= limit },
+    maxSnowAccumulation: { field: "maxSnowAccumulation", test: (value, limit) => value <= limit }
+};
+
+/**
+ * Map an upstream status string onto Safe / Caution / Unsafe / Unknown.
+ * Missing or unrecognised values are Unknown rather than Unsafe.
+ */
+function canonicalStatus(value) {
+    const lower = String(value || "").trim().toLowerCase();
+    return STATUSES.find(s => s.toLowerCase() === lower) || "Unknown";
+}
+
+function validateRuleSet(ruleSet) {
+    if (!ruleSet || !ruleSet.version) {
+        throw new Error('Safety rules must have a "version"');
+    }
+    for (const level of ["Safe", "Caution"]) {
+        const limits = ruleSet.levels && ruleSet.levels[level];
+        if (!limits) {
+            throw new Error(`Safety rules are missing the "${level}" level`);
+        }
+        for (const [name, limit] of Object.entries(limits)) {
+            if (!LIMITS[name]) {
+                throw new Error(`Unknown safety limit "${name}" in ${level} (expected ${Object.keys(LIMITS).join(", ")})`);
+            }
+            if (typeof limit !== "number") {
+                throw new Error(`Safety limit ${level}.${name} must be a number`);
+            }
+        }
+    }
+}
+
+/**
+ * Classify aggregation documents against a versioned rule set
+ */
+function createSafetyClassifier(ruleSet) {
+    validateRuleSet(ruleSet);
+
+    const levels = ["Safe", "Caution"].map(level => ({
+        status: level,
+        checks: Object.entries(ruleSet.levels[level]).map(([name, limit]) => ({ ...LIMITS[name], limit }))
+    }));
+
+    const isPresent = value => typeof value === "number" && !isNaN(value);
+
+    // true when every limit holds, false when a present value breaks one,
+    // null when that depends on a missing value
+    function levelHolds(level, doc) {
+        let complete = true;
+        for (const check of level.checks) {
+            const value = doc[check.field];
+            if (!isPresent(value)) complete = false;
+            else if (!check.test(value, check.limit)) return false;
+        }
+        return complete ? true : null;
+    }
+
+    return {
+        version: ruleSet.version,
+
+        // Missing values only make a reading Unknown when they could change its status,
+        // so readings that already break the Caution limits are Unsafe
+        classify(doc) {
+            if (!doc) return "Unknown";
+
+            for (const level of levels) {
+                const holds = levelHolds(level, doc);
+                if (holds === null) return "Unknown";
+                if (holds) return level.status;
+            }
+            return "Unsafe";
+        },
+
+        rules() {
+            return ruleSet;
+        }
+    };
+}
+
+/**
+ * Load the safety rule set from SAFETY_RULES_FILE (default config/safety-rules.json)
+ */
+function loadSafetyClassifier(filePath = process.env.SAFETY_RULES_FILE || DEFAULT_SAFETY_RULES_FILE) {
+    const resolved = path.resolve(filePath);
+    let ruleSet;
+    try {
+        ruleSet = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    } catch (err) {
+        throw new Error(`Failed to load safety rules from ${resolved}: ${err.message}`);
+    }
+    return createSafetyClassifier(ruleSet);
+}
+
+module.exports = { STATUSES, canonicalStatus, createSafetyClassifier, loadSafetyClassifier };
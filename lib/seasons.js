@@ -0,0 +1,201 @@
+/**
+ * Skating seasons: daily rollups of aggregation windows and the
+ * season-over-season summaries built from them. A season runs from
+ * December 1st to November 30th and is named by its years, e.g. "2025-26".
+ */
+const { badRequest } = require('./errors');
+const { localDay, dailySummaries, statusDurations } = require('./stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A day counts as open when most of its covered time was in one of these
+const OPEN_STATUSES = ["Safe", "Caution"];
+
+const SEASON_PATTERN = /^(\d{4})-(\d{2})$/;
+
+// Most seasons a comparison query may ask for
+const MAX_COMPARED_SEASONS = 10;
+
+function round(value, digits = 2) {
+    return value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Calendar day `count` days after a YYYY-MM-DD day
+ */
+function addDays(date, count) {
+    const [year, month, day] = date.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + count)).toISOString().slice(0, 10);
+}
+
+function seasonStartYear(date) {
+    const [year, month] = date.split("-").map(Number);
+    return month === 12 ? year : year - 1;
+}
+
+/**
+ * Season a YYYY-MM-DD day belongs to, e.g. "2026-01-15" -> "2025-26"
+ */
+function seasonOf(date) {
+    const year = seasonStartYear(date);
+    return `${year}-${String(year + 1).slice(-2)}`;
+}
+
+/**
+ * First and last day of a season
+ */
+function seasonBounds(season) {
+    const year = Number(season.slice(0, 4));
+    return { from: `${year}-12-01`, to: `${year + 1}-11-30` };
+}
+
+/**
+ * Day number within the season, December 1st being day 1
+ */
+function dayOfSeason(date) {
+    const [year, month, day] = date.split("-").map(Number);
+    return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(seasonStartYear(date), 11, 1)) / DAY_MS) + 1;
+}
+
+/**
+ * Parse a comma-separated list of seasons. Throws an error with status 400 on bad input.
+ */
+function parseSeasonList(value) {
+    if (value === undefined || value === "") return null;
+    const seasons = [...new Set(String(value).split(",").map(s => s.trim()).filter(Boolean))];
+    for (const season of seasons) {
+        const match = SEASON_PATTERN.exec(season);
+        if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) {
+            throw badRequest(`Invalid season "${season}" (expected e.g. 2025-26)`);
+        }
+    }
+    if (seasons.length > MAX_COMPARED_SEASONS) {
+        throw badRequest(`Too many seasons (at most ${MAX_COMPARED_SEASONS})`);
+    }
+    return seasons;
+}
+
+/**
+ * One archive entry per local day in normalized documents (oldest first):
+ * ice min/avg/max, mean external temperature, degree-days, seconds in each
+ * safety status and whether the skateway was open.
+ */
+function rollupDays(docs, windowMs, { excludeAnomalies = false } = {}) {
+    const byDay = new Map();
+    for (const summary of dailySummaries(docs, { excludeAnomalies })) {
+        byDay.set(summary.date, { summary, docs: [] });
+    }
+    for (const doc of docs) {
+        if (isNaN(new Date(doc.timestamp).getTime())) continue;
+        byDay.get(localDay(doc.timestamp)).docs.push(doc);
+    }
+
+    return [...byDay.values()].map(({ summary, docs: dayDocs }) => {
+        const durations = statusDurations(dayDocs, windowMs, { excludeAnomalies });
+        const statusSeconds = Object.fromEntries(durations.statuses.map(s => [s.status, s.seconds]));
+        const openSeconds = OPEN_STATUSES.reduce((sum, status) => sum + (statusSeconds[status] || 0), 0);
+
+        return {
+            date: summary.date,
+            windows: summary.windows,
+            readingCount: summary.readingCount,
+            iceThickness: summary.iceThickness,
+            avgExternalTemperature: summary.avgExternalTemperature,
+            freezingDegreeDays: summary.freezingDegreeDays,
+            thawingDegreeDays: summary.thawingDegreeDays,
+            coveredSeconds: durations.coveredSeconds,
+            statusSeconds,
+            open: durations.coveredSeconds > 0 && openSeconds * 2 > durations.coveredSeconds
+        };
+    });
+}
+
+/**
+ * Group archived days (oldest first) by season, newest season first
+ */
+function groupBySeason(days) {
+    const seasons = new Map();
+    for (const day of days) {
+        const season = seasonOf(day.date);
+        if (!seasons.has(season)) seasons.set(season, []);
+        seasons.get(season).push(day);
+    }
+    return [...seasons.entries()].sort((a, b) => (a[0] < b[0] ? 1 : -1));
+}
+
+/**
+ * Headline figures for one season: opening and closing dates, days open,
+ * ice thickness, degree-days and weekly averages by week of season
+ */
+function summarizeSeason(season, days) {
+    const openDays = days.filter(day => day.open);
+    const dailyAverages = days.map(day => day.iceThickness.avg).filter(v => v != null);
+    const dailyMaxima = days.map(day => day.iceThickness.max).filter(v => v != null);
+
+    const weeks = new Map();
+    for (const day of days) {
+        const week = Math.ceil(dayOfSeason(day.date) / 7);
+        if (!weeks.has(week)) weeks.set(week, []);
+        weeks.get(week).push(day);
+    }
+
+    return {
+        season,
+        ...seasonBounds(season),
+        daysWithData: days.length,
+        openingDate: openDays.length ? openDays[0].date : null,
+        closingDate: openDays.length ? openDays[openDays.length - 1].date : null,
+        daysOpen: openDays.length,
+        peakIceThickness: dailyMaxima.length ? Math.max(...dailyMaxima) : null,
+        avgIceThickness: round(mean(dailyAverages)),
+        freezingDegreeDays: round(days.reduce((sum, day) => sum + day.freezingDegreeDays, 0)),
+        thawingDegreeDays: round(days.reduce((sum, day) => sum + day.thawingDegreeDays, 0)),
+        weekly: [...weeks.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([week, weekDays]) => ({
+                week,
+                startDate: addDays(seasonBounds(season).from, (week - 1) * 7),
+                daysWithData: weekDays.length,
+                daysOpen: weekDays.filter(day => day.open).length,
+                avgIceThickness: round(mean(weekDays.map(day => day.iceThickness.avg).filter(v => v != null)))
+            }))
+    };
+}
+
+/**
+ * Daily values of one season keyed by day of season, for overlaying seasons
+ */
+function seasonSeries(season, days) {
+    let cumulativeFreezing = 0;
+    return {
+        season,
+        days: days.map(day => {
+            cumulativeFreezing += day.freezingDegreeDays;
+            return {
+                date: day.date,
+                dayOfSeason: dayOfSeason(day.date),
+                iceThickness: day.iceThickness,
+                open: day.open,
+                cumulativeFreezingDegreeDays: round(cumulativeFreezing)
+            };
+        })
+    };
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    MAX_COMPARED_SEASONS,
+    addDays,
+    seasonOf,
+    seasonBounds,
+    dayOfSeason,
+    parseSeasonList,
+    rollupDays,
+    groupBySeason,
+    summarizeSeason,
+    seasonSeries
+};
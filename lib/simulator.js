@@ -0,0 +1,205 @@
+/**
+ * Synthetic sensor simulator producing Stream Analytics-style aggregation
+ * documents for local demos and testing.
+ *
+ * Each location carries a small physical state: air temperature follows a
+ * slowly wandering weather trend plus a diurnal cycle, ice grows while it is
+ * cold and melts while it is warm, snow falls in occasional events and is
+ * cleared over time, and sensors drop out now and then.
+ */
+const { logger } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Seconds between raw sensor readings within a window
+const READING_INTERVAL_SECONDS = 10;
+
+/**
+ * Small seeded PRNG (mulberry32) so simulated runs can be reproduced
+ */
+function createRandom(seed = Date.now()) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.between = (min, max) => min + next() * (max - min);
+    next.normal = (sd = 1) => {
+        const u = 1 - next();
+        const v = next();
+        return sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+    return next;
+}
+
+function round(value, digits = 2) {
+    return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+/**
+ * Create a simulator for the given locations ([{ key }]).
+ * Options: windowMs, seed, baseTemperature (°C, mean of the weather trend),
+ * dropoutRate (chance per window that a sensor goes quiet), and classify(doc)
+ * to fill in safetyStatus the way Stream Analytics would.
+ */
+function createSimulator({ locations, windowMs, seed, baseTemperature = -10, dropoutRate = 0.01, classify }) {
+    const random = createRandom(seed);
+
+    // Shared weather: every location sees the same trend, with local offsets
+    const weather = { trend: baseTemperature, lastTime: null };
+
+    const states = new Map(locations.map((location, index) => [location.key, {
+        ice: random.between(28, 40) - index * 2,
+        snow: random.between(0, 5),
+        offset: random.between(-1.5, 1.5),
+        snowfallHoursLeft: 0,
+        snowfallRate: 0,
+        dropoutWindowsLeft: 0
+    }]));
+
+    function advanceWeather(hours) {
+        // Mean-reverting random walk gives multi-day freeze and thaw spells
+        for (let h = 0; h < hours; h++) {
+            weather.trend += 0.04 * (baseTemperature - weather.trend) + random.normal(1.2);
+        }
+    }
+
+    function diurnal(time) {
+        // Coldest around 06:00, warmest around 15:00 local (UTC-5)
+        const hour = ((time / HOUR_MS) - 5) % 24;
+        return 4 * Math.sin(((hour - 9) / 24) * 2 * Math.PI);
+    }
+
+    function step(state, time, hours) {
+        const external = weather.trend + diurnal(time) + state.offset + random.normal(0.4);
+        // Snow insulates the ice surface from the air
+        const insulation = 1 / (1 + state.snow / 10);
+        const surface = Math.min(0, external * 0.6 * insulation - 0.5) + random.normal(0.2);
+
+        // Degree-hour growth slows as ice thickens; melt is faster than growth
+        if (external < 0) {
+            state.ice += hours * (-external * 0.012 * insulation) * (30 / Math.max(state.ice, 10));
+        } else {
+            state.ice -= hours * external * 0.05;
+        }
+        state.ice = Math.max(0, state.ice);
+
+        // Snow events start now and then, last a few hours, and are cleared afterwards
+        if (state.snowfallHoursLeft <= 0 && random() < 0.02 * hours) {
+            state.snowfallHoursLeft = random.between(2, 8);
+            state.snowfallRate = random.between(0.3, 2);
+        }
+        if (state.snowfallHoursLeft > 0) {
+            state.snow += state.snowfallRate * hours;
+            state.snowfallHoursLeft -= hours;
+        } else {
+            state.snow = Math.max(0, state.snow - hours * (external > 0 ? 1 : 0.3));
+        }
+
+        return { external, surface };
+    }
+
+    return {
+        /**
+         * Documents for the window ending at `time` (ms). Locations in a
+         * sensor dropout produce nothing.
+         */
+        windowAt(time) {
+            const hours = weather.lastTime === null ? 0 : (time - weather.lastTime) / HOUR_MS;
+            if (weather.lastTime !== null && Math.floor(time / HOUR_MS) !== Math.floor(weather.lastTime / HOUR_MS)) {
+                advanceWeather(Math.max(1, Math.round(hours)));
+            }
+            weather.lastTime = time;
+
+            const expected = Math.round(windowMs / 1000 / READING_INTERVAL_SECONDS);
+            const docs = [];
+            for (const location of locations) {
+                const state = states.get(location.key);
+                const { external, surface } = step(state, time, hours);
+
+                if (state.dropoutWindowsLeft > 0) {
+                    state.dropoutWindowsLeft--;
+                    continue;
+                }
+                if (random() < dropoutRate) {
+                    state.dropoutWindowsLeft = Math.floor(random.between(1, 12));
+                    continue;
+                }
+
+                // Flaky links lose some readings without dropping the window
+                const readingCount = random() < 0.05 ? Math.floor(expected * random.between(0.2, 0.8)) : expected;
+
+                const doc = {
+                    location: location.key,
+                    windowStart: new Date(time - windowMs).toISOString(),
+                    windowEnd: new Date(time).toISOString(),
+                    avgIceThickness: round(state.ice + random.normal(0.3)),
+                    avgSurfaceTemperature: round(surface),
+                    maxSnowAccumulation: round(state.snow),
+                    avgExternalTemperature: round(external),
+                    readingCount
+                };
+                if (classify) doc.safetyStatus = classify(doc);
+                docs.push(doc);
+            }
+            return docs;
+        },
+
+        /**
+         * Documents for every window ending in (from, to], oldest first
+         */
+        windowsBetween(from, to) {
+            const docs = [];
+            const first = Math.floor(from / windowMs) * windowMs + windowMs;
+            for (let time = first; time <= to; time += windowMs) {
+                docs.push(...this.windowAt(time));
+            }
+            return docs;
+        }
+    };
+}
+
+/**
+ * Run a simulator in the background: optionally backfill history, then
+ * write one window per interval. `store(docs)` receives each batch; failures
+ * go to `onError` (logged by default). Returns { stop }.
+ */
+function runSimulator({ simulator, store, windowMs, backfillMs = 0, intervalMs = windowMs, onError = err => logger.error("Simulator write failed", { err }) }) {
+    let timer = null;
+    let last = Math.floor(Date.now() / windowMs) * windowMs;
+
+    async function backfill() {
+        if (backfillMs <= 0) return;
+        // Stored a day at a time to keep batches bounded
+        for (let from = last - backfillMs; from < last; from += 24 * HOUR_MS) {
+            await store(simulator.windowsBetween(from, Math.min(from + 24 * HOUR_MS, last)));
+        }
+    }
+
+    async function tick() {
+        const end = Math.floor(Date.now() / windowMs) * windowMs;
+        if (end <= last) return;
+
+        const docs = simulator.windowsBetween(last, end);
+        last = end;
+        if (docs.length > 0) await store(docs);
+    }
+
+    backfill()
+        .catch(onError)
+        .then(() => {
+            timer = setInterval(() => tick().catch(onError), intervalMs);
+            if (timer.unref) timer.unref();
+        });
+
+    return {
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
+
+module.exports = { createRandom, createSimulator, runSimulator };
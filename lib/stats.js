@@ -0,0 +1,213 @@
+/**
+ * Long-term per-location statistics for the location detail page
+ */
+const { badRequest } = require('./errors');
+const { isAnomalous } = require('./anomalies');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a statistics query may cover
+const MAX_STATS_DAYS = 366;
+
+// Days are grouped in the canal's local time, not UTC
+const TIMEZONE = process.env.TIMEZONE || "America/Toronto";
+
+const dayFormat = new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+});
+
+const timeFormat = new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIMEZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+});
+
+/**
+ * Local calendar day (YYYY-MM-DD) of a timestamp
+ */
+function localDay(timestamp) {
+    return dayFormat.format(new Date(timestamp));
+}
+
+// Offset of TIMEZONE from UTC at an instant, in milliseconds
+function zoneOffsetMs(time) {
+    const parts = Object.fromEntries(timeFormat.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Instant a local calendar day (YYYY-MM-DD) begins. The offset is looked
+ * up twice so days that start next to a DST change come out right.
+ */
+function startOfLocalDay(date) {
+    const [year, month, day] = date.split("-").map(Number);
+    const utcMidnight = Date.UTC(year, month - 1, day);
+    let start = utcMidnight - zoneOffsetMs(utcMidnight);
+    start = utcMidnight - zoneOffsetMs(start);
+    return new Date(start);
+}
+
+/**
+ * Start of the most recent skating season: local midnight of the
+ * December 1st on or before the date
+ */
+function seasonStart(now = new Date()) {
+    const [year, month] = localDay(now).split("-").map(Number);
+    return startOfLocalDay(`${month === 12 ? year : year - 1}-12-01`);
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw badRequest(`Invalid "${name}" (expected an ISO 8601 date)`);
+    }
+    return date;
+}
+
+/**
+ * Validate statistics query parameters. Throws an error with status 400 on bad input.
+ *   from, to  ISO dates (default: start of the most recent season to now)
+ */
+function parseStatsQuery(query, now = new Date()) {
+    const to = query.to !== undefined ? parseDate(query.to, "to") : now;
+    const from = query.from !== undefined ? parseDate(query.from, "from") : seasonStart(to);
+
+    if (from >= to) {
+        throw badRequest('"from" must be before "to"');
+    }
+    if (to - from > MAX_STATS_DAYS * DAY_MS) {
+        throw badRequest(`Range too long (at most ${MAX_STATS_DAYS} days)`);
+    }
+    return { from, to, season: query.from === undefined && query.to === undefined };
+}
+
+function isNumber(value) {
+    return typeof value === "number" && !isNaN(value);
+}
+
+function round(value, digits = 2) {
+    return value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+/**
+ * Daily min/avg/max ice thickness and freeze/thaw degree-days.
+ * Degree-days use the day's mean external temperature against 0 °C
+ * and accumulate over the returned range. Anomalous values are skipped
+ * when excludeAnomalies is set.
+ */
+function dailySummaries(docs, { excludeAnomalies = false } = {}) {
+    const days = new Map();
+
+    for (const doc of docs) {
+        if (isNaN(new Date(doc.timestamp).getTime())) continue;
+
+        const date = localDay(doc.timestamp);
+        if (!days.has(date)) days.set(date, { date, ice: [], external: [], readingCount: 0, windows: 0 });
+        const day = days.get(date);
+
+        day.windows++;
+        if (isNumber(doc.readingCount)) day.readingCount += doc.readingCount;
+        const usable = metric => isNumber(doc[metric]) && !(excludeAnomalies && isAnomalous(doc, metric));
+        if (usable("avgIceThickness")) day.ice.push(doc.avgIceThickness);
+        if (usable("avgExternalTemperature")) day.external.push(doc.avgExternalTemperature);
+    }
+
+    let cumulativeFreezing = 0;
+    let cumulativeThawing = 0;
+
+    return [...days.values()]
+        .sort((a, b) => (a.date < b.date ? -1 : 1))
+        .map(day => {
+            const meanExternal = day.external.length
+                ? day.external.reduce((sum, v) => sum + v, 0) / day.external.length
+                : null;
+            const freezing = meanExternal == null ? 0 : Math.max(0, -meanExternal);
+            const thawing = meanExternal == null ? 0 : Math.max(0, meanExternal);
+            cumulativeFreezing += freezing;
+            cumulativeThawing += thawing;
+
+            return {
+                date: day.date,
+                windows: day.windows,
+                readingCount: day.readingCount,
+                iceThickness: {
+                    min: day.ice.length ? round(Math.min(...day.ice)) : null,
+                    avg: day.ice.length ? round(day.ice.reduce((sum, v) => sum + v, 0) / day.ice.length) : null,
+                    max: day.ice.length ? round(Math.max(...day.ice)) : null
+                },
+                avgExternalTemperature: round(meanExternal),
+                freezingDegreeDays: round(freezing),
+                thawingDegreeDays: round(thawing),
+                cumulativeFreezingDegreeDays: round(cumulativeFreezing),
+                cumulativeThawingDegreeDays: round(cumulativeThawing)
+            };
+        });
+}
+
+/**
+ * Seconds spent in each safety status. Each window counts until the next
+ * one starts, capped at one window length so outages are not attributed.
+ * Anomalous windows are left out when excludeAnomalies is set.
+ */
+function statusDurations(docs, windowMs, { excludeAnomalies = false } = {}) {
+    const durations = {};
+    let coveredMs = 0;
+
+    const times = docs.map(doc => new Date(doc.timestamp).getTime());
+    docs.forEach((doc, i) => {
+        if (isNaN(times[i]) || (excludeAnomalies && isAnomalous(doc))) return;
+        const next = times[i + 1];
+        const span = Number.isFinite(next) && next > times[i] ? Math.min(next - times[i], windowMs) : windowMs;
+        const status = doc.safetyStatus || "Unknown";
+        durations[status] = (durations[status] || 0) + span;
+        coveredMs += span;
+    });
+
+    return {
+        coveredSeconds: Math.round(coveredMs / 1000),
+        statuses: Object.entries(durations)
+            .sort((a, b) => b[1] - a[1])
+            .map(([status, ms]) => ({
+                status,
+                seconds: Math.round(ms / 1000),
+                share: round(ms / coveredMs, 4)
+            }))
+    };
+}
+
+/**
+ * Statistics for one location over a range of normalized documents (oldest first)
+ */
+function buildLocationStats(docs, { from, to, windowMs, excludeAnomalies = false }) {
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        windows: docs.length,
+        anomalousWindows: docs.filter(doc => isAnomalous(doc)).length,
+        anomaliesExcluded: excludeAnomalies,
+        timezone: TIMEZONE,
+        daily: dailySummaries(docs, { excludeAnomalies }),
+        statusDurations: statusDurations(docs, windowMs, { excludeAnomalies })
+    };
+}
+
+module.exports = {
+    MAX_STATS_DAYS,
+    TIMEZONE,
+    localDay,
+    startOfLocalDay,
+    seasonStart,
+    parseStatsQuery,
+    dailySummaries,
+    statusDurations,
+    buildLocationStats
+};
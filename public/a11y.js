@@ -0,0 +1,204 @@
+/**
+ * Rideau Canal Dashboard - Accessibility helpers
+ * Screen reader announcements, keyboard reading and data tables for charts,
+ * and the high-contrast theme. Loaded after common.js on every page.
+ */
+
+const CONTRAST_STORAGE_KEY = 'rideau-contrast';
+
+/**
+ * High contrast when chosen here, or asked for by the system without a saved choice
+ */
+function prefersHighContrast() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(CONTRAST_STORAGE_KEY);
+    } catch (error) {
+        // Storage can be disabled; fall back to the system setting
+    }
+    if (saved) return saved === 'on';
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches);
+}
+
+function applyContrastTheme(enabled) {
+    document.documentElement.classList.toggle('high-contrast', enabled);
+    const button = document.getElementById('contrastToggle');
+    if (button) button.setAttribute('aria-pressed', String(enabled));
+}
+
+function setupContrastToggle() {
+    applyContrastTheme(prefersHighContrast());
+    const button = document.getElementById('contrastToggle');
+    if (!button) return;
+    button.addEventListener('click', () => {
+        const enabled = !document.documentElement.classList.contains('high-contrast');
+        try {
+            localStorage.setItem(CONTRAST_STORAGE_KEY, enabled ? 'on' : 'off');
+        } catch (error) {
+            // Not remembered, but still applied to this page
+        }
+        applyContrastTheme(enabled);
+    });
+}
+
+// When the live region was last written, so changes from one refresh are read together
+let lastAnnouncedAt = 0;
+
+/**
+ * Read a message out through the page's polite live region
+ */
+function announce(message) {
+    const region = document.getElementById('statusAnnouncer');
+    if (!region) return;
+    const now = Date.now();
+    region.textContent = now - lastAnnouncedAt < 1000 && region.textContent
+        ? `${region.textContent}. ${message}`
+        : message;
+    lastAnnouncedAt = now;
+}
+
+/**
+ * Data table HTML for a chart's visible series, one row per time
+ */
+function chartTableHtml(chart, { title, xLabel, formatX, decimals = 1 }) {
+    const datasets = chart ? chart.data.datasets.filter((dataset) => !dataset.hidden) : [];
+    const times = [...new Set(datasets.flatMap((dataset) => dataset.data.map((point) => new Date(point.x).getTime())))]
+        .sort((a, b) => a - b);
+    if (!times.length) return `<p class="loading">${t('a11y.noChartData')}</p>`;
+
+    const columns = datasets.map((dataset) => {
+        const values = new Map(dataset.data.map((point) => [new Date(point.x).getTime(), point]));
+        return { label: dataset.label, values };
+    });
+
+    return `
+        <table class="data-table">
+            <caption class="visually-hidden">${escapeHtml(title)}</caption>
+            <thead>
+                <tr>
+                    <th scope="col">${escapeHtml(xLabel)}</th>
+                    ${columns.map((column) => `<th scope="col">${escapeHtml(column.label)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${times.map((time) => `
+                <tr>
+                    <th scope="row">${escapeHtml(formatX(time))}</th>
+                    ${columns.map(({ values }) => {
+                        const point = values.get(time);
+                        if (!point) return '<td></td>';
+                        const flag = point.anomalous ? ` <span title="${t('a11y.flagged')}">⚠</span>` : '';
+                        return `<td>${formatNumber(point.y, decimals)}${flag}</td>`;
+                    }).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Make a chart usable without sight of the canvas: the canvas takes focus and
+ * arrow keys step through points (Up/Down switch series), each read out
+ * through a live region, and a collapsible data table follows the canvas.
+ *
+ * getChart() returns the current Chart instance (charts are created later).
+ * options: { title, xLabel, formatX(ms), decimals }
+ * Returns refresh(), which redraws the table when it is open.
+ */
+function makeChartAccessible(canvas, getChart, options) {
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', t('a11y.chartLabel', { title: options.title }));
+
+    const readout = document.createElement('p');
+    readout.className = 'visually-hidden';
+    readout.setAttribute('aria-live', 'polite');
+
+    const table = document.createElement('details');
+    table.className = 'chart-table';
+    const summary = document.createElement('summary');
+    summary.textContent = t('a11y.dataTable');
+    const tableBody = document.createElement('div');
+    tableBody.className = 'table-scroll';
+    table.append(summary, tableBody);
+
+    const refresh = () => {
+        if (table.open) tableBody.innerHTML = chartTableHtml(getChart(), options);
+    };
+    table.addEventListener('toggle', refresh);
+    canvas.after(readout, table);
+
+    let position = { datasetIndex: -1, index: -1 };
+
+    const clearActive = (chart) => {
+        chart.setActiveElements([]);
+        chart.tooltip.setActiveElements([], { x: 0, y: 0 });
+        chart.update('none');
+    };
+
+    canvas.addEventListener('keydown', (event) => {
+        const chart = getChart();
+        if (!chart) return;
+        const series = chart.data.datasets
+            .map((dataset, index) => index)
+            .filter((index) => !chart.data.datasets[index].hidden && chart.data.datasets[index].data.length);
+        if (!series.length) return;
+
+        let seriesPosition = series.indexOf(position.datasetIndex);
+        if (seriesPosition === -1) {
+            seriesPosition = 0;
+            position = { datasetIndex: series[0], index: -1 };
+        }
+        let { index } = position;
+
+        if (event.key === 'Escape') {
+            position.index = -1;
+            clearActive(chart);
+            return;
+        }
+        if (event.key === 'ArrowRight') {
+            index += 1;
+        } else if (event.key === 'ArrowLeft') {
+            index = index === -1 ? Infinity : index - 1;
+        } else if (event.key === 'Home') {
+            index = 0;
+        } else if (event.key === 'End') {
+            index = Infinity;
+        } else if (event.key === 'ArrowDown') {
+            seriesPosition = (seriesPosition + 1) % series.length;
+        } else if (event.key === 'ArrowUp') {
+            seriesPosition = (seriesPosition - 1 + series.length) % series.length;
+        } else {
+            return;
+        }
+        event.preventDefault();
+
+        const datasetIndex = series[seriesPosition];
+        const dataset = chart.data.datasets[datasetIndex];
+        index = Math.max(0, Math.min(index, dataset.data.length - 1));
+        position = { datasetIndex, index };
+
+        const element = chart.getDatasetMeta(datasetIndex).data[index];
+        const active = [{ datasetIndex, index }];
+        chart.setActiveElements(active);
+        chart.tooltip.setActiveElements(active, element ? { x: element.x, y: element.y } : { x: 0, y: 0 });
+        chart.update('none');
+
+        const point = dataset.data[index];
+        readout.textContent = t('a11y.chartPoint', {
+            series: dataset.label,
+            time: options.formatX(new Date(point.x).getTime()),
+            value: formatNumber(point.y, options.decimals ?? 1),
+        });
+    });
+
+    canvas.addEventListener('blur', () => {
+        const chart = getChart();
+        if (chart && position.index !== -1) clearActive(chart);
+        position.index = -1;
+    });
+
+    return refresh;
+}
+
+setupContrastToggle();
@@ -3,43 +3,120 @@
  * Handles data fetching, UI updates, and chart rendering
  */
 
-const API_BASE = '/api';
-const REFRESH_INTERVAL = 30000; // 30 seconds
-
-// Chart instances
-let iceThicknessChart = null;
-let temperatureChart = null;
-
-// Location display names
-const locationNames = {
-    'dows-lake': "Dow's Lake",
-    'fifth-avenue': 'Fifth Avenue',
-    'nac': 'NAC',
+const REFRESH_INTERVAL = 30000; // 30 seconds, polling fallback without EventSource
+
+// Charted metrics, one chart each (titles and axes are message keys)
+const CHART_METRICS = [
+    { key: 'avgIceThickness', title: 'metric.avgIceThickness', axis: 'axis.iceThickness' },
+    { key: 'avgSurfaceTemperature', title: 'metric.avgSurfaceTemperature', axis: 'axis.temperature' },
+    { key: 'maxSnowAccumulation', title: 'metric.maxSnowAccumulation', axis: 'axis.snow' },
+    { key: 'avgExternalTemperature', title: 'metric.avgExternalTemperature', axis: 'axis.temperature' },
+    { key: 'readingCount', title: 'metric.readingCount', axis: 'axis.readings' },
+];
+
+// Selectable chart time ranges, labelled by the range.label.<key> messages
+const TIME_RANGES = {
+    '1h': { hours: 1, unit: 'minute' },
+    '6h': { hours: 6, unit: 'hour' },
+    '24h': { hours: 24, unit: 'hour' },
+    '7d': { hours: 24 * 7, unit: 'day', bucket: '1h' },
+    'season': { unit: 'week', bucket: '6h' },
+    'custom': {},
+};
+
+// Override durations offered to operators, in minutes
+const OVERRIDE_DURATIONS = [60, 240, 720, 1440, 4320];
+const DEFAULT_OVERRIDE_DURATION = 1440;
+
+// Chart instances, keyed by metric
+const charts = {};
+
+// Redraw a chart's data table (when open), keyed by metric
+const chartTables = {};
+
+// Signed-in caller ({ name, role }); anonymous visitors are viewers
+let currentUser = { name: null, role: 'viewer' };
+
+// Annotations in the charted range, drawn as markers on every chart
+let chartAnnotations = [];
+
+// Current chart selection, mirrored in the URL query string
+const chartView = {
+    range: '1h',
+    from: null,
+    to: null,
+    hiddenLocations: [],
+    hiddenMetrics: [],
+};
+
+// Configured locations, loaded from /api/locations
+let locations = [];
+
+// Location display names, keyed by location id
+let locationNames = {};
+
+// Latest conditions per location, shared by the cards and the map
+const latestData = {};
+
+// Statuses last shown, so only changes are announced to screen readers
+const shownStatus = {};
+let shownSystemStatus = null;
+
+// Markup last written to each card section, so unchanged parts are left alone
+const renderedSections = new WeakMap();
+
+// Locations view: 'cards' or 'map', mirrored in the URL query string
+let locationsView = 'cards';
+
+// Connection state behind the outage banner: offline (with the time of the
+// data on screen) takes precedence over the server reporting a data source outage
+const connection = {
+    offline: false,
+    dataTime: null,
+    degradedMessage: null,
 };
 
+// Fallback series colours for locations without a configured colour
+const DEFAULT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#6366f1'];
+
 /**
- * Format timestamp for display
+ * Get the chart colour for a location
  */
-function formatTimestamp(timestamp) {
-    if (!timestamp) return 'N/A';
-    const date = new Date(timestamp);
-    return date.toLocaleString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-    });
+function getLocationColor(location, index) {
+    return location.color || DEFAULT_COLORS[index % DEFAULT_COLORS.length];
 }
 
 /**
- * Get safety badge class
+ * Fetch configured locations
  */
-function getSafetyBadgeClass(status) {
-    const statusLower = (status || '').toLowerCase();
-    if (statusLower === 'safe') return 'safe';
-    if (statusLower === 'caution') return 'caution';
-    return 'unsafe';
+async function fetchLocations() {
+    try {
+        const response = await fetch(`${API_BASE}/locations`, { headers: languageHeaders() });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching locations:', error);
+        showError(t('error.locations'));
+        return [];
+    }
+}
+
+/**
+ * Fetch the current caller's role
+ */
+async function fetchCurrentUser() {
+    try {
+        const response = await fetch(`${API_BASE}/auth/me`, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching current user:', error);
+        return { name: null, role: 'viewer' };
+    }
 }
 
 /**
@@ -57,10 +134,17 @@ async function fetchData() {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         const data = await response.json();
+        const cachedAt = getCachedAt(response);
+        setConnectionState({ offline: Boolean(cachedAt), dataTime: cachedAt || new Date() });
         return data;
     } catch (error) {
         console.error('Error fetching data:', error);
-        showError('Failed to fetch data. Please check your connection.');
+        if (isNetworkError(error)) {
+            // Keep showing what we have and say how old it is
+            setConnectionState({ offline: true });
+        } else {
+            showError(t('error.data'));
+        }
         return null;
     }
 }
@@ -90,9 +174,11 @@ async function fetchStatus() {
 /**
  * Fetch historical data for charts
  */
-async function fetchHistoricalData(location) {
+async function fetchHistoricalData(location, params) {
     try {
-        const response = await fetch(`${API_BASE}/history/${location}?hours=1&t=${Date.now()}`, {
+        const query = new URLSearchParams(params);
+        query.set('t', Date.now());
+        const response = await fetch(`${API_BASE}/history/${location}?${query}`, {
             cache: 'no-cache',
             headers: {
                 'Cache-Control': 'no-cache'
@@ -109,6 +195,24 @@ async function fetchHistoricalData(location) {
     }
 }
 
+/**
+ * Fetch projected ice thickness for a location (null when it can't be forecast)
+ */
+async function fetchForecast(location, hours) {
+    try {
+        const response = await fetch(`${API_BASE}/forecast/${location}?hours=${hours}`, { cache: 'no-cache' });
+        // 422: not enough recent data to fit a forecast
+        if (response.status === 422) return null;
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Error fetching forecast for ${location}:`, error);
+        return null;
+    }
+}
+
 /**
  * Update system status display
  */
@@ -118,93 +222,260 @@ function updateSystemStatus(status) {
     // Update status badge
     const statusBadge = document.getElementById('statusBadge');
     if (statusBadge) {
-        statusBadge.textContent = status.systemStatus || 'Unknown';
-        statusBadge.className = `status-badge ${(status.systemStatus || 'unknown').toLowerCase()}`;
+        statusBadge.textContent = statusLabel(status.systemStatus);
+        statusBadge.className = `status-badge ${(status.systemStatus || 'unknown').toLowerCase().replace(/\s+/g, '-')}`;
     }
+    if (shownSystemStatus && shownSystemStatus !== status.systemStatus) {
+        announce(t('a11y.systemStatusChanged', { status: statusLabel(status.systemStatus) }));
+    }
+    shownSystemStatus = status.systemStatus;
 
     // Update stats
     const totalLocationsEl = document.getElementById('totalLocations');
     const safeLocationsEl = document.getElementById('safeLocations');
     const cautionLocationsEl = document.getElementById('cautionLocations');
     const unsafeLocationsEl = document.getElementById('unsafeLocations');
+    const unknownLocationsEl = document.getElementById('unknownLocations');
+    const staleLocationsEl = document.getElementById('staleLocations');
     
     if (totalLocationsEl) totalLocationsEl.textContent = status.totalLocations || 0;
     if (safeLocationsEl) safeLocationsEl.textContent = status.safeLocations || 0;
     if (cautionLocationsEl) cautionLocationsEl.textContent = status.cautionLocations || 0;
     if (unsafeLocationsEl) unsafeLocationsEl.textContent = status.unsafeLocations || 0;
+    if (unknownLocationsEl) unknownLocationsEl.textContent = status.unknownLocations || 0;
+    if (staleLocationsEl) staleLocationsEl.textContent = (status.staleLocations || 0) + (status.offlineLocations || 0);
 
     // Update last update time
     const lastUpdate = document.getElementById('lastUpdate');
     if (lastUpdate && status.lastUpdate) {
-        lastUpdate.textContent = `Last update: ${formatTimestamp(status.lastUpdate)}`;
+        lastUpdate.textContent = t('header.lastUpdate', { time: formatTimestamp(status.lastUpdate) });
+    }
+
+    let degradedMessage = null;
+    if (status.degraded) {
+        degradedMessage = status.lastUpdate
+            ? t('banner.degradedSince', { time: formatTimestamp(status.lastUpdate) })
+            : t('banner.degraded');
     }
+    setConnectionState({ degradedMessage });
 }
 
 /**
- * Create or update location card
+ * Update the connection state and the outage banner above the cards
+ */
+function setConnectionState(changes) {
+    Object.assign(connection, changes);
+
+    let message = connection.degradedMessage;
+    if (connection.offline) {
+        message = connection.dataTime
+            ? t('banner.offline', { time: formatClock(connection.dataTime) })
+            : t('banner.offlineEmpty');
+    }
+
+    document.body.classList.toggle('offline', connection.offline);
+    const banner = document.getElementById('outageBanner');
+    if (!banner) return;
+    banner.textContent = message || '';
+    banner.hidden = !message;
+}
+
+/**
+ * Card skeleton: a focusable article named by its heading. Enter opens the
+ * location's details and arrow keys move between cards.
+ */
+function createLocationCard(grid, locationId) {
+    const card = document.createElement('article');
+    card.className = 'location-card';
+    card.id = `card-${locationId}`;
+    card.tabIndex = 0;
+    card.setAttribute('aria-labelledby', `card-${locationId}-name`);
+    card.setAttribute('aria-describedby', 'cardHint');
+    card.innerHTML = `
+        <div class="location-header">
+            <h3 class="location-name" id="card-${locationId}-name">${escapeHtml(locationNames[locationId] || locationId)}</h3>
+            <div class="safety-badge" hidden></div>
+        </div>
+        <div data-section="notices"></div>
+        <div class="location-data" data-section="readings"></div>
+        <div class="location-timestamp">
+            <span data-section="updated"></span>
+            <a class="location-details-link" href="${locationDetailUrl(locationId)}">${t('card.details')}</a>
+        </div>
+    `;
+
+    card.addEventListener('click', (event) => {
+        if (!event.target.closest('a')) window.location.href = locationDetailUrl(locationId);
+    });
+    card.addEventListener('keydown', (event) => {
+        if (event.target !== card) return;
+        if (event.key === 'Enter') {
+            window.location.href = locationDetailUrl(locationId);
+            return;
+        }
+        const cards = [...grid.querySelectorAll('.location-card')];
+        const index = cards.indexOf(card);
+        const target = {
+            ArrowRight: index + 1,
+            ArrowDown: index + 1,
+            ArrowLeft: index - 1,
+            ArrowUp: index - 1,
+            Home: 0,
+            End: cards.length - 1,
+        }[event.key];
+        if (target === undefined || !cards[target]) return;
+        event.preventDefault();
+        cards[target].focus();
+    });
+    return card;
+}
+
+/**
+ * Rewrite one part of a card, only when its markup has changed
+ */
+function setCardSection(card, section, html) {
+    const element = card.querySelector(`[data-section="${section}"]`);
+    if (renderedSections.get(element) === html) return;
+    renderedSections.set(element, html);
+    element.innerHTML = html;
+}
+
+/**
+ * Create or update location card. Parts are updated in place so a refresh
+ * doesn't disturb screen readers or focus; status changes are announced.
  */
 function updateLocationCard(locationId, data) {
     const grid = document.getElementById('locationsGrid');
     if (!grid) return;
-    
-    let card = document.getElementById(`card-${locationId}`);
 
+    let card = document.getElementById(`card-${locationId}`);
     if (!card) {
-        // Create new card
-        card = document.createElement('div');
-        card.className = 'location-card';
-        card.id = `card-${locationId}`;
+        card = createLocationCard(grid, locationId);
         grid.appendChild(card);
     }
+    const name = locationNames[locationId] || locationId;
+    const badge = card.querySelector('.safety-badge');
 
     if (!data) {
-        card.innerHTML = `
-            <div class="loading">No data available for ${locationNames[locationId] || locationId}</div>
-        `;
+        badge.hidden = true;
+        card.classList.remove('degraded');
+        setCardSection(card, 'notices', `<div class="loading">${t('card.noData', { name: escapeHtml(name) })}</div>`);
+        setCardSection(card, 'readings', '');
+        setCardSection(card, 'updated', '');
         return;
     }
 
-    const safetyClass = getSafetyBadgeClass(data.safetyStatus);
+    const label = statusLabel(data.safetyStatus);
+    badge.hidden = false;
+    badge.className = `safety-badge ${getSafetyBadgeClass(data.safetyStatus)}`;
+    if (badge.textContent !== label) badge.textContent = label;
 
-    card.innerHTML = `
-        <div class="location-header">
-            <div class="location-name">${locationNames[locationId] || locationId}</div>
-            <div class="safety-badge ${safetyClass}">${data.safetyStatus || 'Unknown'}</div>
-        </div>
-        <div class="location-data">
-            <div class="data-item">
-                <div class="data-label">Ice Thickness</div>
-                <div class="data-value ice">${data.avgIceThickness?.toFixed(1) || 'N/A'} cm</div>
+    const previous = shownStatus[locationId];
+    shownStatus[locationId] = data.safetyStatus;
+    if (previous && previous !== data.safetyStatus) {
+        announce(t('a11y.statusChanged', { name, status: label }));
+    }
+
+    const health = data.health || { state: 'Live', issues: [] };
+    const degraded = health.state !== 'Live';
+    card.classList.toggle('degraded', degraded || Boolean(data.degraded));
+    const issues = healthIssues(health);
+
+    setCardSection(card, 'notices', `
+        ${data.override ? `
+        <div class="override-banner ${data.override.status.toLowerCase()}">
+            <strong>${t('card.overrideBy', { status: statusLabel(data.override.status) })}</strong> – ${escapeHtml(data.override.reason)}
+            <div class="override-expiry">${t('card.overrideUntil', { time: formatTimestamp(data.override.expiresAt) })}${data.sensorSafetyStatus ? ` · ${t('card.sensors', { status: statusLabel(data.sensorSafetyStatus) })}` : ''}</div>
+        </div>` : ''}
+        ${data.degraded ? `
+        <div class="health-banner outage">${t('card.outage')}</div>` : ''}
+        ${degraded ? `
+        <div class="health-banner ${health.state.toLowerCase()}">
+            ${t('card.lastReading', { state: statusLabel(health.state), age: formatAge(health.ageSeconds) })}
+        </div>` : ''}
+        ${issues.length ? `
+        <ul class="health-issues">
+            ${issues.map((issue) => `<li>${escapeHtml(issue)}</li>`).join('')}
+        </ul>` : ''}
+        ${data.anomalies?.length ? `
+        <ul class="anomaly-notes" title="${t('card.anomalyHint')}">
+            ${data.anomalies.map((a) => `<li>⚠ ${escapeHtml(anomalyMessage(a))}</li>`).join('')}
+        </ul>` : ''}
+        ${data.safetyDisagreement ? `
+        <div class="safety-disagreement" title="${t('card.rulesVersion', { version: data.safetyRulesVersion })}">
+            ${t('card.disagreement', { upstream: statusLabel(data.upstreamSafetyStatus), computed: statusLabel(data.computedSafetyStatus) })}
+        </div>` : ''}
+    `);
+
+    setCardSection(card, 'readings', `
+            <div class="data-item${anomalyClass(data, 'avgIceThickness')}">
+                <div class="data-label">${t('metric.avgIceThickness')}</div>
+                <div class="data-value ice">${formatNumber(data.avgIceThickness, 1)} cm</div>
             </div>
-            <div class="data-item">
-                <div class="data-label">Surface Temp</div>
-                <div class="data-value temp">${data.avgSurfaceTemperature?.toFixed(1) || 'N/A'} °C</div>
+            <div class="data-item${anomalyClass(data, 'avgSurfaceTemperature')}">
+                <div class="data-label">${t('card.surfaceTemp')}</div>
+                <div class="data-value temp">${formatNumber(data.avgSurfaceTemperature, 1)} °C</div>
             </div>
-            <div class="data-item">
-                <div class="data-label">Snow Accumulation</div>
-                <div class="data-value snow">${data.maxSnowAccumulation?.toFixed(1) || 'N/A'} cm</div>
+            <div class="data-item${anomalyClass(data, 'maxSnowAccumulation')}">
+                <div class="data-label">${t('metric.maxSnowAccumulation')}</div>
+                <div class="data-value snow">${formatNumber(data.maxSnowAccumulation, 1)} cm</div>
             </div>
-            <div class="data-item">
-                <div class="data-label">External Temp</div>
-                <div class="data-value temp">${data.avgExternalTemperature?.toFixed(1) || 'N/A'} °C</div>
+            <div class="data-item${anomalyClass(data, 'avgExternalTemperature')}">
+                <div class="data-label">${t('card.externalTemp')}</div>
+                <div class="data-value temp">${formatNumber(data.avgExternalTemperature, 1)} °C</div>
             </div>
-        </div>
-        <div class="location-timestamp">
-            Updated: ${formatTimestamp(data.timestamp)}
-        </div>
-    `;
+    `);
+
+    setCardSection(card, 'updated', t('card.updated', { time: formatTimestamp(data.timestamp) }));
+}
+
+/**
+ * Health issues to list under the freshness banner, in the current language.
+ * The first server issue repeats the banner while degraded; without the
+ * structured fields the server's English messages are shown.
+ */
+function healthIssues(health) {
+    const degraded = health.state !== 'Live';
+    if (health.missingWindows === undefined) {
+        return (health.issues || []).slice(degraded ? 1 : 0);
+    }
+
+    const issues = [];
+    if (health.missingWindows > 0) {
+        issues.push(t('health.missingWindows', { count: health.missingWindows }));
+    }
+    if (health.lowReadingCount) {
+        issues.push(t('health.lowReadings', {
+            count: health.readingCount,
+            expected: Math.round(health.expectedReadings),
+        }));
+    }
+    return issues;
+}
+
+/**
+ * Detail page for a location
+ */
+function locationDetailUrl(locationId) {
+    return `/location/${encodeURIComponent(locationId)}`;
+}
+
+/**
+ * Extra class for a card value flagged as anomalous
+ */
+function anomalyClass(data, metric) {
+    return isAnomalous(data, metric) ? ' anomalous' : '';
 }
 
 /**
  * Update all location cards
  */
 function updateDashboard(data) {
-    const locations = ['dows-lake', 'fifth-avenue', 'nac'];
-
-    locations.forEach((locationId) => {
-        const locationData = data[locationId];
-        updateLocationCard(locationId, locationData);
+    locations.forEach(({ key }) => {
+        latestData[key] = data[key];
+        updateLocationCard(key, data[key]);
     });
+    renderMap();
 
     // Update footer
     const footerUpdate = document.getElementById('footerUpdate');
@@ -213,138 +484,891 @@ function updateDashboard(data) {
     }
 }
 
+/**
+ * Redraw the canal map when it is showing
+ */
+function renderMap() {
+    if (locationsView !== 'map') return;
+    renderCanalMap(document.getElementById('canalMap'), locations, latestData, {
+        onSelect: (key) => { window.location.href = locationDetailUrl(key); },
+    });
+}
+
+/**
+ * Switch between the card grid and the canal map
+ */
+function setLocationsView(view) {
+    locationsView = view === 'map' ? 'map' : 'cards';
+
+    document.getElementById('locationsGrid').hidden = locationsView !== 'cards';
+    document.getElementById('canalMap').hidden = locationsView !== 'map';
+    document.querySelectorAll('#viewToggle button').forEach((button) => {
+        button.classList.toggle('active', button.dataset.view === locationsView);
+    });
+
+    const params = new URLSearchParams(window.location.search);
+    if (locationsView === 'map') params.set('view', 'map');
+    else params.delete('view');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    renderMap();
+}
+
+/**
+ * Wire up the cards/map toggle, restoring the view from the URL
+ */
+function setupViewToggle() {
+    document.querySelectorAll('#viewToggle button').forEach((button) => {
+        button.addEventListener('click', () => setLocationsView(button.dataset.view));
+    });
+    setLocationsView(new URLSearchParams(window.location.search).get('view'));
+}
+
+/**
+ * Start of the most recent skating season (December 1st on or before now)
+ */
+function getSeasonStart(now) {
+    const year = now.getMonth() === 11 ? now.getFullYear() : now.getFullYear() - 1;
+    return new Date(year, 11, 1);
+}
+
+/**
+ * Pick a downsampling bucket for a custom range
+ */
+function getCustomBucket(from, to) {
+    const days = (to - from) / (24 * 60 * 60 * 1000);
+    if (days > 30) return '6h';
+    if (days > 2) return '1h';
+    return null;
+}
+
+/**
+ * Build history query parameters and chart settings for the selected range
+ */
+function getRangeQuery(view) {
+    const range = TIME_RANGES[view.range] || TIME_RANGES['1h'];
+    const params = {};
+    let unit = range.unit;
+    let bucket = range.bucket || null;
+
+    if (view.range === 'custom' && view.from && view.to) {
+        const from = new Date(view.from);
+        const to = new Date(view.to);
+        params.from = from.toISOString();
+        params.to = to.toISOString();
+        bucket = getCustomBucket(from, to);
+        unit = bucket ? 'day' : 'hour';
+    } else if (view.range === 'season') {
+        params.from = getSeasonStart(new Date()).toISOString();
+    } else {
+        params.hours = range.hours || 1;
+    }
+
+    if (bucket) params.bucket = bucket;
+
+    const to = params.to ? new Date(params.to) : new Date();
+    const from = params.from ? new Date(params.from) : new Date(to.getTime() - params.hours * 60 * 60 * 1000);
+
+    return {
+        params,
+        bounds: { from, to },
+        unit,
+        // Only raw, relative ranges can take live readings as they arrive
+        live: Boolean(range.hours) && !bucket,
+        windowMs: (range.hours || 1) * 60 * 60 * 1000,
+        // Ranges ending now show a projection as far ahead as they look back (up to a week)
+        forecastHours: view.range === 'custom' ? null : Math.min(range.hours || 48, 168),
+    };
+}
+
+/**
+ * Read the chart selection from the URL query string
+ */
+function readChartViewFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const list = (name) => (params.get(name) || '').split(',').filter(Boolean);
+
+    const range = params.get('range');
+    if (range && TIME_RANGES[range]) chartView.range = range;
+
+    if (chartView.range === 'custom') {
+        const from = new Date(params.get('from'));
+        const to = new Date(params.get('to'));
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            chartView.range = '1h';
+        } else {
+            chartView.from = from.toISOString();
+            chartView.to = to.toISOString();
+        }
+    }
+
+    chartView.hiddenLocations = list('hide');
+    chartView.hiddenMetrics = list('hideMetrics').filter((m) => CHART_METRICS.some((c) => c.key === m));
+}
+
+/**
+ * Persist the chart selection in the URL so views can be shared
+ */
+function writeChartViewToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    ['range', 'from', 'to', 'hide', 'hideMetrics'].forEach((name) => params.delete(name));
+
+    if (chartView.range !== '1h') params.set('range', chartView.range);
+    if (chartView.range === 'custom') {
+        params.set('from', chartView.from);
+        params.set('to', chartView.to);
+    }
+    if (chartView.hiddenLocations.length) params.set('hide', chartView.hiddenLocations.join(','));
+    if (chartView.hiddenMetrics.length) params.set('hideMetrics', chartView.hiddenMetrics.join(','));
+
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
+/**
+ * Convert an ISO timestamp to a datetime-local input value
+ */
+function toLocalInputValue(iso) {
+    const date = new Date(iso);
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+/**
+ * Build chart containers, range buttons and location/metric toggles
+ */
+function buildChartControls() {
+    const grid = document.getElementById('chartsGrid');
+    if (grid && !grid.children.length) {
+        CHART_METRICS.forEach((metric) => {
+            const container = document.createElement('div');
+            container.className = 'chart-container';
+            container.id = `chart-container-${metric.key}`;
+
+            const title = document.createElement('h3');
+            title.textContent = t(metric.title);
+            const canvas = document.createElement('canvas');
+            canvas.id = `chart-${metric.key}`;
+
+            container.append(title, canvas);
+            chartTables[metric.key] = makeChartAccessible(canvas, () => charts[metric.key], {
+                title: t(metric.title),
+                xLabel: t('axis.time'),
+                formatX: formatTimestamp,
+                decimals: metric.key === 'readingCount' ? 0 : 1,
+            });
+            if (metric.key === 'avgIceThickness') {
+                const note = document.createElement('ul');
+                note.className = 'forecast-note';
+                note.id = 'forecastNote';
+                container.appendChild(note);
+            }
+            grid.appendChild(container);
+        });
+    }
+
+    document.querySelectorAll('#rangeSelector [data-range]').forEach((button) => {
+        button.addEventListener('click', () => selectRange(button.dataset.range));
+    });
+
+    const downloadButton = document.getElementById('downloadButton');
+    if (downloadButton) {
+        downloadButton.addEventListener('click', downloadExport);
+    }
+
+    const applyButton = document.getElementById('applyCustomRange');
+    if (applyButton) {
+        applyButton.addEventListener('click', applyCustomRange);
+    }
+
+    const locationToggles = document.getElementById('locationToggles');
+    if (locationToggles) {
+        locations.forEach((location) => {
+            locationToggles.appendChild(createToggle(
+                location.name,
+                !chartView.hiddenLocations.includes(location.key),
+                (checked) => toggleHidden(chartView.hiddenLocations, location.key, checked)
+            ));
+        });
+    }
+
+    const metricToggles = document.getElementById('metricToggles');
+    if (metricToggles) {
+        CHART_METRICS.forEach((metric) => {
+            metricToggles.appendChild(createToggle(
+                t(metric.title),
+                !chartView.hiddenMetrics.includes(metric.key),
+                (checked) => toggleHidden(chartView.hiddenMetrics, metric.key, checked)
+            ));
+        });
+    }
+
+    renderChartControls();
+}
+
+/**
+ * Create a labelled checkbox
+ */
+function createToggle(text, checked, onChange) {
+    const label = document.createElement('label');
+    label.className = 'toggle';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+
+    label.append(input, ` ${text}`);
+    return label;
+}
+
+/**
+ * Show or hide a location series or metric chart
+ */
+function toggleHidden(hiddenList, key, visible) {
+    const index = hiddenList.indexOf(key);
+    if (visible && index !== -1) hiddenList.splice(index, 1);
+    if (!visible && index === -1) hiddenList.push(key);
+
+    writeChartViewToUrl();
+    applyChartVisibility();
+}
+
+/**
+ * Apply location and metric toggles to the existing charts
+ */
+function applyChartVisibility() {
+    CHART_METRICS.forEach((metric) => {
+        const container = document.getElementById(`chart-container-${metric.key}`);
+        if (container) {
+            container.hidden = chartView.hiddenMetrics.includes(metric.key);
+        }
+
+        const chart = charts[metric.key];
+        if (!chart) return;
+        chart.data.datasets.forEach((dataset) => {
+            dataset.hidden = chartView.hiddenLocations.includes(dataset.locationKey);
+        });
+        chart.update('none');
+        if (chartTables[metric.key]) chartTables[metric.key]();
+    });
+}
+
+/**
+ * Reflect the selected range in the buttons, heading and custom inputs
+ */
+function renderChartControls() {
+    document.querySelectorAll('#rangeSelector [data-range]').forEach((button) => {
+        button.classList.toggle('active', button.dataset.range === chartView.range);
+    });
+
+    const rangeLabel = document.getElementById('chartRangeLabel');
+    if (rangeLabel) {
+        rangeLabel.textContent = chartView.range === 'custom' && chartView.from
+            ? `${formatTimestamp(chartView.from)} – ${formatTimestamp(chartView.to)}`
+            : t(`range.label.${chartView.range}`);
+    }
+
+    const customRange = document.getElementById('customRange');
+    if (customRange) {
+        customRange.hidden = chartView.range !== 'custom';
+    }
+
+    const fromInput = document.getElementById('rangeFrom');
+    const toInput = document.getElementById('rangeTo');
+    if (fromInput && toInput && chartView.from && chartView.to) {
+        fromInput.value = toLocalInputValue(chartView.from);
+        toInput.value = toLocalInputValue(chartView.to);
+    }
+
+    applyChartVisibility();
+}
+
+/**
+ * Switch to one of the preset ranges, or reveal the custom range inputs
+ */
+function selectRange(range) {
+    if (!TIME_RANGES[range]) return;
+
+    if (range === 'custom') {
+        if (!chartView.from || !chartView.to) {
+            const to = new Date();
+            chartView.to = to.toISOString();
+            chartView.from = new Date(to.getTime() - 24 * 60 * 60 * 1000).toISOString();
+        }
+        chartView.range = range;
+        renderChartControls();
+        return;
+    }
+
+    chartView.range = range;
+    chartView.from = null;
+    chartView.to = null;
+    writeChartViewToUrl();
+    renderChartControls();
+    updateCharts();
+}
+
+/**
+ * Apply the custom from/to inputs
+ */
+function applyCustomRange() {
+    const from = new Date(document.getElementById('rangeFrom').value);
+    const to = new Date(document.getElementById('rangeTo').value);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+        showError(t('error.rangeOrder'));
+        return;
+    }
+
+    chartView.range = 'custom';
+    chartView.from = from.toISOString();
+    chartView.to = to.toISOString();
+    writeChartViewToUrl();
+    renderChartControls();
+    updateCharts();
+}
+
+/**
+ * Whether the current user has at least the given role
+ */
+function hasRole(role) {
+    const roles = ['viewer', 'operator', 'admin'];
+    return roles.indexOf(currentUser.role) >= roles.indexOf(role);
+}
+
+/**
+ * Show the signed-in user and matching sign in/out buttons
+ */
+function renderAuthControls() {
+    const authUser = document.getElementById('authUser');
+    const signInButton = document.getElementById('signInButton');
+    const signOutButton = document.getElementById('signOutButton');
+    const signedIn = currentUser.role !== 'viewer';
+
+    if (authUser) authUser.textContent = signedIn ? t('auth.user', { name: currentUser.name, role: t(`role.${currentUser.role}`) }) : '';
+    if (signInButton) signInButton.hidden = signedIn;
+    if (signOutButton) signOutButton.hidden = !signedIn;
+
+    const operatorPanel = document.getElementById('operatorPanel');
+    if (operatorPanel) {
+        operatorPanel.hidden = !hasRole('operator');
+        if (hasRole('operator')) loadActiveOverrides();
+    }
+}
+
+/**
+ * Wire up the sign-in dialog and sign-out button
+ */
+function setupAuthControls() {
+    const dialog = document.getElementById('loginDialog');
+    const form = document.getElementById('loginForm');
+    const error = document.getElementById('loginError');
+
+    document.getElementById('signInButton')?.addEventListener('click', () => {
+        if (error) error.textContent = '';
+        dialog?.showModal();
+    });
+    document.getElementById('loginCancel')?.addEventListener('click', () => dialog?.close());
+
+    form?.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const response = await fetch(`${API_BASE}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value,
+                password: document.getElementById('loginPassword').value,
+            }),
+        });
+        if (!response.ok) {
+            if (error) error.textContent = t('login.invalid');
+            return;
+        }
+
+        const user = await response.json();
+        currentUser = { name: user.username, role: user.role };
+        document.getElementById('loginPassword').value = '';
+        dialog.close();
+        renderAuthControls();
+    });
+
+    document.getElementById('signOutButton')?.addEventListener('click', async () => {
+        await fetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+        navigator.serviceWorker?.controller?.postMessage({ type: 'sign-out' });
+        currentUser = { name: null, role: 'viewer' };
+        renderAuthControls();
+    });
+
+    renderAuthControls();
+}
+
+/**
+ * POST/DELETE JSON to an operator endpoint, returning the parsed body
+ */
+async function sendOperatorRequest(method, path, body) {
+    const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * List active overrides with buttons to lift them
+ */
+async function loadActiveOverrides() {
+    const list = document.getElementById('activeOverrides');
+    if (!list) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/overrides`, { cache: 'no-cache' });
+        const overrides = response.ok ? await response.json() : [];
+        list.innerHTML = overrides.length ? '' : `<li class="empty">${t('operator.noOverrides')}</li>`;
+
+        overrides.forEach((override) => {
+            const item = document.createElement('li');
+            item.textContent = `${t('operator.overrideItem', {
+                location: locationNames[override.location] || override.location,
+                status: statusLabel(override.status),
+                reason: override.reason,
+                time: formatTimestamp(override.expiresAt),
+            })} `;
+
+            const liftButton = document.createElement('button');
+            liftButton.type = 'button';
+            liftButton.textContent = t('operator.lift');
+            liftButton.addEventListener('click', async () => {
+                try {
+                    await sendOperatorRequest('DELETE', `/overrides/${override.id}`);
+                    loadActiveOverrides();
+                } catch (error) {
+                    showError(t('error.liftOverride', { error: error.message }));
+                }
+            });
+
+            item.appendChild(liftButton);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error fetching overrides:', error);
+    }
+}
+
+/**
+ * Wire up the operator override and annotation forms
+ */
+function setupOperatorPanel() {
+    ['overrideLocation', 'annotationLocation'].forEach((id) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        locations.forEach((location) => {
+            select.add(new Option(location.name, location.key));
+        });
+    });
+
+    const durationSelect = document.getElementById('overrideDuration');
+    OVERRIDE_DURATIONS.forEach((minutes) => {
+        const label = minutes % 1440 === 0 && minutes > 1440
+            ? t('duration.days', { count: minutes / 1440 })
+            : t('duration.hours', { count: minutes / 60 });
+        const selected = minutes === DEFAULT_OVERRIDE_DURATION;
+        durationSelect?.add(new Option(label, minutes, selected, selected));
+    });
+
+    document.getElementById('overrideForm')?.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        try {
+            await sendOperatorRequest('POST', '/overrides', {
+                location: document.getElementById('overrideLocation').value,
+                status: document.getElementById('overrideStatus').value,
+                reason: document.getElementById('overrideReason').value,
+                durationMinutes: Number(document.getElementById('overrideDuration').value),
+            });
+            event.target.reset();
+            loadActiveOverrides();
+        } catch (error) {
+            showError(t('error.saveOverride', { error: error.message }));
+        }
+    });
+
+    document.getElementById('annotationForm')?.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const from = document.getElementById('annotationFrom').value;
+        const to = document.getElementById('annotationTo').value;
+        try {
+            await sendOperatorRequest('POST', '/annotations', {
+                location: document.getElementById('annotationLocation').value || null,
+                text: document.getElementById('annotationText').value,
+                from: from ? new Date(from).toISOString() : new Date().toISOString(),
+                to: to ? new Date(to).toISOString() : null,
+            });
+            event.target.reset();
+        } catch (error) {
+            showError(t('error.saveAnnotation', { error: error.message }));
+        }
+    });
+}
+
+/**
+ * Download the charted range for the visible locations and metrics
+ */
+function downloadExport() {
+    if (!hasRole('operator')) {
+        showError(t('error.exportSignIn'));
+        return;
+    }
+
+    const { params } = getRangeQuery(chartView);
+    const query = new URLSearchParams(params);
+    query.delete('bucket');
+
+    const visibleLocations = locations.filter((l) => !chartView.hiddenLocations.includes(l.key));
+    const visibleMetrics = CHART_METRICS.filter((m) => !chartView.hiddenMetrics.includes(m.key));
+    if (!visibleLocations.length || !visibleMetrics.length) {
+        showError(t('error.exportSelection'));
+        return;
+    }
+
+    query.set('locations', visibleLocations.map((l) => l.key).join(','));
+    query.set('metrics', visibleMetrics.map((m) => m.key).join(','));
+    query.set('format', document.getElementById('exportFormat').value);
+
+    window.location.href = `${API_BASE}/export?${query}`;
+}
+
+/**
+ * Fetch operator annotations overlapping a time range
+ */
+async function fetchAnnotations(bounds) {
+    try {
+        const query = new URLSearchParams({ from: bounds.from.toISOString(), to: bounds.to.toISOString() });
+        const response = await fetch(`${API_BASE}/annotations?${query}`, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching annotations:', error);
+        return [];
+    }
+}
+
+/**
+ * Chart.js plugin drawing annotations as dashed lines (and shaded spans)
+ */
+const annotationMarkersPlugin = {
+    id: 'annotationMarkers',
+    afterDatasetsDraw(chart) {
+        const x = chart.scales.x;
+        if (!x || !chartAnnotations.length) return;
+
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        chartAnnotations.forEach((annotation) => {
+            const start = x.getPixelForValue(new Date(annotation.from).getTime());
+            const end = annotation.to ? x.getPixelForValue(new Date(annotation.to).getTime()) : start;
+            if (end < chartArea.left || start > chartArea.right) return;
+
+            const left = Math.max(start, chartArea.left);
+            const right = Math.min(end, chartArea.right);
+            if (right - left > 1) {
+                ctx.fillStyle = 'rgba(139, 92, 246, 0.12)';
+                ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+            }
+
+            ctx.strokeStyle = '#8b5cf6';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(left, chartArea.top);
+            ctx.lineTo(left, chartArea.bottom);
+            ctx.stroke();
+
+            const prefix = annotation.location ? `${locationNames[annotation.location] || annotation.location}: ` : '';
+            const label = `${prefix}${annotation.text}`;
+            ctx.fillStyle = '#6d28d9';
+            ctx.font = '11px sans-serif';
+            ctx.fillText(label.length > 40 ? `${label.slice(0, 39)}…` : label, left + 4, chartArea.top + 12);
+        });
+        ctx.restore();
+    },
+};
+
 /**
  * Initialize or update charts
  */
 async function updateCharts() {
-    const locations = ['dows-lake', 'fifth-avenue', 'nac'];
-    const colors = ['#3b82f6', '#10b981', '#f59e0b'];
+    const query = getRangeQuery(chartView);
 
     // Fetch historical data for all locations
     const allHistoricalData = {};
-    for (const location of locations) {
-        allHistoricalData[location] = await fetchHistoricalData(location);
-    }
-
-    // Prepare ice thickness chart data
-    const iceThicknessCtx = document.getElementById('iceThicknessChart');
-    if (iceThicknessCtx) {
-        const iceDatasets = locations.map((location, index) => {
-            const data = allHistoricalData[location] || [];
-            // Filter out null/undefined values and ensure valid data
-            const validData = data
-                .filter((item) => item && item.timestamp && item.avgIceThickness != null)
-                .map((item) => ({
-                    x: new Date(item.timestamp),
-                    y: item.avgIceThickness,
-                }));
+    await Promise.all(locations.map(async ({ key }) => {
+        allHistoricalData[key] = await fetchHistoricalData(key, query.params);
+    }));
+    chartAnnotations = await fetchAnnotations(query.bounds);
+
+    // Projected ice thickness, overlaid on the ice chart
+    const forecasts = {};
+    if (query.forecastHours) {
+        await Promise.all(locations.map(async ({ key }) => {
+            forecasts[key] = await fetchForecast(key, query.forecastHours);
+        }));
+    }
+
+    CHART_METRICS.forEach((metric) => {
+        renderMetricChart(metric, allHistoricalData, query.unit, metric.key === 'avgIceThickness' ? forecasts : {});
+    });
+    renderForecastNote(forecasts);
+}
+
+/**
+ * List projected threshold crossings under the ice chart
+ */
+function renderForecastNote(forecasts) {
+    const note = document.getElementById('forecastNote');
+    if (!note) return;
+
+    const items = locations.flatMap((location) => {
+        const forecast = forecasts[location.key];
+        if (!forecast) return [];
+        return forecast.thresholds
+            .filter((t) => t.crossesAt)
+            .map((threshold) => `<li>${t('charts.forecastCrossing', {
+                name: `<strong>${escapeHtml(location.name)}</strong>`,
+                below: formatNumber(threshold.below),
+                status: statusLabel(threshold.status),
+                hours: formatNumber(threshold.hoursUntil),
+            })}</li>`);
+    });
+    note.innerHTML = items.join('');
+}
+
+// Anomalous points are drawn as larger red triangles
+const ANOMALY_POINT_STYLE = {
+    pointStyle: (ctx) => (ctx.raw && ctx.raw.anomalous ? 'triangle' : 'circle'),
+    pointRadius: (ctx) => (ctx.raw && ctx.raw.anomalous ? 7 : 3),
+    pointBackgroundColor: (ctx) => (ctx.raw && ctx.raw.anomalous ? '#dc2626' : ctx.dataset.backgroundColor),
+    pointBorderColor: (ctx) => (ctx.raw && ctx.raw.anomalous ? '#dc2626' : ctx.dataset.borderColor),
+};
+
+/**
+ * Dashed projection series for each location with a forecast
+ */
+function buildForecastDatasets(forecasts) {
+    return locations
+        .map((location, index) => ({ location, index, forecast: forecasts[location.key] }))
+        .filter(({ forecast }) => forecast && forecast.projection.length)
+        .map(({ location, index, forecast }) => {
+            const color = getLocationColor(location, index);
             return {
-                label: locationNames[location],
-                data: validData,
-                borderColor: colors[index],
-                backgroundColor: colors[index] + '20',
+                label: t('charts.forecastSeries', { name: location.name }),
+                locationKey: location.key,
+                forecast: true,
+                data: [forecast.current, ...forecast.projection].map((point) => ({
+                    x: new Date(point.timestamp),
+                    y: point.iceThickness,
+                })),
+                borderColor: color,
+                backgroundColor: color + '20',
+                borderDash: [6, 6],
+                pointRadius: 0,
                 tension: 0.4,
+                hidden: chartView.hiddenLocations.includes(location.key),
             };
         });
+}
 
-        if (iceThicknessChart) {
-            iceThicknessChart.data.datasets = iceDatasets;
-            iceThicknessChart.update('none');
-        } else {
-            iceThicknessChart = new Chart(iceThicknessCtx, {
-                type: 'line',
-                data: { datasets: iceDatasets },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: true,
-                    scales: {
-                        x: {
-                            type: 'time',
-                            time: {
-                                unit: 'minute',
-                            },
-                            title: {
-                                display: true,
-                                text: 'Time',
-                            },
-                        },
-                        y: {
-                            title: {
-                                display: true,
-                                text: 'Ice Thickness (cm)',
-                            },
-                        },
+/**
+ * Create or update the chart for one metric
+ */
+function renderMetricChart(metric, allHistoricalData, unit, forecasts = {}) {
+    const ctx = document.getElementById(`chart-${metric.key}`);
+    if (!ctx) return;
+
+    const datasets = locations.map((location, index) => {
+        const data = allHistoricalData[location.key] || [];
+        const color = getLocationColor(location, index);
+        // Filter out null/undefined values and ensure valid data
+        const validData = data
+            .filter((item) => item && item.timestamp && item[metric.key] != null)
+            .map((item) => ({
+                x: new Date(item.timestamp),
+                y: item[metric.key],
+                anomalous: isAnomalous(item, metric.key),
+            }));
+        return {
+            label: location.name,
+            locationKey: location.key,
+            data: validData,
+            borderColor: color,
+            backgroundColor: color + '20',
+            tension: 0.4,
+            hidden: chartView.hiddenLocations.includes(location.key),
+            ...ANOMALY_POINT_STYLE,
+        };
+    });
+    datasets.push(...buildForecastDatasets(forecasts));
+
+    const chart = charts[metric.key];
+    if (chart) {
+        chart.data.datasets = datasets;
+        chart.options.scales.x.time.unit = unit;
+        chart.update('none');
+        if (chartTables[metric.key]) chartTables[metric.key]();
+        return;
+    }
+
+    charts[metric.key] = new Chart(ctx, {
+        type: 'line',
+        data: { datasets },
+        plugins: [annotationMarkersPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            locale: getLocale(),
+            scales: {
+                x: {
+                    type: 'time',
+                    time: {
+                        unit,
                     },
-                    plugins: {
-                        legend: {
-                            display: true,
-                            position: 'top',
+                    ticks: {
+                        callback(value) {
+                            return formatAxisTime(value, this.options.time.unit);
                         },
                     },
+                    title: {
+                        display: true,
+                        text: t('axis.time'),
+                    },
                 },
-            });
-        }
+                y: {
+                    title: {
+                        display: true,
+                        text: t(metric.axis),
+                    },
+                },
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                },
+                tooltip: {
+                    callbacks: {
+                        title: (items) => (items.length ? formatTimestamp(items[0].parsed.x) : ''),
+                    },
+                },
+            },
+        },
+    });
+    if (chartTables[metric.key]) chartTables[metric.key]();
+}
+
+/**
+ * Append a live reading to a chart without rebuilding its datasets
+ */
+function appendChartPoint(chart, locationId, timestamp, value, windowMs, anomalous = false) {
+    if (!chart || value == null || !timestamp) return;
+
+    const index = locations.findIndex((l) => l.key === locationId);
+    const dataset = chart.data.datasets[index];
+    if (!dataset) return;
+
+    const x = new Date(timestamp);
+    const last = dataset.data[dataset.data.length - 1];
+    if (last && last.x >= x) return;
+
+    dataset.data.push({ x, y: value, anomalous });
+
+    // Drop points that have scrolled out of the charted window
+    const cutoff = Date.now() - windowMs;
+    while (dataset.data.length > 0 && dataset.data[0].x.getTime() < cutoff) {
+        dataset.data.shift();
     }
 
-    // Prepare temperature chart data
-    const temperatureCtx = document.getElementById('temperatureChart');
-    if (temperatureCtx) {
-        const tempDatasets = locations.map((location, index) => {
-            const data = allHistoricalData[location] || [];
-            // Filter out null/undefined values and ensure valid data
-            const validData = data
-                .filter((item) => item && item.timestamp && item.avgSurfaceTemperature != null)
-                .map((item) => ({
-                    x: new Date(item.timestamp),
-                    y: item.avgSurfaceTemperature,
-                }));
-            return {
-                label: locationNames[location],
-                data: validData,
-                borderColor: colors[index],
-                backgroundColor: colors[index] + '20',
-                tension: 0.4,
-            };
+    chart.update('none');
+}
+
+/**
+ * Apply a live reading pushed by the server
+ */
+function handleLiveReading({ location, data }) {
+    latestData[location] = data;
+    updateLocationCard(location, data);
+    renderMap();
+
+    const query = getRangeQuery(chartView);
+    if (query.live) {
+        CHART_METRICS.forEach((metric) => {
+            appendChartPoint(charts[metric.key], location, data.timestamp, data[metric.key], query.windowMs,
+                isAnomalous(data, metric.key));
+            if (chartTables[metric.key]) chartTables[metric.key]();
         });
+    }
 
-        if (temperatureChart) {
-            temperatureChart.data.datasets = tempDatasets;
-            temperatureChart.update('none');
-        } else {
-            temperatureChart = new Chart(temperatureCtx, {
-                type: 'line',
-                data: { datasets: tempDatasets },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: true,
-                    scales: {
-                        x: {
-                            type: 'time',
-                            time: {
-                                unit: 'minute',
-                            },
-                            title: {
-                                display: true,
-                                text: 'Time',
-                            },
-                        },
-                        y: {
-                            title: {
-                                display: true,
-                                text: 'Temperature (°C)',
-                            },
-                        },
-                    },
-                    plugins: {
-                        legend: {
-                            display: true,
-                            position: 'top',
-                        },
-                    },
-                },
-            });
-        }
+    const footerUpdate = document.getElementById('footerUpdate');
+    if (footerUpdate) {
+        footerUpdate.textContent = formatTimestamp(new Date());
+    }
+}
+
+/**
+ * Show live connection state in the footer
+ */
+function setLiveStatus(text) {
+    const liveStatus = document.getElementById('liveStatus');
+    if (liveStatus) {
+        liveStatus.textContent = text;
+    }
+}
+
+/**
+ * Subscribe to server-pushed updates, falling back to polling
+ */
+function connectLiveUpdates() {
+    if (!window.EventSource) {
+        setInterval(updateDashboardData, REFRESH_INTERVAL);
+        setLiveStatus(t('live.polling', { seconds: REFRESH_INTERVAL / 1000 }));
+        return;
     }
+
+    // EventSource reconnects on its own and resumes with Last-Event-ID
+    const source = new EventSource(`${API_BASE}/stream`);
+
+    source.addEventListener('open', () => {
+        setLiveStatus(t('live.live'));
+        // Back online: replace anything served from the offline cache
+        if (connection.offline) updateDashboardData();
+    });
+    source.addEventListener('error', () => setLiveStatus(t('live.reconnecting')));
+
+    source.addEventListener('reading', (event) => {
+        handleLiveReading(JSON.parse(event.data));
+    });
+
+    source.addEventListener('status', (event) => {
+        updateSystemStatus(JSON.parse(event.data));
+    });
+
+    // Operator overrides change cards and status; annotations change the charts
+    source.addEventListener('override', () => {
+        refreshLatest();
+        if (hasRole('operator')) loadActiveOverrides();
+    });
+    source.addEventListener('annotation', () => {
+        updateCharts();
+    });
+
+    // Server could not replay what we missed - reload everything
+    source.addEventListener('resync', () => {
+        updateDashboardData();
+    });
 }
 
 /**
@@ -376,6 +1400,16 @@ function showError(message) {
 async function updateDashboardData() {
     console.log('Updating dashboard...');
 
+    await refreshLatest();
+
+    // Update charts
+    await updateCharts();
+}
+
+/**
+ * Reload location cards and system status
+ */
+async function refreshLatest() {
     // Fetch data and status in parallel
     const [data, status] = await Promise.all([fetchData(), fetchStatus()]);
 
@@ -386,9 +1420,6 @@ async function updateDashboardData() {
     if (status) {
         updateSystemStatus(status);
     }
-
-    // Update charts
-    await updateCharts();
 }
 
 /**
@@ -397,13 +1428,33 @@ async function updateDashboardData() {
 async function init() {
     console.log('Initializing dashboard...');
 
+    // Sign-in state gates operator features such as downloads
+    currentUser = await fetchCurrentUser();
+    setupAuthControls();
+
+    // Load location registry before building cards and charts
+    locations = await fetchLocations();
+    locationNames = Object.fromEntries(locations.map((l) => [l.key, l.name]));
+
+    setupOperatorPanel();
+    renderAuthControls();
+
+    // Restore a shared chart view from the URL
+    readChartViewFromUrl();
+    buildChartControls();
+    setupViewToggle();
+    setupSeasonComparison(locations);
+
     // Initial data load
     await updateDashboardData();
 
-    // Set up auto-refresh
-    setInterval(updateDashboardData, REFRESH_INTERVAL);
+    // Receive new readings as they arrive
+    connectLiveUpdates();
+
+    window.addEventListener('online', updateDashboardData);
+    window.addEventListener('offline', () => setConnectionState({ offline: true }));
 
-    console.log(`Dashboard initialized. Auto-refresh every ${REFRESH_INTERVAL / 1000} seconds.`);
+    console.log('Dashboard initialized.');
 }
 
 // Start dashboard when page loads
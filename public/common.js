@@ -0,0 +1,155 @@
+/**
+ * Rideau Canal Dashboard - Shared helpers
+ * Loaded after i18n.js, before the dashboard and location detail scripts
+ */
+
+const API_BASE = '/api';
+
+// Fill colours by safety badge class, for maps and status charts
+const STATUS_COLORS = {
+    safe: '#10b981',
+    caution: '#f59e0b',
+    unsafe: '#ef4444',
+    closed: '#1f2937',
+    unknown: '#9ca3af',
+};
+
+// Symbols drawn alongside status colours, so status never relies on colour alone
+// (badges get the same symbols from the stylesheet)
+const STATUS_ICONS = {
+    safe: '✓',
+    caution: '!',
+    unsafe: '✕',
+    closed: '⊘',
+    unknown: '?',
+};
+
+/**
+ * Format timestamp for display
+ */
+function formatTimestamp(timestamp) {
+    if (!timestamp) return t('common.notAvailable');
+    const date = new Date(timestamp);
+    return date.toLocaleString(getLocale(), {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    });
+}
+
+/**
+ * Format a timestamp as a time of day (HH:MM)
+ */
+function formatClock(timestamp) {
+    return new Date(timestamp).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Chart time axis label for the scale's unit, in the current locale
+ * (the date adapter only formats in English)
+ */
+function formatAxisTime(value, unit) {
+    const options = unit === 'minute' || unit === 'hour'
+        ? { hour: '2-digit', minute: '2-digit' }
+        : { month: 'short', day: 'numeric' };
+    return new Date(value).toLocaleString(getLocale(), options);
+}
+
+/**
+ * When a response was saved by the service worker, or null if it came from the network
+ */
+function getCachedAt(response) {
+    const cachedAt = response.headers.get('X-Cached-At');
+    return cachedAt ? new Date(cachedAt) : null;
+}
+
+/**
+ * Failed fetches reject with a TypeError when the network is unreachable
+ */
+function isNetworkError(error) {
+    return error instanceof TypeError;
+}
+
+/**
+ * Escape text for insertion into HTML
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[c]);
+}
+
+/**
+ * Format an age in seconds as a short duration
+ */
+function formatAge(seconds) {
+    if (seconds == null) return t('age.unknown');
+    if (seconds < 90) return t('age.seconds', { count: seconds });
+    if (seconds < 90 * 60) return t('age.minutes', { count: Math.round(seconds / 60) });
+    if (seconds < 36 * 60 * 60) return t('age.hours', { count: Math.round(seconds / 3600) });
+    return t('age.days', { count: Math.round(seconds / 86400) });
+}
+
+/**
+ * Get safety badge class
+ */
+function getSafetyBadgeClass(status) {
+    const statusLower = (status || '').toLowerCase();
+    if (statusLower === 'safe') return 'safe';
+    if (statusLower === 'caution') return 'caution';
+    if (statusLower === 'unsafe') return 'unsafe';
+    if (statusLower === 'closed') return 'closed';
+    return 'unknown';
+}
+
+// Units of the metrics anomaly flags refer to
+const METRIC_UNITS = {
+    avgIceThickness: 'cm',
+    avgSurfaceTemperature: '°C',
+    maxSnowAccumulation: 'cm',
+    avgExternalTemperature: '°C',
+    readingCount: '',
+};
+
+/**
+ * Describe an anomaly flag in the current language; flags without
+ * values (e.g. bucket counts) keep the server's English message
+ */
+function anomalyMessage(anomaly) {
+    const withUnit = (value, signed) => {
+        const number = formatNumber(value, 1);
+        const unit = METRIC_UNITS[anomaly.metric];
+        return `${signed && value > 0 ? '+' : ''}${number}${unit ? ` ${unit}` : ''}`;
+    };
+    const metric = t(`metric.${anomaly.metric}`);
+
+    if (anomaly.type === 'range' && anomaly.value != null) {
+        return t('anomaly.range', { metric, value: withUnit(anomaly.value) });
+    }
+    if (anomaly.type === 'jump' && anomaly.change != null) {
+        return t('anomaly.jump', { metric, change: withUnit(anomaly.change, true) });
+    }
+    if (anomaly.type === 'outlier' && anomaly.value != null && anomaly.deviation != null) {
+        return t('anomaly.outlier', { metric, value: withUnit(anomaly.value), deviation: withUnit(Math.abs(anomaly.deviation)) });
+    }
+    return anomaly.message;
+}
+
+/**
+ * True when a reading has an anomaly flag on the given metric (any metric when omitted)
+ */
+function isAnomalous(data, metric) {
+    if (!data || !data.anomalies) return false;
+    return metric === undefined || data.anomalies.some((a) => a.metric === metric);
+}
+
+// Cache the app shell and recent data so the dashboard opens offline
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
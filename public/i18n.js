@@ -0,0 +1,557 @@
+/**
+ * Rideau Canal Dashboard - Translations
+ * English and French messages, the language toggle and locale-aware formatting.
+ * Loaded before the other scripts; elements with data-i18n (text) or
+ * data-i18n-attr ("attribute:key;...") are translated on load.
+ */
+
+const LANGUAGES = {
+    en: { locale: 'en-US' },
+    fr: { locale: 'fr-CA' },
+};
+
+const LANGUAGE_STORAGE_KEY = 'rideau-language';
+
+// Messages take {name} parameters; plural messages pick a form by {count}
+const MESSAGES = {
+    en: {
+        'app.title': 'Rideau Canal Monitoring Dashboard',
+        'app.heading': '🏒 Rideau Canal Skateway Monitoring',
+        'language.other': 'Français',
+        'language.switch': 'Passer au français',
+
+        'common.loading': 'Loading...',
+        'common.notAvailable': 'N/A',
+
+        'status.Safe': 'Safe',
+        'status.Caution': 'Caution',
+        'status.Unsafe': 'Unsafe',
+        'status.Closed': 'Closed',
+        'status.Unknown': 'Unknown',
+        'status.No Data': 'No Data',
+        'status.Stale': 'Stale',
+        'status.Offline': 'Offline',
+        'status.Live': 'Live',
+
+        'header.systemStatus': 'System Status:',
+        'header.lastUpdate': 'Last update: {time}',
+        'summary.locations': 'Locations',
+        'summary.staleOffline': 'Stale / Offline',
+        'view.cards': 'Cards',
+        'view.map': 'Map',
+
+        'auth.signIn': 'Sign in',
+        'auth.signOut': 'Sign out',
+        'auth.user': '{name} ({role})',
+        'role.viewer': 'viewer',
+        'role.operator': 'operator',
+        'role.admin': 'admin',
+        'login.title': 'Operator sign in',
+        'login.username': 'Username',
+        'login.password': 'Password',
+        'login.cancel': 'Cancel',
+        'login.invalid': 'Invalid username or password',
+
+        'banner.degraded': 'Live data is temporarily unavailable. Updates resume automatically.',
+        'banner.degradedSince': 'Live data is temporarily unavailable – showing the last known readings from {time}. Updates resume automatically.',
+        'banner.offline': 'Offline — showing data from {time}',
+        'banner.offlineEmpty': 'Offline — no saved data to show yet',
+
+        'card.noData': 'No data available for {name}',
+        'card.overrideBy': '{status} by operator',
+        'card.overrideUntil': 'Until {time}',
+        'card.sensors': 'sensors: {status}',
+        'card.outage': 'Last known reading – live data unavailable',
+        'card.lastReading': '{state} – last reading {age} ago',
+        'card.anomalyHint': 'Flagged as implausible; may be a sensor fault',
+        'card.disagreement': 'Sensor pipeline reports {upstream}, dashboard rules compute {computed}',
+        'card.rulesVersion': 'Safety rules v{version}',
+        'card.surfaceTemp': 'Surface Temp',
+        'card.externalTemp': 'External Temp',
+        'card.updated': 'Updated: {time}',
+        'card.details': 'Details →',
+
+        'age.unknown': 'unknown time',
+        'age.seconds': '{count} s',
+        'age.minutes': '{count} min',
+        'age.hours': '{count} h',
+        'age.days': '{count} days',
+
+        'health.noData': 'No data received',
+        'health.missingWindows': {
+            one: '{count} missing window in recent data',
+            other: '{count} missing windows in recent data',
+        },
+        'health.lowReadings': 'Only {count} readings in the last window (expected ~{expected})',
+
+        'anomaly.range': '{metric} {value} is outside the plausible range',
+        'anomaly.jump': '{metric} changed by {change} since the previous window',
+        'anomaly.outlier': '{metric} {value} differs from other locations by {deviation}',
+
+        'metric.avgIceThickness': 'Ice Thickness',
+        'metric.avgSurfaceTemperature': 'Surface Temperature',
+        'metric.maxSnowAccumulation': 'Snow Accumulation',
+        'metric.avgExternalTemperature': 'External Temperature',
+        'metric.readingCount': 'Readings per Window',
+        'axis.iceThickness': 'Ice Thickness (cm)',
+        'axis.temperature': 'Temperature (°C)',
+        'axis.snow': 'Snow Accumulation (cm)',
+        'axis.readings': 'Readings',
+        'axis.time': 'Time',
+        'axis.date': 'Date',
+
+        'charts.historicalTrends': 'Historical Trends',
+        'charts.locations': 'Locations:',
+        'charts.metrics': 'Metrics:',
+        'charts.forecastSeries': '{name} (forecast)',
+        'charts.forecastCrossing': '{name}: projected below {below} cm ({status}) in ~{hours} h',
+        'range.1h': '1h',
+        'range.6h': '6h',
+        'range.24h': '24h',
+        'range.7d': '7d',
+        'range.season': 'Season',
+        'range.custom': 'Custom',
+        'range.label.1h': 'Last Hour',
+        'range.label.6h': 'Last 6 Hours',
+        'range.label.24h': 'Last 24 Hours',
+        'range.label.7d': 'Last 7 Days',
+        'range.label.season': 'This Season',
+        'range.label.custom': 'Custom Range',
+        'range.from': 'From',
+        'range.to': 'To',
+        'range.apply': 'Apply',
+        'export.format': 'Download format',
+        'export.download': 'Download',
+
+        'operator.title': 'Operator Controls',
+        'operator.overrideTitle': 'Override Conditions',
+        'operator.location': 'Location',
+        'operator.status': 'Status',
+        'operator.reason': 'Reason',
+        'operator.duration': 'Duration',
+        'operator.applyOverride': 'Apply Override',
+        'operator.annotationTitle': 'Add Annotation',
+        'operator.allLocations': 'All locations',
+        'operator.note': 'Note',
+        'operator.fromDefault': 'From (default: now)',
+        'operator.toOptional': 'To (optional)',
+        'operator.noOverrides': 'No active overrides',
+        'operator.overrideItem': '{location}: {status} – {reason} (until {time})',
+        'operator.lift': 'Lift',
+        'duration.hours': { one: '{count} hour', other: '{count} hours' },
+        'duration.days': { one: '{count} day', other: '{count} days' },
+
+        'map.label': 'Map of the Rideau Canal Skateway with location status',
+        'map.noData': 'No data available',
+        'map.ice': 'Ice',
+        'map.surface': 'Surface',
+        'map.snow': 'Snow',
+        'map.external': 'External',
+        'map.anomalies': { one: '{count} implausible reading', other: '{count} implausible readings' },
+
+        'footer.lastUpdated': 'Last updated:',
+        'footer.updates': 'Updates:',
+        'live.connecting': 'Connecting...',
+        'live.live': 'Live',
+        'live.reconnecting': 'Reconnecting...',
+        'live.polling': 'Auto-refresh every {seconds} seconds',
+
+        'error.locations': 'Failed to load locations. Please check your connection.',
+        'error.data': 'Failed to fetch data. Please check your connection.',
+        'error.rangeOrder': 'Please choose a start time before the end time.',
+        'error.exportSignIn': 'Sign in as an operator to download data.',
+        'error.exportSelection': 'Select at least one location and one metric to download.',
+        'error.liftOverride': 'Failed to lift override: {error}',
+        'error.saveOverride': 'Failed to save override: {error}',
+        'error.saveAnnotation': 'Failed to save annotation: {error}',
+
+        'location.pageTitle': '{name} - Rideau Canal Monitoring Dashboard',
+        'location.back': '← All locations',
+        'location.currentStatus': 'Current Status:',
+        'location.seasonTrends': 'Season Trends',
+        'location.sinceSeasonStart': 'since December 1',
+        'location.rangeToNow': '{from} – now',
+        'location.dailyIce': 'Daily Ice Thickness (min / avg / max)',
+        'location.degreeDays': 'Cumulative Degree-Days',
+        'location.timeInStatus': 'Time in Each Status',
+        'location.recentWindows': 'Recent Aggregation Windows',
+        'location.windowEnd': 'Window End',
+        'location.status': 'Status',
+        'location.ice': 'Ice (cm)',
+        'location.surface': 'Surface (°C)',
+        'location.snow': 'Snow (cm)',
+        'location.external': 'External (°C)',
+        'location.readings': 'Readings',
+        'location.daysWithData': 'Days with Data',
+        'location.peakIce': 'Peak Ice Thickness (cm)',
+        'location.freezingDegreeDays': 'Freezing Degree-Days',
+        'location.thawingDegreeDays': 'Thawing Degree-Days',
+        'location.max': 'Max',
+        'location.average': 'Average',
+        'location.min': 'Min',
+        'location.freezing': 'Freezing',
+        'location.thawing': 'Thawing',
+        'location.degreeDaysAxis': 'Degree-Days (°C·day)',
+        'location.noReadings': 'No readings in this range',
+        'location.coverage': 'Based on {duration} of readings',
+        'location.noWindows': 'No recent windows',
+        'location.hours': '{hours} h',
+        'location.daysHours': '{days} d {hours} h',
+        'location.offline': 'Offline — this location has not been saved for offline viewing yet.',
+        'location.loadFailed': 'Failed to load location details: {error}',
+
+        'a11y.highContrast': 'High contrast',
+        'a11y.summary': 'Status summary',
+        'a11y.cards': 'Location conditions',
+        'a11y.cardHint': 'Press Enter for details; arrow keys move between locations',
+        'a11y.statusChanged': '{name} is now {status}',
+        'a11y.systemStatusChanged': 'System status is now {status}',
+        'a11y.mapMarker': '{name}: {status}',
+        'a11y.chartLabel': '{title} chart. Use the arrow keys to read values, or open the data table below.',
+        'a11y.chartPoint': '{series}, {time}: {value}',
+        'a11y.dataTable': 'Show data table',
+        'a11y.noChartData': 'No data in this range',
+        'a11y.flagged': 'Flagged as implausible',
+        'a11y.statusBar': 'Share of time in each status',
+
+        'seasons.title': 'Season Comparison',
+        'seasons.location': 'Location',
+        'seasons.granularity': 'Granularity',
+        'seasons.daily': 'Daily',
+        'seasons.weekly': 'Weekly',
+        'seasons.chartTitle': 'Average Ice Thickness by Day of Season',
+        'seasons.axis': 'Day of season (from December 1)',
+        'seasons.season': 'Season',
+        'seasons.opened': 'Opened',
+        'seasons.closed': 'Closed',
+        'seasons.daysOpen': 'Days open',
+        'seasons.peakIce': 'Peak ice (cm)',
+        'seasons.avgIce': 'Average ice (cm)',
+        'seasons.freezingDegreeDays': 'Freezing degree-days',
+        'seasons.notOpened': 'Did not open',
+        'seasons.empty': 'No archived seasons yet. Days are added once they are complete.',
+        'seasons.loadFailed': 'Failed to load season comparison: {error}',
+    },
+
+    fr: {
+        'app.title': 'Tableau de bord de surveillance du canal Rideau',
+        'app.heading': '🏒 Surveillance de la patinoire du canal Rideau',
+        'language.other': 'English',
+        'language.switch': 'Switch to English',
+
+        'common.loading': 'Chargement...',
+        'common.notAvailable': 'N/D',
+
+        'status.Safe': 'Sécuritaire',
+        'status.Caution': 'Prudence',
+        'status.Unsafe': 'Dangereux',
+        'status.Closed': 'Fermé',
+        'status.Unknown': 'Inconnu',
+        'status.No Data': 'Aucune donnée',
+        'status.Stale': 'Périmé',
+        'status.Offline': 'Hors ligne',
+        'status.Live': 'En direct',
+
+        'header.systemStatus': 'État du système :',
+        'header.lastUpdate': 'Dernière mise à jour : {time}',
+        'summary.locations': 'Emplacements',
+        'summary.staleOffline': 'Périmés / hors ligne',
+        'view.cards': 'Fiches',
+        'view.map': 'Carte',
+
+        'auth.signIn': 'Se connecter',
+        'auth.signOut': 'Se déconnecter',
+        'auth.user': '{name} ({role})',
+        'role.viewer': 'lecteur',
+        'role.operator': 'opérateur',
+        'role.admin': 'administrateur',
+        'login.title': 'Connexion des opérateurs',
+        'login.username': 'Nom d’utilisateur',
+        'login.password': 'Mot de passe',
+        'login.cancel': 'Annuler',
+        'login.invalid': 'Nom d’utilisateur ou mot de passe invalide',
+
+        'banner.degraded': 'Les données en direct sont temporairement indisponibles. Les mises à jour reprendront automatiquement.',
+        'banner.degradedSince': 'Les données en direct sont temporairement indisponibles – affichage des dernières lectures connues du {time}. Les mises à jour reprendront automatiquement.',
+        'banner.offline': 'Hors ligne — données de {time}',
+        'banner.offlineEmpty': 'Hors ligne — aucune donnée enregistrée à afficher',
+
+        'card.noData': 'Aucune donnée disponible pour {name}',
+        'card.overrideBy': '{status} par un opérateur',
+        'card.overrideUntil': 'Jusqu’au {time}',
+        'card.sensors': 'capteurs : {status}',
+        'card.outage': 'Dernière lecture connue – données en direct indisponibles',
+        'card.lastReading': '{state} – dernière lecture il y a {age}',
+        'card.anomalyHint': 'Signalée comme invraisemblable; possible défaillance d’un capteur',
+        'card.disagreement': 'Le pipeline des capteurs indique {upstream}, les règles du tableau de bord donnent {computed}',
+        'card.rulesVersion': 'Règles de sécurité v{version}',
+        'card.surfaceTemp': 'Temp. de surface',
+        'card.externalTemp': 'Temp. extérieure',
+        'card.updated': 'Mis à jour : {time}',
+        'card.details': 'Détails →',
+
+        'age.unknown': 'une durée inconnue',
+        'age.seconds': '{count} s',
+        'age.minutes': '{count} min',
+        'age.hours': '{count} h',
+        'age.days': '{count} jours',
+
+        'health.noData': 'Aucune donnée reçue',
+        'health.missingWindows': {
+            one: '{count} fenêtre manquante dans les données récentes',
+            other: '{count} fenêtres manquantes dans les données récentes',
+        },
+        'health.lowReadings': 'Seulement {count} lectures dans la dernière fenêtre (environ {expected} attendues)',
+
+        'anomaly.range': '{metric} {value} hors de la plage plausible',
+        'anomaly.jump': '{metric} : variation de {change} depuis la fenêtre précédente',
+        'anomaly.outlier': '{metric} {value} s’écarte des autres emplacements de {deviation}',
+
+        'metric.avgIceThickness': 'Épaisseur de la glace',
+        'metric.avgSurfaceTemperature': 'Température de surface',
+        'metric.maxSnowAccumulation': 'Accumulation de neige',
+        'metric.avgExternalTemperature': 'Température extérieure',
+        'metric.readingCount': 'Lectures par fenêtre',
+        'axis.iceThickness': 'Épaisseur de la glace (cm)',
+        'axis.temperature': 'Température (°C)',
+        'axis.snow': 'Accumulation de neige (cm)',
+        'axis.readings': 'Lectures',
+        'axis.time': 'Heure',
+        'axis.date': 'Date',
+
+        'charts.historicalTrends': 'Tendances historiques',
+        'charts.locations': 'Emplacements :',
+        'charts.metrics': 'Mesures :',
+        'charts.forecastSeries': '{name} (prévision)',
+        'charts.forecastCrossing': '{name} : sous {below} cm ({status}) prévu dans environ {hours} h',
+        'range.1h': '1 h',
+        'range.6h': '6 h',
+        'range.24h': '24 h',
+        'range.7d': '7 j',
+        'range.season': 'Saison',
+        'range.custom': 'Personnalisée',
+        'range.label.1h': 'Dernière heure',
+        'range.label.6h': '6 dernières heures',
+        'range.label.24h': '24 dernières heures',
+        'range.label.7d': '7 derniers jours',
+        'range.label.season': 'Cette saison',
+        'range.label.custom': 'Période personnalisée',
+        'range.from': 'Du',
+        'range.to': 'Au',
+        'range.apply': 'Appliquer',
+        'export.format': 'Format du téléchargement',
+        'export.download': 'Télécharger',
+
+        'operator.title': 'Commandes des opérateurs',
+        'operator.overrideTitle': 'Forcer l’état',
+        'operator.location': 'Emplacement',
+        'operator.status': 'État',
+        'operator.reason': 'Motif',
+        'operator.duration': 'Durée',
+        'operator.applyOverride': 'Appliquer',
+        'operator.annotationTitle': 'Ajouter une annotation',
+        'operator.allLocations': 'Tous les emplacements',
+        'operator.note': 'Note',
+        'operator.fromDefault': 'Du (par défaut : maintenant)',
+        'operator.toOptional': 'Au (facultatif)',
+        'operator.noOverrides': 'Aucun état forcé',
+        'operator.overrideItem': '{location} : {status} – {reason} (jusqu’au {time})',
+        'operator.lift': 'Lever',
+        'duration.hours': { one: '{count} heure', other: '{count} heures' },
+        'duration.days': { one: '{count} jour', other: '{count} jours' },
+
+        'map.label': 'Carte de la patinoire du canal Rideau avec l’état de chaque emplacement',
+        'map.noData': 'Aucune donnée disponible',
+        'map.ice': 'Glace',
+        'map.surface': 'Surface',
+        'map.snow': 'Neige',
+        'map.external': 'Extérieur',
+        'map.anomalies': { one: '{count} lecture invraisemblable', other: '{count} lectures invraisemblables' },
+
+        'footer.lastUpdated': 'Dernière mise à jour :',
+        'footer.updates': 'Mises à jour :',
+        'live.connecting': 'Connexion...',
+        'live.live': 'En direct',
+        'live.reconnecting': 'Reconnexion...',
+        'live.polling': 'Actualisation automatique toutes les {seconds} secondes',
+
+        'error.locations': 'Impossible de charger les emplacements. Vérifiez votre connexion.',
+        'error.data': 'Impossible d’obtenir les données. Vérifiez votre connexion.',
+        'error.rangeOrder': 'Choisissez une heure de début antérieure à l’heure de fin.',
+        'error.exportSignIn': 'Connectez-vous en tant qu’opérateur pour télécharger les données.',
+        'error.exportSelection': 'Sélectionnez au moins un emplacement et une mesure à télécharger.',
+        'error.liftOverride': 'Impossible de lever l’état forcé : {error}',
+        'error.saveOverride': 'Impossible d’enregistrer l’état forcé : {error}',
+        'error.saveAnnotation': 'Impossible d’enregistrer l’annotation : {error}',
+
+        'location.pageTitle': '{name} - Tableau de bord de surveillance du canal Rideau',
+        'location.back': '← Tous les emplacements',
+        'location.currentStatus': 'État actuel :',
+        'location.seasonTrends': 'Tendances de la saison',
+        'location.sinceSeasonStart': 'depuis le 1er décembre',
+        'location.rangeToNow': '{from} – maintenant',
+        'location.dailyIce': 'Épaisseur quotidienne de la glace (min. / moy. / max.)',
+        'location.degreeDays': 'Degrés-jours cumulés',
+        'location.timeInStatus': 'Temps passé dans chaque état',
+        'location.recentWindows': 'Fenêtres d’agrégation récentes',
+        'location.windowEnd': 'Fin de la fenêtre',
+        'location.status': 'État',
+        'location.ice': 'Glace (cm)',
+        'location.surface': 'Surface (°C)',
+        'location.snow': 'Neige (cm)',
+        'location.external': 'Extérieur (°C)',
+        'location.readings': 'Lectures',
+        'location.daysWithData': 'Jours avec données',
+        'location.peakIce': 'Épaisseur maximale de la glace (cm)',
+        'location.freezingDegreeDays': 'Degrés-jours de gel',
+        'location.thawingDegreeDays': 'Degrés-jours de dégel',
+        'location.max': 'Max.',
+        'location.average': 'Moyenne',
+        'location.min': 'Min.',
+        'location.freezing': 'Gel',
+        'location.thawing': 'Dégel',
+        'location.degreeDaysAxis': 'Degrés-jours (°C·jour)',
+        'location.noReadings': 'Aucune lecture pour cette période',
+        'location.coverage': 'D’après {duration} de lectures',
+        'location.noWindows': 'Aucune fenêtre récente',
+        'location.hours': '{hours} h',
+        'location.daysHours': '{days} j {hours} h',
+        'location.offline': 'Hors ligne — cet emplacement n’a pas encore été enregistré pour la consultation hors ligne.',
+        'location.loadFailed': 'Impossible de charger les détails de l’emplacement : {error}',
+
+        'a11y.highContrast': 'Contraste élevé',
+        'a11y.summary': 'Résumé des états',
+        'a11y.cards': 'Conditions par emplacement',
+        'a11y.cardHint': 'Appuyez sur Entrée pour les détails; les flèches passent d’un emplacement à l’autre',
+        'a11y.statusChanged': 'L’état de {name} est maintenant : {status}',
+        'a11y.systemStatusChanged': 'L’état du système est maintenant : {status}',
+        'a11y.mapMarker': '{name} : {status}',
+        'a11y.chartLabel': 'Graphique : {title}. Utilisez les flèches pour lire les valeurs ou ouvrez le tableau de données ci-dessous.',
+        'a11y.chartPoint': '{series}, {time} : {value}',
+        'a11y.dataTable': 'Afficher le tableau de données',
+        'a11y.noChartData': 'Aucune donnée pour cette période',
+        'a11y.flagged': 'Signalée comme invraisemblable',
+        'a11y.statusBar': 'Part du temps passé dans chaque état',
+
+        'seasons.title': 'Comparaison des saisons',
+        'seasons.location': 'Emplacement',
+        'seasons.granularity': 'Granularité',
+        'seasons.daily': 'Quotidienne',
+        'seasons.weekly': 'Hebdomadaire',
+        'seasons.chartTitle': 'Épaisseur moyenne de la glace par jour de saison',
+        'seasons.axis': 'Jour de saison (depuis le 1er décembre)',
+        'seasons.season': 'Saison',
+        'seasons.opened': 'Ouverture',
+        'seasons.closed': 'Fermeture',
+        'seasons.daysOpen': 'Jours d’ouverture',
+        'seasons.peakIce': 'Glace maximale (cm)',
+        'seasons.avgIce': 'Glace moyenne (cm)',
+        'seasons.freezingDegreeDays': 'Degrés-jours de gel',
+        'seasons.notOpened': 'N’a pas ouvert',
+        'seasons.empty': 'Aucune saison archivée pour le moment. Les jours sont ajoutés une fois terminés.',
+        'seasons.loadFailed': 'Échec du chargement de la comparaison des saisons : {error}',
+    },
+};
+
+/**
+ * Saved choice, else the first supported browser language, else English
+ */
+function detectLanguage() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (error) {
+        // Storage can be disabled; fall back to the browser's languages
+    }
+    if (LANGUAGES[saved]) return saved;
+
+    const preferred = (navigator.languages || [navigator.language || ''])
+        .map((tag) => tag.slice(0, 2).toLowerCase())
+        .find((code) => LANGUAGES[code]);
+    return preferred || 'en';
+}
+
+let currentLanguage = detectLanguage();
+
+function getLocale() {
+    return LANGUAGES[currentLanguage].locale;
+}
+
+/**
+ * Translate a message key, filling in {name} parameters
+ */
+function t(key, params = {}) {
+    let message = MESSAGES[currentLanguage][key] ?? MESSAGES.en[key] ?? key;
+    if (typeof message === 'object') {
+        message = message[new Intl.PluralRules(getLocale()).select(params.count)] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+/**
+ * Display label for a safety, system or freshness status (kept in English by the API)
+ */
+function statusLabel(status) {
+    const key = `status.${status || 'Unknown'}`;
+    return MESSAGES.en[key] ? t(key) : status;
+}
+
+/**
+ * Format a number for the current locale, with a fixed number of decimals when given
+ */
+function formatNumber(value, decimals) {
+    if (value == null || isNaN(value)) return t('common.notAvailable');
+    const options = decimals === undefined ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+/**
+ * Headers asking the API for display names in the current language
+ */
+function languageHeaders() {
+    return { 'Accept-Language': currentLanguage };
+}
+
+/**
+ * Translate elements marked with data-i18n and data-i18n-attr
+ */
+function applyTranslations(root = document) {
+    document.documentElement.lang = currentLanguage;
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach((element) => {
+        element.dataset.i18nAttr.split(';').forEach((pair) => {
+            const [attribute, key] = pair.split(':');
+            element.setAttribute(attribute.trim(), t(key.trim()));
+        });
+    });
+}
+
+/**
+ * Remember the language for this browser and reload the page in it
+ */
+function setLanguage(language) {
+    if (!LANGUAGES[language]) return;
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (error) {
+        // Not remembered, but still applied to this page load
+    }
+    currentLanguage = language;
+    window.location.reload();
+}
+
+/**
+ * The toggle offers the other language, labelled in that language
+ */
+function setupLanguageToggle() {
+    const button = document.getElementById('languageToggle');
+    if (!button) return;
+    const other = currentLanguage === 'fr' ? 'en' : 'fr';
+    button.lang = other;
+    button.addEventListener('click', () => setLanguage(other));
+}
+
+applyTranslations();
+setupLanguageToggle();
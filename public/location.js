@@ -0,0 +1,285 @@
+/**
+ * Rideau Canal Dashboard - Location Detail Page
+ * Season statistics, degree-days, status durations and recent windows for one location
+ */
+
+// Location id from the /location/:id path
+const locationId = decodeURIComponent(window.location.pathname.split('/').filter(Boolean).pop() || '');
+
+// Oldest response on the page served from the offline cache, if any
+let offlineDataTime = null;
+
+/**
+ * Fetch JSON from the API, throwing on HTTP errors
+ */
+async function fetchJson(path) {
+    const response = await fetch(`${API_BASE}${path}`, { cache: 'no-cache', headers: languageHeaders() });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP error! status: ${response.status}`);
+    }
+    const cachedAt = getCachedAt(response);
+    if (cachedAt && (!offlineDataTime || cachedAt < offlineDataTime)) offlineDataTime = cachedAt;
+    return response.json();
+}
+
+/**
+ * Format a duration in seconds as days and hours
+ */
+function formatDuration(seconds) {
+    const hours = Math.round(seconds / 3600);
+    if (hours < 48) return t('location.hours', { hours });
+    return t('location.daysHours', { days: Math.floor(hours / 24), hours: hours % 24 });
+}
+
+function formatValue(value) {
+    return formatNumber(value, 1);
+}
+
+/**
+ * Header with the current status
+ */
+function renderHeader(name, current) {
+    document.title = t('location.pageTitle', { name });
+    document.getElementById('locationName').textContent = name;
+
+    const badge = document.getElementById('locationStatus');
+    badge.textContent = statusLabel(current ? current.safetyStatus : 'No Data');
+    badge.className = `safety-badge ${getSafetyBadgeClass(current && current.safetyStatus)}`;
+
+    document.getElementById('locationUpdated').textContent = current
+        ? t('card.updated', { time: formatTimestamp(current.timestamp) })
+        : '';
+}
+
+/**
+ * Summary cards for the season so far
+ */
+function renderSummary(stats) {
+    const days = stats.daily;
+    const last = days[days.length - 1];
+    const iceValues = days.map((d) => d.iceThickness.max).filter((v) => v != null);
+
+    const cards = [
+        { label: t('location.daysWithData'), value: days.length },
+        { label: t('location.peakIce'), value: formatNumber(iceValues.length ? Math.max(...iceValues) : null, 1) },
+        { label: t('location.freezingDegreeDays'), value: formatNumber(last ? last.cumulativeFreezingDegreeDays : 0, 0) },
+        { label: t('location.thawingDegreeDays'), value: formatNumber(last ? last.cumulativeThawingDegreeDays : 0, 0) },
+    ];
+
+    document.getElementById('locationSummary').innerHTML = cards.map((card) => `
+        <div class="stat-card">
+            <div class="stat-value">${card.value}</div>
+            <div class="stat-label">${card.label}</div>
+        </div>
+    `).join('');
+
+    document.getElementById('statsRange').textContent = t('location.rangeToNow', {
+        from: formatDay(stats.from),
+    });
+}
+
+function dailyPoints(days, read) {
+    return days
+        .map((day) => ({ x: `${day.date}T12:00:00`, y: read(day) }))
+        .filter((point) => point.y != null);
+}
+
+function timeScale() {
+    return {
+        type: 'time',
+        time: { unit: 'day' },
+        ticks: { callback: (value) => formatAxisTime(value, 'day') },
+        title: { display: true, text: t('axis.date') },
+    };
+}
+
+function formatDay(value) {
+    return new Date(value).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// Tooltips headed by the day, in the current locale
+const dayTooltip = {
+    mode: 'index',
+    intersect: false,
+    callbacks: {
+        title: (items) => (items.length ? formatDay(items[0].parsed.x) : ''),
+    },
+};
+
+/**
+ * Daily min/avg/max ice thickness, with the min-max band shaded
+ */
+function renderDailyIceChart(days) {
+    const canvas = document.getElementById('dailyIceChart');
+    const chart = new Chart(canvas, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: t('location.max'),
+                    data: dailyPoints(days, (d) => d.iceThickness.max),
+                    borderColor: '#93c5fd',
+                    backgroundColor: '#3b82f620',
+                    fill: '+2',
+                    pointRadius: 0,
+                },
+                {
+                    label: t('location.average'),
+                    data: dailyPoints(days, (d) => d.iceThickness.avg),
+                    borderColor: '#3b82f6',
+                    backgroundColor: '#3b82f6',
+                    tension: 0.3,
+                },
+                {
+                    label: t('location.min'),
+                    data: dailyPoints(days, (d) => d.iceThickness.min),
+                    borderColor: '#93c5fd',
+                    pointRadius: 0,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: timeScale(),
+                y: { title: { display: true, text: t('axis.iceThickness') } },
+            },
+            locale: getLocale(),
+            plugins: { tooltip: dayTooltip },
+        },
+    });
+    makeChartAccessible(canvas, () => chart, { title: t('location.dailyIce'), xLabel: t('axis.date'), formatX: formatDay });
+}
+
+/**
+ * Accumulated freezing and thawing degree-days
+ */
+function renderDegreeDaysChart(days) {
+    const canvas = document.getElementById('degreeDaysChart');
+    const chart = new Chart(canvas, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: t('location.freezing'),
+                    data: dailyPoints(days, (d) => d.cumulativeFreezingDegreeDays),
+                    borderColor: '#3b82f6',
+                    backgroundColor: '#3b82f620',
+                    fill: true,
+                },
+                {
+                    label: t('location.thawing'),
+                    data: dailyPoints(days, (d) => d.cumulativeThawingDegreeDays),
+                    borderColor: '#ef4444',
+                    backgroundColor: '#ef444420',
+                    fill: true,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: timeScale(),
+                y: { beginAtZero: true, title: { display: true, text: t('location.degreeDaysAxis') } },
+            },
+            locale: getLocale(),
+            plugins: { tooltip: dayTooltip },
+        },
+    });
+    makeChartAccessible(canvas, () => chart, { title: t('location.degreeDays'), xLabel: t('axis.date'), formatX: formatDay, decimals: 0 });
+}
+
+/**
+ * Share of covered time spent in each safety status
+ */
+function renderStatusDurations({ coveredSeconds, statuses }) {
+    const container = document.getElementById('statusDurations');
+    if (!statuses.length) {
+        container.innerHTML = `<div class="loading">${t('location.noReadings')}</div>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="duration-bar" role="img" aria-label="${t('a11y.statusBar')}">
+            ${statuses.map(({ status, share }) => `
+                <div class="duration-segment ${getSafetyBadgeClass(status)}" style="width: ${(share * 100).toFixed(2)}%; background: ${STATUS_COLORS[getSafetyBadgeClass(status)]}"
+                    title="${escapeHtml(statusLabel(status))}"></div>
+            `).join('')}
+        </div>
+        <ul class="duration-legend">
+            ${statuses.map(({ status, seconds, share }) => `
+                <li>
+                    <span class="safety-badge ${getSafetyBadgeClass(status)}">${escapeHtml(statusLabel(status))}</span>
+                    ${formatDuration(seconds)} (${new Intl.NumberFormat(getLocale(), { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(share)})
+                </li>
+            `).join('')}
+        </ul>
+        <div class="duration-note">${t('location.coverage', { duration: formatDuration(coveredSeconds) })}</div>
+    `;
+}
+
+/**
+ * Attributes marking a flagged table cell, with the reasons as a tooltip
+ */
+function anomalyCell(data, metric) {
+    if (!isAnomalous(data, metric)) return '';
+    const reasons = data.anomalies.filter((a) => a.metric === metric).map(anomalyMessage).join('; ');
+    return ` class="anomalous" title="${escapeHtml(reasons)}"`;
+}
+
+/**
+ * Table of recent aggregation windows, newest first
+ */
+function renderWindowsTable(windows) {
+    const body = document.getElementById('windowsTable');
+    if (!windows.length) {
+        body.innerHTML = `<tr><td colspan="7" class="loading">${t('location.noWindows')}</td></tr>`;
+        return;
+    }
+
+    body.innerHTML = windows.map((w) => `
+        <tr>
+            <td>${formatTimestamp(w.timestamp)}</td>
+            <td><span class="safety-badge ${getSafetyBadgeClass(w.safetyStatus)}">${escapeHtml(statusLabel(w.safetyStatus))}</span></td>
+            ${['avgIceThickness', 'avgSurfaceTemperature', 'maxSnowAccumulation', 'avgExternalTemperature'].map((metric) => `
+            <td${anomalyCell(w, metric)}>${formatValue(w[metric])}</td>`).join('')}
+            <td${anomalyCell(w, 'readingCount')}>${formatNumber(w.readingCount)}</td>
+        </tr>
+    `).join('');
+}
+
+function showPageError(message) {
+    document.getElementById('locationSummary').innerHTML = `<div class="error">${escapeHtml(message)}</div>`;
+}
+
+async function init() {
+    try {
+        const [current, stats, windows] = await Promise.all([
+            fetchJson(`/data/${encodeURIComponent(locationId)}`).catch(() => null),
+            fetchJson(`/stats/${encodeURIComponent(locationId)}`),
+            fetchJson(`/windows/${encodeURIComponent(locationId)}?limit=50`),
+        ]);
+
+        renderHeader(stats.name, current);
+        renderSummary(stats);
+        renderDailyIceChart(stats.daily);
+        renderDegreeDaysChart(stats.daily);
+        renderStatusDurations(stats.statusDurations);
+        renderWindowsTable(windows);
+
+        document.getElementById('footerUpdate').textContent = formatTimestamp(offlineDataTime || new Date());
+        if (offlineDataTime) {
+            const banner = document.getElementById('outageBanner');
+            banner.textContent = t('banner.offline', { time: formatClock(offlineDataTime) });
+            banner.hidden = false;
+        }
+    } catch (error) {
+        console.error('Error loading location details:', error);
+        showPageError(isNetworkError(error)
+            ? t('location.offline')
+            : t('location.loadFailed', { error: error.message }));
+    }
+}
+
+document.addEventListener('DOMContentLoaded', init);
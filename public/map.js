@@ -0,0 +1,205 @@
+/**
+ * Rideau Canal Dashboard - Canal Map View
+ * Draws the skateway route as an SVG (no external tiles) with each
+ * location plotted at its coordinates and route segments coloured by status
+ */
+
+// Skateway centreline from the Plaza Bridge (north) to Dow's Lake (south), [lat, lng]
+const CANAL_ROUTE = [
+    [45.4252, -75.6953],
+    [45.4233, -75.6932],
+    [45.4212, -75.6903],
+    [45.4190, -75.6878],
+    [45.4163, -75.6862],
+    [45.4134, -75.6855],
+    [45.4107, -75.6857],
+    [45.4081, -75.6846],
+    [45.4055, -75.6829],
+    [45.4031, -75.6833],
+    [45.4014, -75.6850],
+    [45.4003, -75.6866],
+    [45.3990, -75.6889],
+    [45.3978, -75.6917],
+    [45.3962, -75.6946],
+    [45.3948, -75.6978],
+    [45.3935, -75.7016],
+];
+
+const MAP_WIDTH = 360;
+const MAP_HEIGHT = 560;
+const MAP_PADDING = 40;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Fit lat/lng points into the map area, correcting longitude for latitude
+ */
+function createProjection(points) {
+    const lats = points.map(([lat]) => lat);
+    const lngs = points.map(([, lng]) => lng);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLng = Math.min(...lngs);
+    const maxLng = Math.max(...lngs);
+    const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+    const spanX = Math.max((maxLng - minLng) * lngScale, 1e-6);
+    const spanY = Math.max(maxLat - minLat, 1e-6);
+    const scale = Math.min((MAP_WIDTH - 2 * MAP_PADDING) / spanX, (MAP_HEIGHT - 2 * MAP_PADDING) / spanY);
+    const offsetX = (MAP_WIDTH - spanX * scale) / 2;
+    const offsetY = (MAP_HEIGHT - spanY * scale) / 2;
+
+    return ([lat, lng]) => ({
+        x: offsetX + (lng - minLng) * lngScale * scale,
+        y: offsetY + (maxLat - lat) * scale,
+    });
+}
+
+/**
+ * Index of the located site closest to a route point
+ */
+function nearestLocationIndex(point, located) {
+    let best = -1;
+    let bestDistance = Infinity;
+    located.forEach((location, index) => {
+        const dLat = point[0] - location.coordinates.lat;
+        const dLng = point[1] - location.coordinates.lng;
+        const distance = dLat * dLat + dLng * dLng;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = index;
+        }
+    });
+    return best;
+}
+
+function createSvgElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+function formatReading(value, unit) {
+    return value != null ? `${formatNumber(value, 1)} ${unit}` : t('common.notAvailable');
+}
+
+/**
+ * Tooltip text for a location
+ */
+function buildMapTooltip(location, data) {
+    if (!data) return `<strong>${escapeHtml(location.name)}</strong><br>${t('map.noData')}`;
+
+    const freshness = data.health && data.health.state !== 'Live' ? ` · ${statusLabel(data.health.state)}` : '';
+    return `
+        <strong>${escapeHtml(location.name)}</strong> – ${statusLabel(data.safetyStatus)}${freshness}<br>
+        ${t('map.ice')}: ${formatReading(data.avgIceThickness, 'cm')}<br>
+        ${t('map.surface')}: ${formatReading(data.avgSurfaceTemperature, '°C')}<br>
+        ${t('map.snow')}: ${formatReading(data.maxSnowAccumulation, 'cm')}<br>
+        ${t('map.external')}: ${formatReading(data.avgExternalTemperature, '°C')}<br>
+        ${data.anomalies?.length ? `⚠ ${t('map.anomalies', { count: data.anomalies.length })}<br>` : ''}
+        <span class="map-tooltip-time">${formatTimestamp(data.timestamp)}</span>
+    `;
+}
+
+/**
+ * Render the canal map into a container
+ * onSelect(locationKey) is called when a location is clicked
+ */
+function renderCanalMap(container, mapLocations, data, { onSelect } = {}) {
+    if (!container) return;
+
+    const located = mapLocations.filter((l) => l.coordinates);
+    const project = createProjection([
+        ...CANAL_ROUTE,
+        ...located.map((l) => [l.coordinates.lat, l.coordinates.lng]),
+    ]);
+
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`,
+        class: 'canal-map-svg',
+        role: 'group',
+        'aria-label': t('map.label'),
+    });
+
+    // Canal banks under the coloured skating surface
+    const routePoints = CANAL_ROUTE.map(project);
+    svg.appendChild(createSvgElement('polyline', {
+        points: routePoints.map((p) => `${p.x},${p.y}`).join(' '),
+        class: 'canal-bank',
+    }));
+
+    // Split the route into segments owned by the nearest location
+    const owners = CANAL_ROUTE.map((point) => nearestLocationIndex(point, located));
+    let start = 0;
+    for (let i = 1; i <= CANAL_ROUTE.length; i++) {
+        if (i < CANAL_ROUTE.length && owners[i] === owners[start]) continue;
+
+        const location = located[owners[start]];
+        const locationData = location ? data[location.key] : null;
+        const segment = routePoints.slice(start, Math.min(i + 1, routePoints.length));
+        const status = getSafetyBadgeClass(locationData ? locationData.safetyStatus : null);
+        const degraded = locationData && locationData.health && locationData.health.state !== 'Live';
+
+        svg.appendChild(createSvgElement('polyline', {
+            points: segment.map((p) => `${p.x},${p.y}`).join(' '),
+            class: `canal-segment ${status}${degraded ? ' degraded' : ''}`,
+            stroke: STATUS_COLORS[status],
+        }));
+        start = i;
+    }
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'map-tooltip';
+    tooltip.hidden = true;
+
+    // Location markers and labels
+    located.forEach((location) => {
+        const locationData = data[location.key];
+        const status = getSafetyBadgeClass(locationData ? locationData.safetyStatus : null);
+        const { x, y } = project([location.coordinates.lat, location.coordinates.lng]);
+
+        const group = createSvgElement('g', {
+            class: `map-location ${status}`,
+            tabindex: '0',
+            role: 'link',
+            'aria-label': t('a11y.mapMarker', {
+                name: location.name,
+                status: statusLabel(locationData ? locationData.safetyStatus : 'No Data'),
+            }),
+            'data-location': location.key,
+        });
+        group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: 11, fill: STATUS_COLORS[status] }));
+        const icon = createSvgElement('text', { x, y, class: 'map-marker-icon', 'aria-hidden': 'true' });
+        icon.textContent = STATUS_ICONS[status];
+        group.appendChild(icon);
+
+        const label = createSvgElement('text', { x: x + 18, y: y + 5, class: 'map-label', 'aria-hidden': 'true' });
+        label.textContent = location.name;
+        group.appendChild(label);
+
+        const showTooltip = () => {
+            tooltip.innerHTML = buildMapTooltip(location, locationData);
+            tooltip.hidden = false;
+            const svgRect = svg.getBoundingClientRect();
+            const containerRect = container.getBoundingClientRect();
+            const scale = svgRect.width / MAP_WIDTH || 1;
+            tooltip.style.left = `${svgRect.left - containerRect.left + x * scale + 20}px`;
+            tooltip.style.top = `${svgRect.top - containerRect.top + y * scale - 10}px`;
+        };
+        group.addEventListener('mouseenter', showTooltip);
+        group.addEventListener('focus', showTooltip);
+        group.addEventListener('mouseleave', () => { tooltip.hidden = true; });
+        group.addEventListener('blur', () => { tooltip.hidden = true; });
+        group.addEventListener('click', () => onSelect && onSelect(location.key));
+        group.addEventListener('keydown', (event) => {
+            if ((event.key === 'Enter' || event.key === ' ') && onSelect) {
+                event.preventDefault();
+                onSelect(location.key);
+            }
+        });
+
+        svg.appendChild(group);
+    });
+
+    container.replaceChildren(svg, tooltip);
+}
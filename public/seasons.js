@@ -0,0 +1,207 @@
+/**
+ * Rideau Canal Dashboard - Season Comparison
+ * Overlays archived seasons on a shared day-of-season axis and tabulates
+ * opening dates, days open and ice thickness for each season
+ */
+
+// Season line colours, newest season first; older seasons are also dashed
+const SEASON_COLORS = ['#2563eb', '#f59e0b', '#10b981', '#8b5cf6', '#ef4444', '#6b7280'];
+const SEASON_DASHES = [[], [6, 4], [2, 3], [10, 4, 2, 4]];
+
+// Day-of-season axis labels are dates in a reference season (day 1 = December 1st)
+const SEASON_AXIS_START = Date.UTC(2001, 11, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Selected location and granularity ('daily' or 'weekly')
+const seasonView = {
+    location: null,
+    mode: 'daily',
+};
+
+// Season summaries and daily series for the selected location
+let seasonData = null;
+let seasonChart = null;
+let refreshSeasonTable = null;
+
+/**
+ * Day of season as a month and day, e.g. 32 -> "Jan 1"
+ */
+function formatSeasonDay(dayOfSeason) {
+    return new Date(SEASON_AXIS_START + (dayOfSeason - 1) * DAY_MS)
+        .toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Archive day (YYYY-MM-DD) for display
+ */
+function formatArchiveDate(date) {
+    if (!date) return t('seasons.notOpened');
+    return new Date(`${date}T12:00:00Z`)
+        .toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+async function fetchSeasons(location, path = '') {
+    const response = await fetch(`${API_BASE}/seasons/${encodeURIComponent(location)}${path}`, {
+        cache: 'no-cache',
+        headers: languageHeaders(),
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * One line per season: daily average ice thickness, or weekly averages
+ * plotted at the middle of each week
+ */
+function seasonDatasets(summaries, series, mode) {
+    return summaries.map((summary, index) => {
+        const data = mode === 'weekly'
+            ? summary.weekly
+                .filter((week) => week.avgIceThickness != null)
+                .map((week) => ({ x: (week.week - 1) * 7 + 4, y: week.avgIceThickness }))
+            : ((series.find((s) => s.season === summary.season) || { days: [] }).days)
+                .filter((day) => day.iceThickness.avg != null)
+                .map((day) => ({ x: day.dayOfSeason, y: day.iceThickness.avg }));
+        const color = SEASON_COLORS[index % SEASON_COLORS.length];
+
+        return {
+            label: summary.season,
+            data,
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: index === 0 ? 3 : 1.5,
+            borderDash: SEASON_DASHES[index % SEASON_DASHES.length],
+            pointRadius: mode === 'weekly' ? 3 : 0,
+            tension: 0.3,
+        };
+    });
+}
+
+function renderSeasonTable(summaries) {
+    const body = document.getElementById('seasonTable');
+    if (!body) return;
+    if (!summaries.length) {
+        body.innerHTML = `<tr><td colspan="7" class="loading">${t('seasons.empty')}</td></tr>`;
+        return;
+    }
+
+    body.innerHTML = summaries.map((summary) => `
+        <tr>
+            <th scope="row">${escapeHtml(summary.season)}</th>
+            <td>${formatArchiveDate(summary.openingDate)}</td>
+            <td>${summary.openingDate ? formatArchiveDate(summary.closingDate) : ''}</td>
+            <td>${formatNumber(summary.daysOpen)}</td>
+            <td>${formatNumber(summary.peakIceThickness, 1)}</td>
+            <td>${formatNumber(summary.avgIceThickness, 1)}</td>
+            <td>${formatNumber(summary.freezingDegreeDays, 0)}</td>
+        </tr>
+    `).join('');
+}
+
+function renderSeasonChart(datasets) {
+    const canvas = document.getElementById('seasonChart');
+    if (!canvas) return;
+
+    if (seasonChart) {
+        seasonChart.data.datasets = datasets;
+        seasonChart.update('none');
+    } else {
+        seasonChart = new Chart(canvas, {
+            type: 'line',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                locale: getLocale(),
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: 1,
+                        ticks: { stepSize: 14, callback: (value) => formatSeasonDay(value) },
+                        title: { display: true, text: t('seasons.axis') },
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: { display: true, text: t('axis.iceThickness') },
+                    },
+                },
+                plugins: {
+                    legend: { display: true, position: 'top' },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            title: (items) => (items.length ? formatSeasonDay(items[0].parsed.x) : ''),
+                        },
+                    },
+                },
+            },
+        });
+    }
+    if (refreshSeasonTable) refreshSeasonTable();
+}
+
+function renderSeasonComparison() {
+    if (!seasonData) return;
+    renderSeasonTable(seasonData.summaries);
+    renderSeasonChart(seasonDatasets(seasonData.summaries, seasonData.series, seasonView.mode));
+}
+
+/**
+ * Load the selected location's archived seasons and redraw
+ */
+async function updateSeasonComparison() {
+    if (!seasonView.location) return;
+    try {
+        const [summary, daily] = await Promise.all([
+            fetchSeasons(seasonView.location),
+            fetchSeasons(seasonView.location, '/daily'),
+        ]);
+        seasonData = { summaries: summary.seasons, series: daily.seasons };
+        renderSeasonComparison();
+    } catch (error) {
+        console.error('Error fetching season comparison:', error);
+        const body = document.getElementById('seasonTable');
+        if (body) {
+            body.innerHTML = `<tr><td colspan="7" class="error">${escapeHtml(t('seasons.loadFailed', { error: error.message }))}</td></tr>`;
+        }
+    }
+}
+
+/**
+ * Fill the location picker and wire up the controls; call once locations are loaded
+ */
+function setupSeasonComparison(seasonLocations) {
+    const select = document.getElementById('seasonLocation');
+    const canvas = document.getElementById('seasonChart');
+    if (!select || !canvas || !seasonLocations.length) return;
+
+    seasonLocations.forEach((location) => {
+        select.add(new Option(location.name, location.key));
+    });
+    seasonView.location = seasonLocations[0].key;
+    select.addEventListener('change', () => {
+        seasonView.location = select.value;
+        updateSeasonComparison();
+    });
+
+    document.querySelectorAll('#seasonMode [data-season-mode]').forEach((button) => {
+        button.addEventListener('click', () => {
+            seasonView.mode = button.dataset.seasonMode;
+            document.querySelectorAll('#seasonMode [data-season-mode]').forEach((b) => {
+                b.classList.toggle('active', b === button);
+                b.setAttribute('aria-pressed', String(b === button));
+            });
+            renderSeasonComparison();
+        });
+    });
+
+    refreshSeasonTable = makeChartAccessible(canvas, () => seasonChart, {
+        title: t('seasons.chartTitle'),
+        xLabel: t('seasons.axis'),
+        formatX: formatSeasonDay,
+    });
+    updateSeasonComparison();
+}
@@ -0,0 +1,156 @@
+/**
+ * Rideau Canal Dashboard - Service Worker
+ * Caches the app shell and the last response of each dashboard API request
+ * (up to MAX_API_ENTRIES, for at most a week),
+ * so the dashboard still opens (with the last data seen) without a network.
+ */
+
+// Bump when the app shell changes so old caches are dropped
+const CACHE_VERSION = 'v6';
+const SHELL_CACHE = `rideau-shell-${CACHE_VERSION}`;
+const API_CACHE = `rideau-api-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    '/',
+    '/location.html',
+    '/styles.css',
+    '/i18n.js',
+    '/common.js',
+    '/a11y.js',
+    '/map.js',
+    '/seasons.js',
+    '/app.js',
+    '/location.js',
+    '/vendor/chart.umd.js',
+    '/vendor/chartjs-adapter-date-fns.bundle.min.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+];
+
+// Read-only endpoints whose last response is kept for offline use
+const CACHED_API = /^\/api\/(data|status|locations|safety-rules|history|forecast|stats|windows|annotations)(\/|$)/;
+
+// Set on responses served from the API cache: when the response was fetched
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+// Set by the server on responses for operators, which must not outlive the session
+const OPERATOR_VIEW_HEADER = 'X-Operator-View';
+
+// Bounds on the API cache; each history range or forecast horizon is its own entry
+const MAX_API_ENTRIES = 100;
+const MAX_API_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key !== SHELL_CACHE && key !== API_CACHE)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Cache key for an API request, ignoring the cache-busting "t" parameter
+ */
+function apiCacheKey(request) {
+    const url = new URL(request.url);
+    url.searchParams.delete('t');
+    // Responses differ by language (localized location names)
+    url.searchParams.set('lang', request.headers.get('Accept-Language') || 'en');
+    return url.toString();
+}
+
+/**
+ * Drop API cache entries beyond MAX_API_ENTRIES, oldest first. Keys come
+ * back in insertion order and put() re-inserts, so the front is the oldest.
+ */
+async function trimApiCache(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_API_ENTRIES)).map((key) => cache.delete(key)));
+}
+
+/**
+ * Whether a cached response is too old to show
+ */
+function isExpired(response) {
+    const cachedAt = Date.parse(response.headers.get(CACHED_AT_HEADER));
+    return !Number.isFinite(cachedAt) || Date.now() - cachedAt > MAX_API_AGE_MS;
+}
+
+/**
+ * Network first; on success keep a copy stamped with the fetch time (unless
+ * it was an operator's view), offline fall back to that copy unless it has expired
+ */
+async function handleApiRequest(request) {
+    const cache = await caches.open(API_CACHE);
+    const key = apiCacheKey(request);
+    try {
+        const response = await fetch(request);
+        if (response.ok && !response.headers.has(OPERATOR_VIEW_HEADER)) {
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, new Date().toISOString());
+            const body = await response.clone().blob();
+            await cache.put(key, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+            await trimApiCache(cache);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached && !isExpired(cached)) return cached;
+        if (cached) await cache.delete(key);
+        throw error;
+    }
+}
+
+/**
+ * Pages and static files: network first so deployments show up straight
+ * away, the shell cache when offline. Location pages share one document.
+ */
+async function handleShellRequest(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && (request.mode === 'navigate' || APP_SHELL.includes(new URL(request.url).pathname))) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const url = new URL(request.url);
+        const fallback = request.mode === 'navigate' && url.pathname.startsWith('/location/') ? '/location.html' : request;
+        const cached = await caches.match(fallback, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Signing out drops cached data so nothing seen while signed in is shown afterwards
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'sign-out') {
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        // Live stream, auth, exports and operator views always go to the network
+        if (CACHED_API.test(url.pathname)) event.respondWith(handleApiRequest(request));
+        return;
+    }
+
+    event.respondWith(handleShellRequest(request));
+});
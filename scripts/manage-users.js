@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Manage local dashboard users and API keys (AUTH_FILE, default data/auth.json)
+ *
+ *   npm run users -- add-user <username> <role>     prompts for a password
+ *   npm run users -- add-key <name> <role>          prints a new API key once
+ *   npm run users -- remove <username|key name>
+ *   npm run users -- list
+ */
+const readline = require('readline');
+require('dotenv').config();
+const {
+    ROLES,
+    hashPassword,
+    hashApiKey,
+    generateApiKey,
+    loadAuthFile,
+    saveAuthFile
+} = require('../lib/auth');
+
+const authFile = process.env.AUTH_FILE || "data/auth.json";
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+function checkRole(role) {
+    if (!ROLES.includes(role)) fail(`Role must be one of: ${ROLES.join(", ")}`);
+}
+
+function promptPassword(question) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const [command, name, role] = process.argv.slice(2);
+    const data = loadAuthFile(authFile);
+
+    switch (command) {
+        case "add-user": {
+            if (!name) fail("Usage: add-user <username> <role>");
+            checkRole(role);
+            const password = process.env.USER_PASSWORD || await promptPassword(`Password for ${name}: `);
+            if (password.length < 12) fail("Password must be at least 12 characters");
+
+            data.users = data.users.filter(u => u.username !== name);
+            data.users.push({ username: name, role, passwordHash: await hashPassword(password) });
+            saveAuthFile(authFile, data);
+            console.log(`Saved user ${name} (${role}) to ${authFile}`);
+            break;
+        }
+
+        case "add-key": {
+            if (!name) fail("Usage: add-key <name> <role>");
+            checkRole(role);
+            const key = generateApiKey();
+
+            data.apiKeys = data.apiKeys.filter(k => k.name !== name);
+            data.apiKeys.push({ name, role, keyHash: hashApiKey(key) });
+            saveAuthFile(authFile, data);
+            console.log(`Saved API key ${name} (${role}) to ${authFile}`);
+            console.log(`Key (shown once): ${key}`);
+            break;
+        }
+
+        case "remove": {
+            if (!name) fail("Usage: remove <username|key name>");
+            data.users = data.users.filter(u => u.username !== name);
+            data.apiKeys = data.apiKeys.filter(k => k.name !== name);
+            saveAuthFile(authFile, data);
+            console.log(`Removed ${name}`);
+            break;
+        }
+
+        case "list":
+            data.users.forEach(u => console.log(`user  ${u.username} (${u.role})`));
+            data.apiKeys.forEach(k => console.log(`key   ${k.name} (${k.role})`));
+            break;
+
+        default:
+            fail("Commands: add-user <username> <role>, add-key <name> <role>, remove <name>, list");
+    }
+}
+
+main();
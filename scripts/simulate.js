@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Generate synthetic aggregation documents for the configured locations
+ *
+ *   npm run simulate -- [options]
+ *
+ *   --backfill <hours>   history to generate before now (default 24)
+ *   --follow             keep writing one window per aggregation interval
+ *   --seed <n>           reproduce a previous run
+ *   --url <base url>     POST to a running dashboard's /api/ingest instead of
+ *                        writing the store directly (key from --api-key or SIMULATOR_API_KEY)
+ *   --allow-cosmos       permit writing synthetic data to Cosmos DB
+ *
+ * Without --url, documents go to the store selected by DATA_SOURCE.
+ */
+require('dotenv').config();
+const { createDataSource } = require('../lib/datasource');
+const { loadLocationRegistry } = require('../lib/locations');
+const { loadSafetyClassifier } = require('../lib/safety');
+const { createSimulator, runSimulator } = require('../lib/simulator');
+const { postJson } = require('../lib/http');
+const { MAX_INGEST_DOCUMENTS } = require('../lib/ingest');
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    const options = { backfill: 24, follow: false, seed: undefined, url: null, apiKey: null, allowCosmos: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) fail(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case "--backfill": options.backfill = Number(value()); break;
+            case "--follow": options.follow = true; break;
+            case "--seed": options.seed = parseInt(value(), 10); break;
+            case "--url": options.url = value().replace(/\/$/, ""); break;
+            case "--api-key": options.apiKey = value(); break;
+            case "--allow-cosmos": options.allowCosmos = true; break;
+            default: fail(`Unknown option ${arg} (see the header of scripts/simulate.js)`);
+        }
+    }
+    if (!Number.isFinite(options.backfill) || options.backfill < 0) fail("--backfill must be a number of hours");
+    return options;
+}
+
+// Writes go either straight to the data source or through the ingest endpoint
+function createStore(options) {
+    if (options.url) {
+        const apiKey = options.apiKey || process.env.SIMULATOR_API_KEY;
+        if (!apiKey) fail("--url needs an operator API key (--api-key or SIMULATOR_API_KEY)");
+        return async (docs) => {
+            for (let i = 0; i < docs.length; i += MAX_INGEST_DOCUMENTS) {
+                await postJson(`${options.url}/api/ingest`, docs.slice(i, i + MAX_INGEST_DOCUMENTS), {
+                    timeoutMs: 30000,
+                    headers: { "X-API-Key": apiKey }
+                });
+            }
+            console.log(`Posted ${docs.length} documents to ${options.url}`);
+        };
+    }
+
+    const dataSource = createDataSource();
+    if (dataSource.type === "memory") {
+        fail("DATA_SOURCE=memory only lives inside the server; use SIMULATOR=true there, or --url");
+    }
+    if (dataSource.type === "cosmos" && !options.allowCosmos) {
+        fail("DATA_SOURCE is cosmos; pass --allow-cosmos to write synthetic data there");
+    }
+    return async (docs) => {
+        await dataSource.insertDocuments(docs);
+        console.log(`Stored ${docs.length} documents (${dataSource.type})`);
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const windowMs = (parseInt(process.env.AGGREGATION_WINDOW_SECONDS) || 300) * 1000;
+    const seed = options.seed ?? Math.floor(Math.random() * 2 ** 31);
+    const locations = loadLocationRegistry().list();
+
+    console.log(`Simulating ${locations.length} locations, seed ${seed}`);
+    const simulator = createSimulator({ locations, windowMs, seed, classify: loadSafetyClassifier().classify });
+    const store = createStore(options);
+
+    if (!options.follow) {
+        const now = Date.now();
+        store(simulator.windowsBetween(now - options.backfill * 60 * 60 * 1000, now))
+            .catch(err => fail(`Simulation failed: ${err.message}`));
+        return;
+    }
+
+    const runner = runSimulator({
+        simulator,
+        store,
+        windowMs,
+        backfillMs: options.backfill * 60 * 60 * 1000,
+        onError: err => console.error("Simulation failed:", err.message)
+    });
+    // The runner's timer doesn't hold the process open on its own
+    const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+    process.on("SIGINT", () => {
+        runner.stop();
+        clearInterval(keepAlive);
+    });
+}
+
+main();
@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ADMIN_KEY, useTempState, startApp } = require('./helpers');
+const { createAlertEngine, createAlertStore } = require('../lib/alerts');
+const { createWebhookNotifier, createEmailNotifier } = require('../lib/alerts/notifiers');
+
+const WINDOW_MS = 5 * 60 * 1000;
+const START = Date.parse("2026-01-15T12:00:00Z");
+
+let stateDir;
+before(() => {
+    stateDir = useTempState();
+});
+after(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+// Reading for the window `index` windows after START
+function reading(index, values = {}) {
+    return {
+        timestamp: new Date(START + index * WINDOW_MS).toISOString(),
+        avgIceThickness: 35,
+        avgSurfaceTemperature: -5,
+        safetyStatus: "Safe",
+        ...values
+    };
+}
+
+// Engine with an in-memory store and a notifier recording what it was sent
+function createTestEngine(rules, { cooldownMinutes = 0, getWindows } = {}) {
+    let time = START;
+    const sent = [];
+    const engine = createAlertEngine({
+        config: { cooldownMinutes, rules },
+        notifiers: [{ name: "test", send: async alert => sent.push(alert) }],
+        store: createAlertStore(),
+        getWindows,
+        now: () => time
+    });
+    return { engine, sent, advance: ms => (time += ms) };
+}
+
+describe("alert engine", () => {
+    it("evaluates every window since the last poll", async () => {
+        const windows = [reading(0), reading(1, { avgSurfaceTemperature: 2 }), reading(2, { avgSurfaceTemperature: 3 })];
+        const { engine, sent } = createTestEngine(
+            [{ id: "warm", type: "surfaceTemperatureAbove", threshold: 0, consecutiveWindows: 3 }],
+            { getWindows: async (location, from, to) => windows.filter(w => new Date(w.timestamp) >= from && new Date(w.timestamp) <= to) }
+        );
+
+        await engine.handlePoll({ nac: reading(0) });
+        // Windows 1 and 2 arrived between polls; only window 3 is the latest
+        await engine.handlePoll({ nac: reading(3, { avgSurfaceTemperature: 4 }) });
+
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].message, /for 3 consecutive windows/);
+        assert.equal(sent[0].reading.timestamp, reading(3).timestamp);
+    });
+
+    it("evaluates the latest window when earlier ones can't be read", async () => {
+        const { engine, sent } = createTestEngine(
+            [{ id: "thin", type: "iceThicknessBelow", threshold: 25 }],
+            { getWindows: async () => {
+                throw new Error("query failed");
+            } }
+        );
+        await engine.handlePoll({ nac: reading(0) });
+        await engine.handlePoll({ nac: reading(2, { avgIceThickness: 20 }) });
+        assert.deepEqual(sent.map(a => a.state), ["triggered"]);
+    });
+
+    it("doesn't report a resolution for a trigger suppressed by the cooldown", async () => {
+        const { engine, advance } = createTestEngine([{ id: "thin", type: "iceThicknessBelow", threshold: 25 }], { cooldownMinutes: 30 });
+        const thin = { avgIceThickness: 20 };
+
+        await engine.handleReading("nac", reading(0, thin));
+        advance(WINDOW_MS);
+        await engine.handleReading("nac", reading(1));
+        advance(WINDOW_MS);
+        await engine.handleReading("nac", reading(2, thin));
+        assert.deepEqual(engine.activeAlerts(), [{ ruleId: "thin", location: "nac" }]);
+        advance(WINDOW_MS);
+        await engine.handleReading("nac", reading(3));
+
+        assert.deepEqual(engine.history().map(a => a.state).reverse(), ["triggered", "resolved"]);
+        assert.deepEqual(engine.activeAlerts(), []);
+    });
+
+    it("leaves readings flagged as implausible out of the rules", async () => {
+        const { engine, sent } = createTestEngine([
+            { id: "thin", type: "iceThicknessBelow", threshold: 25 },
+            { id: "status", type: "statusTransition" }
+        ]);
+        const glitch = { avgIceThickness: -3, safetyStatus: "Unsafe", anomalies: [{ metric: "avgIceThickness" }] };
+
+        await engine.handleReading("nac", reading(0));
+        await engine.handleReading("nac", reading(1, glitch));
+        await engine.handleReading("nac", reading(2));
+        assert.deepEqual(sent, []);
+
+        await engine.handleReading("nac", reading(3, { safetyStatus: "Caution" }));
+        assert.deepEqual(sent.map(a => a.message), ["nac: safety status changed from Safe to Caution"]);
+    });
+
+    it("keeps rule ids and locations containing colons apart", async () => {
+        const { engine } = createTestEngine([{ id: "ice:thin", type: "iceThicknessBelow", threshold: 25 }]);
+        await engine.handleReading("segment:north", reading(0, { avgIceThickness: 20 }));
+        assert.deepEqual(engine.activeAlerts(), [{ ruleId: "ice:thin", location: "segment:north" }]);
+    });
+});
+
+describe("notifiers", () => {
+    const alert = {
+        ruleId: "thin-ice",
+        severity: "critical",
+        state: "triggered",
+        location: "nac",
+        locationName: "NAC",
+        message: "NAC: ice thickness 20.0 cm is below 25 cm",
+        timestamp: "2026-01-15T12:00:00.000Z"
+    };
+
+    // Local HTTP server recording JSON bodies and answering with `status`
+    async function startReceiver(status = 200) {
+        const received = [];
+        const server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", chunk => (body += chunk));
+            req.on("end", () => {
+                received.push({ headers: req.headers, body: JSON.parse(body) });
+                res.writeHead(status).end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        return {
+            received,
+            url: `http://127.0.0.1:${server.address().port}/hook`,
+            close: () => new Promise(resolve => server.close(resolve))
+        };
+    }
+
+    it("posts alerts to every webhook", async () => {
+        const receiver = await startReceiver();
+        try {
+            await createWebhookNotifier([receiver.url, receiver.url]).send(alert);
+            assert.equal(receiver.received.length, 2);
+            assert.equal(receiver.received[0].headers["content-type"], "application/json");
+            assert.equal(receiver.received[0].body.text, "[CRITICAL] NAC: ice thickness 20.0 cm is below 25 cm");
+            assert.deepEqual(receiver.received[0].body.alert, alert);
+        } finally {
+            await receiver.close();
+        }
+    });
+
+    it("fails when a webhook answers with an error", async () => {
+        const receiver = await startReceiver(500);
+        try {
+            await assert.rejects(createWebhookNotifier([receiver.url]).send(alert), /responded with HTTP 500/);
+        } finally {
+            await receiver.close();
+        }
+    });
+
+    it("emails alerts through the transporter", async () => {
+        const mails = [];
+        const notifier = createEmailNotifier({
+            from: "dashboard@example.org",
+            to: "ops@example.org",
+            transporter: { sendMail: async mail => mails.push(mail) }
+        });
+
+        await notifier.send(alert);
+        await notifier.send({ ...alert, state: "resolved" });
+        assert.equal(mails[0].to, "ops@example.org");
+        assert.equal(mails[0].subject, "[Rideau Canal CRITICAL] NAC: thin-ice");
+        assert.match(mails[0].text, /^NAC: ice thickness 20\.0 cm is below 25 cm\n/);
+        assert.equal(mails[1].subject, "[Rideau Canal Resolved] NAC: thin-ice");
+    });
+});
+
+describe("POST /api/alerts/test", () => {
+    it("answers 500 when the alert can't be recorded", async () => {
+        const historyFile = process.env.ALERT_HISTORY_FILE;
+        // A directory that can't be created, as the parent is a file
+        process.env.ALERT_HISTORY_FILE = path.join(process.env.AUTH_FILE, "alerts.ndjson");
+        const api = await startApp([]);
+        try {
+            const { status, body } = await api.post("/api/alerts/test", {}, { "X-API-Key": ADMIN_KEY });
+            assert.equal(status, 500);
+            assert.equal(body.error, "Internal server error");
+        } finally {
+            process.env.ALERT_HISTORY_FILE = historyFile;
+            await api.close();
+        }
+    });
+});
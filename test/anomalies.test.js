@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { WINDOW_MS } = require('./helpers');
+const { loadAnomalyDetector } = require('../lib/anomalies');
+
+const detector = loadAnomalyDetector({ windowMs: WINDOW_MS });
+
+function live(values) {
+    return {
+        timestamp: "2026-01-15T12:00:00.000Z",
+        avgIceThickness: 30,
+        avgSurfaceTemperature: -5,
+        avgExternalTemperature: -10,
+        health: { state: "Live" },
+        ...values
+    };
+}
+
+describe("flagOutliers", () => {
+    it("flags a reading far from the other locations", () => {
+        const result = detector.flagOutliers({
+            "dows-lake": live(),
+            "fifth-avenue": live({ avgIceThickness: 32 }),
+            "pretoria-bridge": live({ avgIceThickness: 31 }),
+            nac: live({ avgIceThickness: 60 })
+        });
+        assert.deepEqual(result.nac.anomalies.map(a => [a.metric, a.type, a.median]), [["avgIceThickness", "outlier", 31]]);
+        assert.equal(result["dows-lake"].anomalies, undefined);
+    });
+
+    it("leaves peers' readings flagged on the same metric out of the median", () => {
+        // Without the exclusion, NAC's out-of-range temperature drags the median to 27.5 °C
+        // and both healthy locations are flagged as outliers
+        const [nac] = detector.flagSeries([live({ avgSurfaceTemperature: 60 })]);
+        assert.equal(nac.anomalies[0].type, "range");
+
+        const result = detector.flagOutliers({
+            "dows-lake": live(),
+            "fifth-avenue": live({ avgSurfaceTemperature: -6 }),
+            nac
+        });
+        assert.equal(result["dows-lake"].anomalies, undefined);
+        assert.equal(result["fifth-avenue"].anomalies, undefined);
+        assert.deepEqual(result.nac.anomalies.map(a => a.type), ["range"]);
+    });
+});
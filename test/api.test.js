@@ -0,0 +1,505 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const {
+    ADMIN_KEY,
+    VIEWER_KEY,
+    useTempState,
+    makeDoc,
+    makeSeries,
+    createFailingDataSource,
+    startApp
+} = require('./helpers');
+const { createMemoryDataSource } = require('../lib/datasource');
+
+const LOCATIONS = ["dows-lake", "fifth-avenue", "nac"];
+
+let stateDir;
+before(() => {
+    stateDir = useTempState();
+});
+after(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+// Run fn against an app serving `source`, closing it afterwards
+async function withApp(source, fn) {
+    const api = await startApp(source);
+    try {
+        await fn(api);
+    } finally {
+        await api.close();
+    }
+}
+
+// One current window per location, with per-location overrides
+function latestDocs(overrides = {}) {
+    return LOCATIONS.map(key => makeDoc(key, 0, overrides[key]));
+}
+
+describe("GET /api/data", () => {
+    it("returns the latest reading for every configured location", async () => {
+        const docs = LOCATIONS.flatMap(key => makeSeries(key, 3));
+        await withApp(docs, async (api) => {
+            const { status, body } = await api.get("/api/data");
+            assert.equal(status, 200);
+            assert.deepEqual(Object.keys(body).sort(), LOCATIONS);
+            for (const key of LOCATIONS) {
+                assert.equal(body[key].location, key);
+                assert.equal(body[key].timestamp, docs.filter(d => d.location === key).pop().windowEnd);
+                assert.equal(body[key].safetyStatus, "Safe");
+                assert.equal(body[key].health.state, "Live");
+            }
+        });
+    });
+
+    it("matches documents stored under a location alias", async () => {
+        const docs = [makeDoc("Dow's Lake", 0, { avgIceThickness: 41.5 }), makeDoc("nac")];
+        await withApp(docs, async (api) => {
+            const { body } = await api.get("/api/data");
+            assert.equal(body["dows-lake"].location, "dows-lake");
+            assert.equal(body["dows-lake"].avgIceThickness, 41.5);
+            assert.equal(body["fifth-avenue"], undefined);
+        });
+    });
+
+    it("returns an empty object when there is no data", async () => {
+        await withApp([], async (api) => {
+            const { status, body } = await api.get("/api/data");
+            assert.equal(status, 200);
+            assert.deepEqual(body, {});
+        });
+    });
+
+    it("returns 503 when the data source fails with nothing to fall back on", async () => {
+        await withApp(createFailingDataSource(), async (api) => {
+            const { status, body } = await api.get("/api/data");
+            assert.equal(status, 503);
+            assert.match(body.error, /unavailable/);
+        });
+    });
+
+    it("treats failed queries as an outage before the circuit opens", async () => {
+        const threshold = process.env.CIRCUIT_FAILURE_THRESHOLD;
+        process.env.CIRCUIT_FAILURE_THRESHOLD = "20";
+        try {
+            await withApp(createFailingDataSource(), async (api) => {
+                assert.equal((await api.get("/api/data")).status, 503);
+                assert.equal((await api.get("/api/data/nac")).status, 503);
+                const status = (await api.get("/api/status")).body;
+                assert.equal(status.degraded, true);
+                assert.equal(status.unavailableLocations, 3);
+            });
+        } finally {
+            if (threshold === undefined) delete process.env.CIRCUIT_FAILURE_THRESHOLD;
+            else process.env.CIRCUIT_FAILURE_THRESHOLD = threshold;
+        }
+    });
+});
+
+describe("authentication", () => {
+    it("ignores cookies that aren't URI-encoded", async () => {
+        await withApp(latestDocs(), async (api) => {
+            const headers = { Cookie: "foo=100%; theme=dark" };
+            assert.equal((await api.get("/api/locations", headers)).status, 200);
+            assert.equal((await api.get("/api/data", headers)).status, 200);
+            assert.equal((await api.get("/api/auth/me", headers)).body.role, "viewer");
+        });
+    });
+
+    it("throttles sign-in attempts per client", async () => {
+        process.env.LOGIN_RATE_LIMIT = "2";
+        try {
+            await withApp([], async (api) => {
+                const attempt = () => api.post("/api/auth/login", { username: "nobody", password: "wrong" });
+                assert.equal((await attempt()).status, 401);
+                assert.equal((await attempt()).status, 401);
+                const throttled = await attempt();
+                assert.equal(throttled.status, 429);
+                assert.ok(Number(throttled.headers.get("Retry-After")) > 0);
+            });
+        } finally {
+            delete process.env.LOGIN_RATE_LIMIT;
+        }
+    });
+});
+
+describe("operator overrides", () => {
+    it("marks responses for operators so they aren't cached offline", async () => {
+        await withApp([], async (api) => {
+            assert.equal((await api.get("/api/annotations")).headers.get("x-operator-view"), null);
+            assert.equal((await api.get("/api/annotations", { "X-API-Key": VIEWER_KEY })).headers.get("x-operator-view"), null);
+            assert.equal((await api.get("/api/annotations", { "X-API-Key": ADMIN_KEY })).headers.get("x-operator-view"), "true");
+        });
+    });
+
+    it("shows who set an override to operators only", async () => {
+        await withApp(latestDocs(), async (api) => {
+            const created = await api.post("/api/overrides",
+                { location: "nac", status: "Closed", reason: "Resurfacing", durationMinutes: 60 },
+                { "X-API-Key": ADMIN_KEY });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.createdBy, "admin");
+
+            try {
+                const [anonymous] = (await api.get("/api/overrides")).body;
+                assert.equal(anonymous.reason, "Resurfacing");
+                assert.equal(anonymous.createdBy, undefined);
+                assert.equal((await api.get("/api/overrides", { "X-API-Key": ADMIN_KEY })).body[0].createdBy, "admin");
+
+                const { body } = await api.get("/api/data/nac");
+                assert.equal(body.safetyStatus, "Closed");
+                assert.equal(body.override.createdBy, undefined);
+            } finally {
+                // Overrides are stored with the rest of the test state; later tests expect none
+                await api.request("DELETE", `/api/overrides/${created.body.id}`, { headers: { "X-API-Key": ADMIN_KEY } });
+            }
+        });
+    });
+});
+
+describe("GET /api/data/:location", () => {
+    it("returns one location's latest reading with safety and health", async () => {
+        const docs = [...makeSeries("fifth-avenue", 2), makeDoc("nac")];
+        await withApp(docs, async (api) => {
+            const { status, body } = await api.get("/api/data/fifth-avenue");
+            assert.equal(status, 200);
+            assert.equal(body.location, "fifth-avenue");
+            assert.equal(body.timestamp, docs[1].windowEnd);
+            assert.equal(body.computedSafetyStatus, "Safe");
+            assert.equal(body.safetyDisagreement, false);
+            assert.equal(body.health.state, "Live");
+        });
+    });
+
+    it("finds a location stored under its alias by registry key", async () => {
+        await withApp([makeDoc("Fifth Avenue")], async (api) => {
+            const { status, body } = await api.get("/api/data/fifth-avenue");
+            assert.equal(status, 200);
+            assert.equal(body.location, "fifth-avenue");
+        });
+    });
+
+    it("returns 404 for a location without data", async () => {
+        await withApp([makeDoc("nac")], async (api) => {
+            assert.equal((await api.get("/api/data/dows-lake")).status, 404);
+            assert.equal((await api.get("/api/data/no-such-place")).status, 404);
+        });
+    });
+
+    it("returns 503 when the data source is unavailable", async () => {
+        await withApp(createFailingDataSource(), async (api) => {
+            const { status, body } = await api.get("/api/data/nac");
+            assert.equal(status, 503);
+            assert.match(body.error, /unavailable/);
+        });
+    });
+});
+
+describe("GET /api/history/:location", () => {
+    const docs = [...makeSeries("dows-lake", 24), ...makeSeries("nac", 24, { avgIceThickness: 30 })];
+
+    it("returns raw windows for the last hour, oldest first", async () => {
+        await withApp(docs, async (api) => {
+            const { status, body } = await api.get("/api/history/dows-lake");
+            assert.equal(status, 200);
+            // Windows ending within the last hour: the current one and the 12 before it
+            assert.ok(body.length >= 12 && body.length <= 13, `got ${body.length} points`);
+            assert.ok(body.every(point => point.location === "dows-lake"));
+            const times = body.map(point => new Date(point.timestamp).getTime());
+            assert.deepEqual(times, [...times].sort((a, b) => a - b));
+        });
+    });
+
+    it("honours hours and metric selection", async () => {
+        await withApp(docs, async (api) => {
+            const { body } = await api.get("/api/history/nac?hours=2&metrics=avgIceThickness");
+            assert.equal(body.length, 24);
+            assert.equal(body[0].avgIceThickness, 30);
+            assert.equal(body[0].avgSurfaceTemperature, undefined);
+        });
+    });
+
+    it("aggregates into buckets", async () => {
+        await withApp(docs, async (api) => {
+            const { status, headers, body } = await api.get("/api/history/dows-lake?hours=2&bucket=1h");
+            assert.equal(status, 200);
+            assert.equal(headers.get("x-history-bucket"), "1h");
+            assert.ok(body.length >= 2 && body.length <= 3);
+            assert.equal(body.reduce((sum, point) => sum + point.count, 0), 24);
+        });
+    });
+
+    it("matches documents stored under a location alias", async () => {
+        await withApp(makeSeries("Dow's Lake", 3), async (api) => {
+            const { body } = await api.get("/api/history/dows-lake");
+            assert.equal(body.length, 3);
+        });
+    });
+
+    it("returns an empty list when there is no data", async () => {
+        await withApp([], async (api) => {
+            const { status, body } = await api.get("/api/history/nac");
+            assert.equal(status, 200);
+            assert.deepEqual(body, []);
+        });
+    });
+
+    it("rejects invalid queries with 400", async () => {
+        await withApp(docs, async (api) => {
+            for (const query of ["hours=-1", "bucket=often", "metrics=depth", "from=yesterday", "hours=1&from=2025-01-01T00:00:00Z"]) {
+                const { status, body } = await api.get(`/api/history/nac?${query}`);
+                assert.equal(status, 400, query);
+                assert.ok(body.error, query);
+            }
+        });
+    });
+
+    it("rejects ranges longer than the maximum span", async () => {
+        await withApp(docs, async (api) => {
+            for (const path of ["/api/history/nac?from=1970-01-01T00:00:00Z", "/api/v1/history/nac?hours=10000"]) {
+                const { status, body } = await api.get(path);
+                assert.equal(status, 400, path);
+                assert.match(body.error, /at most 366 days/);
+            }
+        });
+    });
+
+    it("returns 503 when the data source is unavailable", async () => {
+        await withApp(createFailingDataSource(), async (api) => {
+            assert.equal((await api.get("/api/history/nac")).status, 503);
+        });
+    });
+});
+
+describe("GET /api/status", () => {
+    async function statusFor(docs) {
+        let result;
+        await withApp(docs, async (api) => {
+            result = (await api.get("/api/status")).body;
+        });
+        return result;
+    }
+
+    it("reports No Data without any readings", async () => {
+        const status = await statusFor([]);
+        assert.equal(status.systemStatus, "No Data");
+        assert.equal(status.totalLocations, 0);
+        assert.equal(status.lastUpdate, null);
+    });
+
+    it("is Safe when every location is Safe", async () => {
+        const docs = latestDocs();
+        const status = await statusFor(docs);
+        assert.equal(status.systemStatus, "Safe");
+        assert.equal(status.totalLocations, 3);
+        assert.equal(status.safeLocations, 3);
+        assert.equal(status.lastUpdate, docs[0].windowEnd);
+        assert.equal(status.degraded, false);
+    });
+
+    it("is Unsafe when any location is Unsafe", async () => {
+        const status = await statusFor(latestDocs({
+            nac: { avgIceThickness: 22 },
+            "fifth-avenue": { avgIceThickness: 27, avgSurfaceTemperature: -1 }
+        }));
+        assert.equal(status.systemStatus, "Unsafe");
+        assert.equal(status.unsafeLocations, 1);
+        assert.equal(status.cautionLocations, 1);
+        assert.equal(status.safeLocations, 1);
+    });
+
+    it("is Caution when the worst location is Caution", async () => {
+        const status = await statusFor(latestDocs({ nac: { avgIceThickness: 27, avgSurfaceTemperature: -1 } }));
+        assert.equal(status.systemStatus, "Caution");
+        assert.equal(status.cautionLocations, 1);
+    });
+
+    it("treats old readings as Stale rather than Safe", async () => {
+        const docs = [makeDoc("dows-lake"), makeDoc("fifth-avenue"), makeDoc("nac", 4)];
+        const status = await statusFor(docs);
+        assert.equal(status.systemStatus, "Stale");
+        assert.equal(status.staleLocations, 1);
+        assert.equal(status.safeLocations, 2);
+        assert.equal(status.locations.nac.health.state, "Stale");
+    });
+
+    it("is Offline when every location is Offline", async () => {
+        const status = await statusFor(LOCATIONS.map(key => makeDoc(key, 13)));
+        assert.equal(status.systemStatus, "Offline");
+        assert.equal(status.offlineLocations, 3);
+    });
+
+    it("counts locations where the pipeline and the dashboard rules disagree", async () => {
+        const status = await statusFor(latestDocs({ nac: { safetyStatus: "Unsafe" } }));
+        assert.equal(status.disagreements, 1);
+        assert.equal(status.systemStatus, "Safe");
+        assert.equal(status.locations.nac.upstreamSafetyStatus, "Unsafe");
+    });
+
+    it("counts readings flagged as implausible", async () => {
+        const status = await statusFor(latestDocs({ nac: { avgSurfaceTemperature: 60 } }));
+        assert.equal(status.anomalousLocations, 1);
+        assert.equal(status.locations.nac.anomalies[0].metric, "avgSurfaceTemperature");
+    });
+
+    it("flags the status as degraded when the data source is unavailable", async () => {
+        const status = await statusFor(createFailingDataSource());
+        assert.equal(status.systemStatus, "No Data");
+        assert.equal(status.degraded, true);
+    });
+});
+
+describe("localized location names", () => {
+    it("negotiates the language from Accept-Language", () => {
+        const { negotiateLanguage } = require('../lib/i18n');
+        assert.equal(negotiateLanguage(undefined), "en");
+        assert.equal(negotiateLanguage("fr-CA,fr;q=0.9,en;q=0.8"), "fr");
+        assert.equal(negotiateLanguage("de-DE,en;q=0.5,fr;q=0.7"), "fr");
+        assert.equal(negotiateLanguage("fr;q=0,en"), "en");
+        assert.equal(negotiateLanguage("de, *;q=0.1"), "en");
+    });
+
+    it("returns French display names when asked for", async () => {
+        await withApp(latestDocs(), async (api) => {
+            const { headers, body } = await api.get("/api/locations", { "Accept-Language": "fr-CA" });
+            assert.equal(headers.get("content-language"), "fr");
+            assert.match(headers.get("vary"), /Accept-Language/);
+            assert.deepEqual(body.map(l => l.name), ["Lac Dow", "Cinquième Avenue", "CNA"]);
+
+            const english = await api.get("/api/locations");
+            assert.equal(english.headers.get("content-language"), "en");
+            assert.equal(english.body[0].name, "Dow's Lake");
+
+            const conditions = await api.get("/api/v1/conditions/dows-lake", { "Accept-Language": "fr" });
+            assert.equal(conditions.body.name, "Lac Dow");
+            assert.equal(conditions.body.location, "dows-lake");
+        });
+    });
+});
+
+describe("app shell", () => {
+    it("serves the chart libraries and the manifest locally", async () => {
+        await withApp([], async (api) => {
+            const chart = await api.get("/vendor/chart.umd.js");
+            assert.equal(chart.status, 200);
+            assert.match(chart.headers.get("content-type"), /javascript/);
+            assert.equal((await api.get("/vendor/chartjs-adapter-date-fns.bundle.min.js")).status, 200);
+            assert.equal((await api.get("/vendor/other.js")).status, 404);
+
+            const manifest = await api.get("/manifest.webmanifest");
+            assert.equal(manifest.status, 200);
+            assert.equal(manifest.body.start_url, "/");
+        });
+    });
+});
+
+describe("GET /api/debug", () => {
+    const docs = [...makeSeries("Dow's Lake", 2), makeDoc("nac")];
+
+    it("requires an admin", async () => {
+        await withApp(docs, async (api) => {
+            assert.equal((await api.get("/api/debug")).status, 401);
+            assert.equal((await api.get("/api/debug", { "X-API-Key": VIEWER_KEY })).status, 403);
+            assert.equal((await api.get("/api/debug", { "X-API-Key": "wrong" })).status, 401);
+        });
+    });
+
+    it("describes the data source and the stored locations", async () => {
+        await withApp(docs, async (api) => {
+            const { status, body } = await api.get("/api/debug", { Authorization: `Bearer ${ADMIN_KEY}` });
+            assert.equal(status, 200);
+            assert.equal(body.type, "memory");
+            assert.equal(body.totalDocuments, 3);
+            assert.deepEqual(body.availableLocations.sort(), ["Dow's Lake", "nac"]);
+            assert.equal(body.latestDocuments["Dow's Lake"].normalized.location, "dows-lake");
+            assert.equal(body.circuit.state, "closed");
+        });
+    });
+
+    it("reports query errors", async () => {
+        await withApp(createFailingDataSource("query timed out"), async (api) => {
+            const { status, body } = await api.get("/api/debug", { "X-API-Key": ADMIN_KEY });
+            assert.equal(status, 500);
+            assert.equal(body.error, "query timed out");
+        });
+    });
+});
+
+describe("GET /api/export", () => {
+    const operator = { "X-API-Key": ADMIN_KEY };
+
+    it("streams the requested range as CSV", async () => {
+        await withApp(makeSeries("nac", 3), async (api) => {
+            const { status, headers, body } = await api.get("/api/export?locations=nac&hours=1&metrics=avgIceThickness", operator);
+            assert.equal(status, 200);
+            assert.match(headers.get("content-disposition"), /attachment; filename="rideau-canal-.*\.csv"/);
+            const lines = body.trim().split("\r\n");
+            assert.equal(lines[0], "location,timestamp,avgIceThickness,safetyStatus");
+            assert.equal(lines.length, 4);
+        });
+    });
+
+    it("rejects ranges longer than the export limit", async () => {
+        await withApp([], async (api) => {
+            const { status, body } = await api.get("/api/export?from=1970-01-01T00:00:00Z", operator);
+            assert.equal(status, 400);
+            assert.match(body.error, /at most 366 days/);
+        });
+    });
+
+    it("returns 503 while the data source isn't ready", async () => {
+        const notReady = { ...createMemoryDataSource([]), isReady: () => false };
+        await withApp(notReady, async (api) => {
+            assert.equal((await api.get("/api/export?hours=1", operator)).status, 503);
+            assert.equal((await api.get("/api/history/nac")).status, 503);
+        });
+    });
+});
+
+describe("POST /api/ingest", () => {
+    const operator = { "X-API-Key": ADMIN_KEY };
+
+    it("stores window times as UTC ISO strings", async () => {
+        const older = makeDoc("nac", 1, { avgIceThickness: 31 });
+        const latest = makeDoc("nac", 0, { avgIceThickness: 32 });
+        await withApp([], async (api) => {
+            // Local-time and offset forms of the same instants
+            const offset = new Date(Date.parse(older.windowEnd) + 60 * 60 * 1000).toISOString().replace("Z", "+01:00");
+            const { status } = await api.post("/api/ingest", [
+                { ...latest, windowEnd: new Date(latest.windowEnd).toString() },
+                { ...older, windowEnd: offset }
+            ], operator);
+            assert.equal(status, 201);
+
+            const { body } = await api.get("/api/data/nac");
+            assert.equal(body.timestamp, latest.windowEnd);
+            assert.equal(body.avgIceThickness, 32);
+            const history = (await api.get("/api/history/nac?hours=1")).body;
+            assert.deepEqual(history.map(point => point.timestamp), [older.windowEnd, latest.windowEnd]);
+        });
+    });
+
+    it("rejects client-supplied document ids", async () => {
+        await withApp([], async (api) => {
+            const { status, body } = await api.post("/api/ingest", { ...makeDoc("nac"), id: "custom" }, operator);
+            assert.equal(status, 400);
+            assert.match(body.details[0].errors[0], /unknown fields: id/);
+        });
+    });
+});
+
+describe("GET /api/v1/openapi.json", () => {
+    it("documents parameter limits and outage responses as the routes enforce them", async () => {
+        await withApp([], async (api) => {
+            const { paths } = (await api.get("/api/v1/openapi.json")).body;
+            const history = paths["/api/v1/history/{location}"].get;
+            const hours = history.parameters.find(p => p.name === "hours");
+            assert.deepEqual(hours.schema, { type: "number", minimum: 0, exclusiveMinimum: true });
+            assert.equal((await api.get("/api/v1/history/nac?hours=0")).status, 400);
+            assert.ok(history.responses[503]);
+            assert.ok(paths["/api/v1/conditions/{location}"].get.responses[503]);
+            assert.equal(paths["/api/v1/locations"].get.responses[503], undefined);
+        });
+    });
+});
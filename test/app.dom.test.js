@@ -0,0 +1,437 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const LOCATIONS = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "config", "locations.json"), "utf8"));
+
+/**
+ * Load index.html and the dashboard's own scripts into a fresh window,
+ * without running init() (which needs the server)
+ */
+async function loadDashboard({ language } = {}) {
+    const html = fs.readFileSync(path.join(PUBLIC_DIR, "index.html"), "utf8");
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        // Chart libraries aren't needed to render cards and status
+        .filter(src => !src.startsWith("/vendor/"));
+
+    const dom = new JSDOM(html.replace(/<script\b[^>]*><\/script>/g, ""), {
+        url: "http://localhost/",
+        runScripts: "outside-only"
+    });
+    const { window } = dom;
+    // Scripts run after the page has loaded, so the DOMContentLoaded hook never fires
+    if (window.document.readyState !== "complete") {
+        await new Promise(resolve => window.addEventListener("load", resolve));
+    }
+    // Run as classic scripts so top-level let/const are shared between them, as in a browser
+    if (language) window.localStorage.setItem("rideau-language", language);
+    const context = dom.getInternalVMContext();
+    window.run = code => new vm.Script(code).runInContext(context);
+    for (const src of scripts) {
+        window.run(fs.readFileSync(path.join(PUBLIC_DIR, src), "utf8"));
+    }
+
+    window.run(`
+        locations = ${JSON.stringify(LOCATIONS)};
+        locationNames = Object.fromEntries(locations.map((l) => [l.key, l.name]));
+    `);
+    return window;
+}
+
+function reading(values = {}) {
+    return {
+        location: "nac",
+        timestamp: "2026-01-15T12:00:00.000Z",
+        avgIceThickness: 35.24,
+        avgSurfaceTemperature: -5,
+        maxSnowAccumulation: 2,
+        avgExternalTemperature: -10.5,
+        readingCount: 30,
+        safetyStatus: "Safe",
+        health: { state: "Live", ageSeconds: 60, issues: [] },
+        ...values
+    };
+}
+
+describe("updateLocationCard", () => {
+    let window;
+    let document;
+    beforeEach(async () => {
+        window = await loadDashboard();
+        document = window.document;
+    });
+
+    it("renders a card with the location's readings", () => {
+        window.updateLocationCard("nac", reading());
+
+        const card = document.getElementById("card-nac");
+        assert.ok(card);
+        assert.equal(card.querySelector(".location-name").textContent, "NAC");
+        const badge = card.querySelector(".safety-badge");
+        assert.equal(badge.textContent, "Safe");
+        assert.ok(badge.classList.contains("safe"));
+        assert.equal(card.querySelector(".data-value.ice").textContent, "35.2 cm");
+        assert.equal(card.querySelector(".location-details-link").getAttribute("href"), "/location/nac");
+        assert.equal(card.classList.contains("degraded"), false);
+    });
+
+    it("reuses the existing card on update", () => {
+        window.updateLocationCard("nac", reading());
+        window.updateLocationCard("nac", reading({ safetyStatus: "Unsafe", avgIceThickness: 12 }));
+
+        assert.equal(document.querySelectorAll("#card-nac").length, 1);
+        assert.ok(document.querySelector("#card-nac .safety-badge").classList.contains("unsafe"));
+        assert.equal(document.querySelector("#card-nac .data-value.ice").textContent, "12.0 cm");
+    });
+
+    it("shows a placeholder without data", () => {
+        window.updateLocationCard("dows-lake", null);
+        assert.match(document.getElementById("card-dows-lake").textContent, /No data available for Dow's Lake/);
+    });
+
+    it("marks stale readings with their age and health issues", () => {
+        window.updateLocationCard("nac", reading({
+            health: { state: "Stale", ageSeconds: 1500, issues: ["No new data for 25 minutes", "2 missing windows in recent data"] }
+        }));
+
+        const card = document.getElementById("card-nac");
+        assert.ok(card.classList.contains("degraded"));
+        assert.equal(card.querySelector(".health-banner.stale").textContent.trim(), "Stale – last reading 25 min ago");
+        const issues = [...card.querySelectorAll(".health-issues li")].map(li => li.textContent);
+        assert.deepEqual(issues, ["2 missing windows in recent data"]);
+    });
+
+    it("flags last-known readings served during an outage", () => {
+        window.updateLocationCard("nac", reading({ degraded: true }));
+
+        const card = document.getElementById("card-nac");
+        assert.ok(card.classList.contains("degraded"));
+        assert.ok(card.querySelector(".health-banner.outage"));
+    });
+
+    it("escapes operator override reasons", () => {
+        window.updateLocationCard("nac", reading({
+            safetyStatus: "Closed",
+            override: { status: "Closed", reason: "<img src=x onerror=alert(1)>", expiresAt: "2026-01-16T00:00:00Z" }
+        }));
+
+        const banner = document.querySelector("#card-nac .override-banner");
+        assert.ok(banner.classList.contains("closed"));
+        assert.equal(banner.querySelector("img"), null);
+        assert.match(banner.textContent, /<img src=x onerror=alert\(1\)>/);
+    });
+
+    it("highlights values flagged as anomalous", () => {
+        window.updateLocationCard("nac", reading({
+            avgSurfaceTemperature: 60,
+            anomalies: [{ metric: "avgSurfaceTemperature", type: "range", message: "Surface temperature 60.0 °C is outside the plausible range" }]
+        }));
+
+        const card = document.getElementById("card-nac");
+        assert.equal(card.querySelectorAll(".data-item.anomalous").length, 1);
+        assert.match(card.querySelector(".anomaly-notes").textContent, /outside the plausible range/);
+    });
+});
+
+describe("French translations", () => {
+    it("translates the page and cards and formats numbers for fr-CA", async () => {
+        const window = await loadDashboard({ language: "fr" });
+        const { document } = window;
+
+        assert.equal(document.documentElement.lang, "fr");
+        assert.equal(document.title, "Tableau de bord de surveillance du canal Rideau");
+        assert.equal(document.querySelector('[data-i18n="header.systemStatus"]').textContent, "État du système :");
+        assert.equal(document.getElementById("languageToggle").textContent, "English");
+
+        window.updateLocationCard("nac", reading());
+        const card = document.getElementById("card-nac");
+        assert.equal(card.querySelector(".safety-badge").textContent, "Sécuritaire");
+        assert.equal(card.querySelector(".data-value.ice").textContent, "35,2 cm");
+
+        window.updateLocationCard("dows-lake", null);
+        assert.match(document.getElementById("card-dows-lake").textContent, /Aucune donnée disponible pour Dow's Lake/);
+    });
+
+    it("keeps status classes keyed by the untranslated status", async () => {
+        const window = await loadDashboard({ language: "fr" });
+        window.updateLocationCard("nac", reading({ safetyStatus: "Unsafe" }));
+        const badge = window.document.querySelector("#card-nac .safety-badge");
+        assert.equal(badge.textContent, "Dangereux");
+        assert.ok(badge.classList.contains("unsafe"));
+    });
+});
+
+describe("accessibility", () => {
+    let window;
+    let document;
+    beforeEach(async () => {
+        window = await loadDashboard();
+        document = window.document;
+    });
+
+    it("announces status changes only when they happen", () => {
+        const announcer = document.getElementById("statusAnnouncer");
+        window.updateLocationCard("nac", reading());
+        window.updateLocationCard("nac", reading({ timestamp: "2026-01-15T12:05:00.000Z" }));
+        assert.equal(announcer.textContent, "");
+
+        window.updateLocationCard("nac", reading({ safetyStatus: "Unsafe" }));
+        window.updateSystemStatus({ systemStatus: "Safe" });
+        window.updateSystemStatus({ systemStatus: "Unsafe" });
+        assert.equal(announcer.textContent, "NAC is now Unsafe. System status is now Unsafe");
+    });
+
+    it("leaves unchanged parts of a card in place on refresh", () => {
+        window.updateLocationCard("nac", reading());
+        const readings = document.querySelector("#card-nac .data-item");
+        window.updateLocationCard("nac", reading({ timestamp: "2026-01-15T12:05:00.000Z" }));
+
+        assert.equal(document.querySelector("#card-nac .data-item"), readings);
+        const card = document.getElementById("card-nac");
+        assert.equal(card.getAttribute("aria-labelledby"), "card-nac-name");
+        assert.equal(document.getElementById("card-nac-name").textContent, "NAC");
+    });
+
+    it("moves between cards with the arrow keys", () => {
+        window.updateLocationCard("dows-lake", reading({ location: "dows-lake" }));
+        window.updateLocationCard("nac", reading());
+        const first = document.getElementById("card-dows-lake");
+        first.focus();
+        first.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true }));
+        assert.equal(document.activeElement.id, "card-nac");
+    });
+
+    it("tabulates a chart's visible series", () => {
+        const chart = {
+            data: {
+                datasets: [
+                    { label: "NAC", data: [{ x: 1000, y: 30 }, { x: 2000, y: 31.25, anomalous: true }] },
+                    { label: "Dow's Lake", data: [{ x: 2000, y: 28 }] },
+                    { label: "Hidden", hidden: true, data: [{ x: 3000, y: 1 }] }
+                ]
+            }
+        };
+        const container = document.createElement("div");
+        container.innerHTML = window.chartTableHtml(chart, { title: "Ice", xLabel: "Time", formatX: String });
+
+        const headers = [...container.querySelectorAll("thead th")].map(th => th.textContent);
+        assert.deepEqual(headers, ["Time", "NAC", "Dow's Lake"]);
+        const rows = [...container.querySelectorAll("tbody tr")].map(tr => [...tr.children].map(cell => cell.textContent.trim()));
+        assert.deepEqual(rows, [["1000", "30.0", ""], ["2000", "31.3 ⚠", "28.0"]]);
+    });
+
+    it("remembers the high-contrast theme", () => {
+        const toggle = document.getElementById("contrastToggle");
+        assert.equal(toggle.getAttribute("aria-pressed"), "false");
+        toggle.click();
+        assert.ok(document.documentElement.classList.contains("high-contrast"));
+        assert.equal(toggle.getAttribute("aria-pressed"), "true");
+        assert.equal(window.localStorage.getItem("rideau-contrast"), "on");
+    });
+});
+
+describe("updateSystemStatus", () => {
+    let window;
+    let document;
+    beforeEach(async () => {
+        window = await loadDashboard();
+        document = window.document;
+    });
+
+    it("shows the overall status and counts", () => {
+        window.updateSystemStatus({
+            systemStatus: "No Data",
+            totalLocations: 3,
+            safeLocations: 1,
+            cautionLocations: 1,
+            unsafeLocations: 0,
+            unknownLocations: 0,
+            staleLocations: 1,
+            offlineLocations: 0,
+            lastUpdate: null
+        });
+
+        const badge = document.getElementById("statusBadge");
+        assert.equal(badge.textContent, "No Data");
+        assert.ok(badge.classList.contains("no-data"));
+        assert.equal(document.getElementById("totalLocations").textContent, "3");
+        assert.equal(document.getElementById("cautionLocations").textContent, "1");
+        assert.equal(document.getElementById("staleLocations").textContent, "1");
+        assert.equal(document.getElementById("outageBanner").hidden, true);
+    });
+
+    it("adds offline locations to the stale count", () => {
+        window.updateSystemStatus({ systemStatus: "Stale", staleLocations: 1, offlineLocations: 2 });
+        assert.equal(document.getElementById("staleLocations").textContent, "3");
+    });
+
+    it("shows the outage banner while degraded and hides it afterwards", () => {
+        window.updateSystemStatus({ systemStatus: "Safe", degraded: true, lastUpdate: "2026-01-15T12:00:00.000Z" });
+        const banner = document.getElementById("outageBanner");
+        assert.equal(banner.hidden, false);
+        assert.match(banner.textContent, /Live data is temporarily unavailable – showing the last known readings from/);
+
+        window.updateSystemStatus({ systemStatus: "Safe", degraded: false });
+        assert.equal(banner.hidden, true);
+    });
+});
+
+describe("offline mode", () => {
+    it("says how old the data on screen is, ahead of a data source outage", async () => {
+        const window = await loadDashboard();
+        const banner = window.document.getElementById("outageBanner");
+
+        window.updateSystemStatus({ systemStatus: "Safe", degraded: true, lastUpdate: "2026-01-15T12:00:00.000Z" });
+        window.setConnectionState({ offline: true, dataTime: new Date(2026, 0, 15, 9, 5) });
+        assert.equal(banner.hidden, false);
+        assert.equal(banner.textContent, "Offline — showing data from 09:05 AM");
+        assert.ok(window.document.body.classList.contains("offline"));
+
+        window.setConnectionState({ offline: false });
+        assert.match(banner.textContent, /Live data is temporarily unavailable/);
+        assert.equal(window.document.body.classList.contains("offline"), false);
+    });
+
+    it("explains when nothing has been saved yet", async () => {
+        const window = await loadDashboard();
+        window.setConnectionState({ offline: true });
+        assert.equal(window.document.getElementById("outageBanner").textContent, "Offline — no saved data to show yet");
+    });
+});
+
+describe("updateDashboard", () => {
+    it("renders a card for every configured location", async () => {
+        const window = await loadDashboard();
+        window.updateDashboard({ nac: reading(), "dows-lake": reading({ location: "dows-lake", safetyStatus: "Caution" }) });
+
+        const cards = [...window.document.querySelectorAll("#locationsGrid .location-card")].map(card => card.id);
+        assert.deepEqual(cards.sort(), LOCATIONS.map(l => `card-${l.key}`).sort());
+        assert.match(window.document.getElementById("card-fifth-avenue").textContent, /No data available/);
+        assert.ok(window.document.querySelector("#card-dows-lake .safety-badge").classList.contains("caution"));
+    });
+});
+
+describe("getRangeQuery", () => {
+    it("queries raw windows for short ranges and takes live readings", async () => {
+        const window = await loadDashboard();
+        const query = window.getRangeQuery({ range: "1h" });
+        assert.equal(query.params.hours, 1);
+        assert.equal(query.params.bucket, undefined);
+        assert.equal(query.live, true);
+        assert.equal(query.forecastHours, 1);
+    });
+
+    it("buckets long ranges and caps the forecast at a week", async () => {
+        const window = await loadDashboard();
+        const query = window.getRangeQuery({ range: "7d" });
+        assert.equal(query.params.bucket, "1h");
+        assert.equal(query.live, false);
+        assert.equal(query.forecastHours, 168);
+    });
+
+    it("uses explicit bounds for custom ranges", async () => {
+        const window = await loadDashboard();
+        const query = window.getRangeQuery({ range: "custom", from: "2026-01-01T00:00:00Z", to: "2026-01-06T00:00:00Z" });
+        assert.equal(query.params.from, "2026-01-01T00:00:00.000Z");
+        assert.equal(query.params.to, "2026-01-06T00:00:00.000Z");
+        assert.equal(query.params.bucket, "1h");
+        assert.equal(query.forecastHours, null);
+    });
+});
+
+describe("forecasts", () => {
+    const forecast = {
+        current: { timestamp: "2026-01-15T12:00:00Z", iceThickness: 31 },
+        projection: [
+            { timestamp: "2026-01-15T13:00:00Z", iceThickness: 30.5 },
+            { timestamp: "2026-01-15T14:00:00Z", iceThickness: 29.8 }
+        ],
+        thresholds: [
+            { status: "Caution", below: 30, crossesAt: "2026-01-15T13:30:00Z", hoursUntil: 1.5 },
+            { status: "Unsafe", below: 25, crossesAt: null, hoursUntil: null }
+        ]
+    };
+
+    it("builds a dashed series per location with a forecast", async () => {
+        const window = await loadDashboard();
+        window.run("chartView.hiddenLocations = ['nac']");
+        const datasets = window.buildForecastDatasets({ nac: forecast, "dows-lake": null });
+
+        assert.equal(datasets.length, 1);
+        assert.equal(datasets[0].label, "NAC (forecast)");
+        assert.equal(datasets[0].locationKey, "nac");
+        assert.equal(datasets[0].data.length, 3);
+        assert.deepEqual([...datasets[0].borderDash], [6, 6]);
+        assert.equal(datasets[0].hidden, true);
+    });
+
+    it("lists projected threshold crossings", async () => {
+        const window = await loadDashboard();
+        const note = window.document.createElement("ul");
+        note.id = "forecastNote";
+        window.document.body.appendChild(note);
+
+        window.renderForecastNote({ nac: forecast });
+        const items = [...note.querySelectorAll("li")].map(li => li.textContent);
+        assert.deepEqual(items, ["NAC: projected below 30 cm (Caution) in ~1.5 h"]);
+    });
+});
+
+describe("season comparison", () => {
+    const summaries = [
+        {
+            season: "2025-26",
+            openingDate: "2026-01-06",
+            closingDate: "2026-02-20",
+            daysOpen: 40,
+            peakIceThickness: 41.5,
+            avgIceThickness: 33.25,
+            freezingDegreeDays: 612.4,
+            weekly: [{ week: 6, avgIceThickness: 23 }, { week: 7, avgIceThickness: null }]
+        },
+        {
+            season: "2024-25",
+            openingDate: null,
+            closingDate: null,
+            daysOpen: 0,
+            peakIceThickness: 18,
+            avgIceThickness: 12,
+            freezingDegreeDays: 150,
+            weekly: []
+        }
+    ];
+    const series = [{
+        season: "2025-26",
+        days: [
+            { dayOfSeason: 37, iceThickness: { avg: 26 } },
+            { dayOfSeason: 38, iceThickness: { avg: null } }
+        ]
+    }];
+
+    it("overlays seasons on the day-of-season axis", async () => {
+        const window = await loadDashboard();
+        const daily = window.seasonDatasets(summaries, series, "daily");
+        assert.deepEqual(daily.map(d => d.label), ["2025-26", "2024-25"]);
+        assert.deepEqual(daily[0].data.map(p => [p.x, p.y]), [[37, 26]]);
+        assert.equal(daily[1].data.length, 0);
+        assert.notDeepEqual([...daily[1].borderDash], [...daily[0].borderDash]);
+
+        const weekly = window.seasonDatasets(summaries, series, "weekly");
+        assert.deepEqual(weekly[0].data.map(p => [p.x, p.y]), [[39, 23]]);
+        assert.equal(window.formatSeasonDay(32), "Jan 1");
+    });
+
+    it("tabulates each season", async () => {
+        const window = await loadDashboard();
+        window.renderSeasonTable(summaries);
+        const rows = [...window.document.querySelectorAll("#seasonTable tr")]
+            .map(row => [...row.children].map(cell => cell.textContent));
+        assert.deepEqual(rows[0], ["2025-26", "Jan 6, 2026", "Feb 20, 2026", "40", "41.5", "33.3", "612"]);
+        assert.deepEqual(rows[1].slice(0, 4), ["2024-25", "Did not open", "", "0"]);
+    });
+});
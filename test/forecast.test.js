@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseForecastQuery, buildForecast } = require('../lib/forecast');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse("2026-01-15T00:00:00Z");
+
+// Hourly windows over `hours` hours, warming by `warming` °C per hour from -10 °C
+function warmingDocs(hours, warming) {
+    return Array.from({ length: hours }, (_, i) => ({
+        timestamp: new Date(START + i * HOUR_MS).toISOString(),
+        avgIceThickness: 40 - 0.1 * i,
+        avgSurfaceTemperature: -10 + warming * i,
+        avgExternalTemperature: -12 + warming * i
+    }));
+}
+
+describe("parseForecastQuery", () => {
+    it("accepts 1 hour up to the maximum", () => {
+        assert.deepEqual(parseForecastQuery({ hours: "1", lookback: "336" }), { horizonHours: 1, lookbackHours: 336 });
+        assert.equal(parseForecastQuery({}).horizonHours, 48);
+    });
+
+    it("rejects horizons under an hour", () => {
+        assert.throws(() => parseForecastQuery({ hours: "0.5" }), err => err.status === 400 && /expected 1-168 hours/.test(err.message));
+        assert.throws(() => parseForecastQuery({ lookback: "0" }), /expected 1-336 hours/);
+    });
+});
+
+describe("buildForecast", () => {
+    it("holds projected temperatures within the observed range", () => {
+        const docs = warmingDocs(72, 0.1);
+        const forecast = buildForecast(docs, { horizonHours: 168, lookbackHours: 72, thresholds: [], now: START + 72 * HOUR_MS });
+
+        const surface = forecast.projection.map(p => p.avgSurfaceTemperature);
+        const observedMax = docs[docs.length - 1].avgSurfaceTemperature;
+        assert.ok(Math.max(...surface) <= observedMax + 1e-9, `projected up to ${Math.max(...surface)} °C`);
+        // Held after the trend horizon instead of warming for another week
+        assert.equal(surface[surface.length - 1], surface[12]);
+        assert.equal(forecast.projection.length, 168);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Shared fixtures: aggregation documents relative to the current time and
+ * a dashboard app listening on a free port with an injected data source.
+ */
+// Keep test output readable; set LOG_LEVEL to see the app's logs
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../lib/app');
+const { createMemoryDataSource } = require('../lib/datasource');
+const { hashApiKey } = require('../lib/auth');
+
+const WINDOW_MS = 5 * 60 * 1000;
+const ADMIN_KEY = "test-admin-key";
+const VIEWER_KEY = "test-viewer-key";
+
+// Readings every safety rule treats as Safe
+const SAFE_READING = {
+    avgIceThickness: 35,
+    avgSurfaceTemperature: -5,
+    maxSnowAccumulation: 2,
+    avgExternalTemperature: -10,
+    readingCount: 30
+};
+
+/**
+ * Point auth, overrides, alert history and the archive at a fresh temporary directory
+ * so tests never read or write data/
+ */
+function useTempState() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rideau-test-"));
+    const authFile = path.join(dir, "auth.json");
+    fs.writeFileSync(authFile, JSON.stringify({
+        users: [],
+        apiKeys: [
+            { name: "admin", role: "admin", keyHash: hashApiKey(ADMIN_KEY) },
+            { name: "viewer", role: "viewer", keyHash: hashApiKey(VIEWER_KEY) }
+        ]
+    }));
+    process.env.AUTH_FILE = authFile;
+    process.env.OVERRIDES_FILE = path.join(dir, "overrides.json");
+    process.env.ALERT_HISTORY_FILE = path.join(dir, "alerts.ndjson");
+    process.env.ARCHIVE_FILE = path.join(dir, "archive.json");
+    return dir;
+}
+
+/**
+ * One aggregation document for the window ending `windowsAgo` windows
+ * before the current one
+ */
+function makeDoc(location, windowsAgo = 0, values = {}) {
+    const end = Math.floor(Date.now() / WINDOW_MS) * WINDOW_MS - windowsAgo * WINDOW_MS;
+    return {
+        location,
+        windowStart: new Date(end - WINDOW_MS).toISOString(),
+        windowEnd: new Date(end).toISOString(),
+        ...SAFE_READING,
+        safetyStatus: "Safe",
+        ...values
+    };
+}
+
+/**
+ * `count` consecutive windows for a location, oldest first, ending at the current window
+ */
+function makeSeries(location, count, values = {}) {
+    return Array.from({ length: count }, (_, i) => makeDoc(location, count - 1 - i, values));
+}
+
+/**
+ * A memory data source whose queries all fail, as when Cosmos DB is unreachable
+ */
+function createFailingDataSource(message = "connect ECONNREFUSED", code = "ECONNREFUSED") {
+    const fail = async () => {
+        throw Object.assign(new Error(message), { code });
+    };
+    return {
+        ...createMemoryDataSource([]),
+        getLatestByLocation: fail,
+        getRangeByLocation: fail,
+        getDistinctLocations: fail,
+        getCount: fail,
+        probe: fail
+    };
+}
+
+/**
+ * Start the app on an ephemeral port. `source` is a data source or an
+ * array of documents for a memory data source; `options` go to createApp.
+ * Background jobs don't run; tests trigger the archive rollup themselves.
+ */
+async function startApp(source = [], options = {}) {
+    const dataSource = Array.isArray(source) ? createMemoryDataSource(source) : source;
+    const { app, archiveRollup } = createApp({ dataSource, ...options });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        archiveRollup,
+
+        get(urlPath, headers = {}) {
+            return this.request("GET", urlPath, { headers });
+        },
+
+        post(urlPath, body, headers = {}) {
+            return this.request("POST", urlPath, {
+                headers: { "Content-Type": "application/json", ...headers },
+                body: JSON.stringify(body)
+            });
+        },
+
+        async request(method, urlPath, init = {}) {
+            const res = await fetch(`${baseUrl}${urlPath}`, { method, ...init });
+            const text = await res.text();
+            let body = text;
+            try {
+                body = JSON.parse(text);
+            } catch (err) {
+                // Not JSON (e.g. HTML pages)
+            }
+            return { status: res.status, headers: res.headers, body };
+        },
+
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    WINDOW_MS,
+    ADMIN_KEY,
+    VIEWER_KEY,
+    SAFE_READING,
+    useTempState,
+    makeDoc,
+    makeSeries,
+    createFailingDataSource,
+    startApp
+};
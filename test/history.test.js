@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHistoryQuery, pickBucket } = require('../lib/history');
+
+const now = new Date("2026-01-15T12:00:00Z");
+
+describe("parseHistoryQuery", () => {
+    it("accepts ranges up to the maximum span", () => {
+        const query = parseHistoryQuery({ from: "2025-01-15T12:00:00Z" }, { now, maxRangeDays: 366 });
+        assert.equal(query.to, now);
+        assert.equal(parseHistoryQuery({ hours: "24" }, { now, maxRangeDays: 1 }).from.toISOString(), "2026-01-14T12:00:00.000Z");
+    });
+
+    it("rejects longer ranges with a 400", () => {
+        assert.throws(() => parseHistoryQuery({ from: "1970-01-01T00:00:00Z" }, { now }),
+            err => err.status === 400 && /at most 366 days/.test(err.message));
+        assert.throws(() => parseHistoryQuery({ hours: "25" }, { now, maxRangeDays: 1 }), /at most 1 days/);
+    });
+});
+
+describe("pickBucket", () => {
+    const from = new Date("2026-01-01T00:00:00Z");
+    const days = n => new Date(from.getTime() + n * 24 * 60 * 60 * 1000);
+
+    it("picks the finest bucket that stays within the point cap", () => {
+        assert.equal(pickBucket(from, days(7), 2000), "15m");
+        assert.equal(pickBucket(from, days(7), 168), "1h");
+    });
+
+    it("falls back to whole days that keep the cap beyond the largest bucket", () => {
+        assert.equal(pickBucket(from, days(366), 10), "37d");
+        assert.ok(Math.ceil(366 / 37) <= 10);
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempState, makeDoc, makeSeries, startApp } = require('./helpers');
+const { createLogger } = require('../lib/logger');
+const { createMetricsRegistry } = require('../lib/metrics');
+const { httpError } = require('../lib/errors');
+
+let stateDir;
+before(() => {
+    stateDir = useTempState();
+});
+after(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+// Logger writing parsed entries to an array
+function captureLogger(level = "debug") {
+    const entries = [];
+    const logger = createLogger({ level, write: line => entries.push(JSON.parse(line)) });
+    return { logger, entries };
+}
+
+describe("createLogger", () => {
+    it("writes JSON entries at or above the configured level", () => {
+        const { logger, entries } = captureLogger("info");
+        logger.debug("hidden");
+        logger.info("shown", { location: "nac" });
+        logger.error("failed");
+
+        assert.deepEqual(entries.map(e => e.level), ["info", "error"]);
+        assert.equal(entries[0].msg, "shown");
+        assert.equal(entries[0].location, "nac");
+        assert.ok(!isNaN(Date.parse(entries[0].time)));
+    });
+
+    it("adds child fields to every entry", () => {
+        const { logger, entries } = captureLogger();
+        logger.child({ requestId: "abc" }).child({ route: "/api/data" }).info("done");
+        assert.equal(entries[0].requestId, "abc");
+        assert.equal(entries[0].route, "/api/data");
+    });
+
+    it("serializes errors, with stacks only for unexpected ones", () => {
+        const { logger, entries } = captureLogger();
+        logger.error("boom", { err: new Error("disk full") });
+        logger.warn("rejected", { err: httpError(503, "Data source unavailable") });
+
+        assert.equal(entries[0].err.message, "disk full");
+        assert.match(entries[0].err.stack, /disk full/);
+        assert.deepEqual(entries[1].err, { message: "Data source unavailable", status: 503 });
+    });
+});
+
+describe("createMetricsRegistry", () => {
+    it("renders counters, collected gauges and histograms", () => {
+        const metrics = createMetricsRegistry();
+        const requests = metrics.counter({ name: "requests_total", help: "Requests" });
+        metrics.gauge({ name: "age_seconds", help: "Age", collect: () => [{ labels: { location: 'say "hi"' }, value: 5 }] });
+        const latency = metrics.histogram({ name: "latency_seconds", help: "Latency", buckets: [0.1, 1] });
+
+        requests.inc({ route: "/a" });
+        requests.inc({ route: "/a" }, 2);
+        latency.observe({ route: "/a" }, 0.5);
+        latency.observe({ route: "/a" }, 3);
+
+        const lines = metrics.render().split("\n");
+        assert.ok(lines.includes("# TYPE requests_total counter"));
+        assert.ok(lines.includes('requests_total{route="/a"} 3'));
+        assert.ok(lines.includes('age_seconds{location="say \\"hi\\""} 5'));
+        assert.ok(lines.includes('latency_seconds_bucket{route="/a",le="0.1"} 0'));
+        assert.ok(lines.includes('latency_seconds_bucket{route="/a",le="1"} 1'));
+        assert.ok(lines.includes('latency_seconds_bucket{route="/a",le="+Inf"} 2'));
+        assert.ok(lines.includes('latency_seconds_sum{route="/a"} 3.5'));
+        assert.ok(lines.includes('latency_seconds_count{route="/a"} 2'));
+    });
+
+    it("rejects duplicate metric names", () => {
+        const metrics = createMetricsRegistry();
+        metrics.counter({ name: "dup_total", help: "" });
+        assert.throws(() => metrics.gauge({ name: "dup_total", help: "" }), /already registered/);
+    });
+});
+
+describe("request tracing", () => {
+    it("echoes a valid X-Request-ID and logs the request under it", async () => {
+        const { logger, entries } = captureLogger();
+        const api = await startApp([makeDoc("nac")], { logger });
+        try {
+            const { headers } = await api.get("/api/data/nac", { "X-Request-ID": "trace-123" });
+            assert.equal(headers.get("x-request-id"), "trace-123");
+
+            const entry = entries.find(e => e.msg === "Request completed");
+            assert.equal(entry.requestId, "trace-123");
+            assert.equal(entry.route, "/api/data/:location");
+            assert.equal(entry.path, "/api/data/nac");
+            assert.equal(entry.status, 200);
+            assert.equal(typeof entry.durationMs, "number");
+        } finally {
+            await api.close();
+        }
+    });
+
+    it("generates an ID when none (or an unusable one) is sent", async () => {
+        const api = await startApp([]);
+        try {
+            const first = (await api.get("/healthz")).headers.get("x-request-id");
+            const second = (await api.get("/healthz", { "X-Request-ID": "bad id\twith spaces" })).headers.get("x-request-id");
+            assert.match(first, /^[0-9a-f-]{36}$/);
+            assert.match(second, /^[0-9a-f-]{36}$/);
+            assert.notEqual(first, second);
+        } finally {
+            await api.close();
+        }
+    });
+});
+
+describe("GET /metrics", () => {
+    it("reports requests, query latency, cache stats and data age", async () => {
+        const api = await startApp([...makeSeries("nac", 2), makeDoc("dows-lake", 3)]);
+        try {
+            await api.get("/api/data");
+            await api.get("/api/data/nac");
+            await api.get("/api/data/nac");
+
+            const { status, headers, body } = await api.get("/metrics");
+            assert.equal(status, 200);
+            assert.match(headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+
+            const lines = body.split("\n");
+            assert.ok(lines.includes('rideau_http_requests_total{method="GET",route="/api/data/:location",status="200"} 2'));
+            assert.ok(lines.some(l => l.startsWith('rideau_http_request_duration_seconds_count{method="GET",route="/api/data"} 1')));
+            assert.ok(lines.some(l => /^rideau_datasource_query_duration_seconds_count\{source="memory",operation="getLatestByLocation",outcome="ok"\} \d+$/.test(l)));
+            assert.ok(lines.some(l => /^rideau_cache_hits_total\{cache="latest"\} [1-9]/.test(l)));
+            assert.ok(lines.includes('rideau_datasource_circuit_open{source="memory"} 0'));
+
+            const age = location => Number(lines.find(l => l.startsWith(`rideau_location_data_age_seconds{location="${location}"}`)).split(" ")[1]);
+            assert.ok(age("dows-lake") > age("nac"));
+            assert.ok(!lines.some(l => l.startsWith('rideau_location_data_age_seconds{location="fifth-avenue"}')));
+        } finally {
+            await api.close();
+        }
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCircuitBreaker } = require('../lib/resilience');
+
+const networkError = () => Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" });
+const queryError = () => Object.assign(new Error("Syntax error in query"), { code: 400 });
+
+// Breaker with a controllable clock, opened by `threshold` network failures
+async function openBreaker(threshold = 2) {
+    let time = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: threshold, resetTimeoutMs: 1000, now: () => time });
+    for (let i = 0; i < threshold; i++) {
+        await assert.rejects(breaker.exec(async () => {
+            throw networkError();
+        }), /ECONNREFUSED/);
+    }
+    assert.equal(breaker.state(), "open");
+    return { breaker, advance: ms => (time += ms) };
+}
+
+describe("createCircuitBreaker", () => {
+    it("lets a single trial through when half-open", async () => {
+        const { breaker, advance } = await openBreaker();
+        advance(1000);
+
+        let release;
+        let calls = 0;
+        const backend = () => {
+            calls++;
+            return new Promise(resolve => {
+                release = resolve;
+            });
+        };
+        const trial = breaker.exec(backend);
+        assert.equal(breaker.state(), "half-open");
+        await assert.rejects(breaker.exec(backend), err => err.status === 503);
+        await assert.rejects(breaker.exec(backend), err => err.status === 503);
+        assert.equal(calls, 1);
+
+        release("ok");
+        assert.equal(await trial, "ok");
+        assert.equal(breaker.state(), "closed");
+        assert.equal(breaker.snapshot().rejected, 2);
+    });
+
+    it("reopens when the trial fails", async () => {
+        const { breaker, advance } = await openBreaker();
+        advance(1000);
+        await assert.rejects(breaker.exec(async () => {
+            throw networkError();
+        }), /ECONNREFUSED/);
+        assert.equal(breaker.state(), "open");
+        await assert.rejects(breaker.exec(async () => "ok"), err => err.status === 503);
+    });
+
+    it("doesn't count non-transient errors toward opening", async () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 2 });
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(breaker.exec(async () => {
+                throw queryError();
+            }), /Syntax error/);
+        }
+        assert.equal(breaker.state(), "closed");
+        assert.equal(breaker.snapshot().failures, 0);
+
+        await assert.rejects(breaker.exec(async () => {
+            throw networkError();
+        }));
+        assert.equal(breaker.state(), "closed");
+    });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSafetyClassifier } = require('../lib/safety');
+
+const classifier = loadSafetyClassifier();
+
+describe("classify", () => {
+    it("applies the Safe and Caution limits in order", () => {
+        const reading = { avgIceThickness: 35, avgSurfaceTemperature: -5, maxSnowAccumulation: 2 };
+        assert.equal(classifier.classify(reading), "Safe");
+        assert.equal(classifier.classify({ ...reading, maxSnowAccumulation: 20 }), "Caution");
+        assert.equal(classifier.classify({ ...reading, avgIceThickness: 20 }), "Unsafe");
+    });
+
+    it("classifies from the values present when missing ones couldn't change the result", () => {
+        assert.equal(classifier.classify({ avgIceThickness: 5 }), "Unsafe");
+        assert.equal(classifier.classify({ avgIceThickness: 35, avgSurfaceTemperature: 1, maxSnowAccumulation: NaN }), "Unsafe");
+        assert.equal(classifier.classify({ avgIceThickness: 28, avgSurfaceTemperature: -5 }), "Caution");
+    });
+
+    it("is Unknown when a missing value could change the result", () => {
+        assert.equal(classifier.classify({ avgIceThickness: 35, avgSurfaceTemperature: -5 }), "Unknown");
+        assert.equal(classifier.classify({ avgIceThickness: 28 }), "Unknown");
+        assert.equal(classifier.classify({}), "Unknown");
+        assert.equal(classifier.classify(null), "Unknown");
+    });
+});
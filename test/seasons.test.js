@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { WINDOW_MS, useTempState, makeSeries, createFailingDataSource, startApp } = require('./helpers');
+const { localDay, startOfLocalDay, seasonStart } = require('../lib/stats');
+const {
+    addDays,
+    seasonOf,
+    dayOfSeason,
+    parseSeasonList,
+    rollupDays,
+    summarizeSeason
+} = require('../lib/seasons');
+
+const DAY_WINDOWS = 24 * 60 * 60 * 1000 / WINDOW_MS;
+
+let stateDir;
+before(() => {
+    stateDir = useTempState();
+});
+after(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+// Archived day with the fields season summaries read
+function archivedDay(date, { open = true, avg = 30, max = avg + 2, freezing = 10 } = {}) {
+    return {
+        date,
+        iceThickness: { min: avg - 2, avg, max },
+        freezingDegreeDays: freezing,
+        thawingDegreeDays: 0,
+        open
+    };
+}
+
+describe("season arithmetic", () => {
+    it("names seasons from December 1st and numbers their days", () => {
+        assert.equal(seasonOf("2025-12-01"), "2025-26");
+        assert.equal(seasonOf("2026-11-30"), "2025-26");
+        assert.equal(seasonOf("2026-01-15"), "2025-26");
+        assert.equal(dayOfSeason("2025-12-01"), 1);
+        assert.equal(dayOfSeason("2026-01-01"), 32);
+        assert.equal(addDays("2026-02-28", 1), "2026-03-01");
+    });
+
+    it("validates season lists", () => {
+        assert.equal(parseSeasonList(undefined), null);
+        assert.deepEqual(parseSeasonList("2024-25, 2025-26,2024-25"), ["2024-25", "2025-26"]);
+        assert.throws(() => parseSeasonList("2024-26"), /Invalid season "2024-26"/);
+        assert.throws(() => parseSeasonList("winter"), err => err.status === 400);
+    });
+
+    it("starts local days at local midnight", () => {
+        const start = startOfLocalDay("2026-01-15");
+        assert.equal(localDay(start), "2026-01-15");
+        assert.equal(localDay(start.getTime() - 1), "2026-01-14");
+    });
+
+    it("starts seasons at local midnight on December 1st", () => {
+        const start = seasonStart(new Date("2026-01-15T12:00:00Z"));
+        assert.equal(start.getTime(), startOfLocalDay("2025-12-01").getTime());
+        // Still November 30th locally, whatever the host's own time zone
+        const lateNovember = new Date(start.getTime() - 1);
+        assert.equal(seasonStart(lateNovember).getTime(), startOfLocalDay("2024-12-01").getTime());
+        assert.equal(seasonStart(start).getTime(), start.getTime());
+    });
+});
+
+describe("rollupDays", () => {
+    const doc = (time, safetyStatus, avgIceThickness = 30) => ({
+        timestamp: new Date(time).toISOString(),
+        avgIceThickness,
+        avgExternalTemperature: -10,
+        readingCount: 30,
+        safetyStatus
+    });
+
+    it("summarizes each local day and marks it open when mostly Safe or Caution", () => {
+        const start = startOfLocalDay("2026-01-15").getTime();
+        const docs = [
+            ...Array.from({ length: 3 }, (_, i) => doc(start + i * WINDOW_MS, "Safe", 28 + i)),
+            doc(start + 3 * WINDOW_MS, "Unsafe"),
+            ...Array.from({ length: 3 }, (_, i) => doc(start + 24 * 3600000 + i * WINDOW_MS, "Unsafe"))
+        ];
+
+        const [first, second] = rollupDays(docs, WINDOW_MS);
+        assert.equal(first.date, "2026-01-15");
+        assert.deepEqual(first.iceThickness, { min: 28, avg: 29.25, max: 30 });
+        assert.deepEqual(first.statusSeconds, { Safe: 900, Unsafe: 300 });
+        assert.equal(first.open, true);
+        assert.equal(first.freezingDegreeDays, 10);
+        assert.equal(second.date, "2026-01-16");
+        assert.equal(second.open, false);
+    });
+});
+
+describe("summarizeSeason", () => {
+    it("reports opening, days open and weekly ice thickness", () => {
+        const days = [
+            archivedDay("2026-01-05", { open: false, avg: 15 }),
+            archivedDay("2026-01-06", { avg: 26 }),
+            archivedDay("2026-01-07", { avg: 28, max: 33 }),
+            archivedDay("2026-01-12", { avg: 30 })
+        ];
+        const summary = summarizeSeason("2025-26", days);
+
+        assert.equal(summary.from, "2025-12-01");
+        assert.equal(summary.openingDate, "2026-01-06");
+        assert.equal(summary.closingDate, "2026-01-12");
+        assert.equal(summary.daysOpen, 3);
+        assert.equal(summary.peakIceThickness, 33);
+        assert.equal(summary.avgIceThickness, 24.75);
+        assert.equal(summary.freezingDegreeDays, 40);
+        assert.deepEqual(summary.weekly.map(w => [w.week, w.startDate, w.avgIceThickness, w.daysOpen]), [
+            [6, "2026-01-05", 23, 2],
+            [7, "2026-01-12", 30, 1]
+        ]);
+    });
+});
+
+describe("season archive", () => {
+    const today = localDay(new Date());
+    const yesterday = addDays(today, -1);
+
+    it("rolls complete days into the archive and serves season summaries", async () => {
+        const api = await startApp(makeSeries("nac", 3 * DAY_WINDOWS));
+        try {
+            const first = await api.archiveRollup.run();
+            assert.deepEqual(first.failed, []);
+            const again = await api.archiveRollup.run();
+            assert.ok(again.days <= 2, "only recent days are rolled up again");
+
+            const { status, body } = await api.get("/api/seasons/nac");
+            assert.equal(status, 200);
+            assert.equal(body.name, "NAC");
+            assert.equal(body.archivedThrough, yesterday);
+
+            const season = body.seasons.find(s => s.season === seasonOf(yesterday));
+            assert.ok(season.daysWithData >= 2);
+            assert.equal(season.daysOpen, season.daysWithData);
+            assert.equal(season.closingDate, yesterday);
+            assert.ok(season.weekly.length >= 1);
+
+            const daily = await api.get(`/api/seasons/nac/daily?seasons=${seasonOf(yesterday)}`);
+            const days = daily.body.seasons[0].days;
+            assert.ok(days.every(day => day.date < today), "today is not complete yet");
+            assert.equal(days[days.length - 1].dayOfSeason, dayOfSeason(yesterday));
+
+            assert.deepEqual((await api.get("/api/seasons/dows-lake")).body.seasons, []);
+        } finally {
+            await api.close();
+        }
+    });
+
+    it("rejects unknown locations and bad season lists", async () => {
+        const api = await startApp([]);
+        try {
+            assert.equal((await api.get("/api/seasons/nowhere")).status, 404);
+            assert.equal((await api.get("/api/seasons/nac/daily?seasons=2025")).status, 400);
+        } finally {
+            await api.close();
+        }
+    });
+
+    it("reports locations it could not roll up", async () => {
+        const api = await startApp(createFailingDataSource());
+        try {
+            const result = await api.archiveRollup.run();
+            assert.deepEqual(result.failed, ["dows-lake", "fifth-avenue", "nac"]);
+        } finally {
+            await api.close();
+        }
+    });
+});